@@ -0,0 +1,282 @@
+/**
+ * capture-cnoise-reference - Reference values for the CPU noise and height tests
+ *
+ * Compiles the real TSL cnoise from src/components/Perlin.jsx (and Planet's
+ * fbm + height formula built on it) to WGSL with three's own WGSLNodeBuilder,
+ * then runs the generated shader code on the CPU with every operation rounded
+ * to f32. No GPU is needed, so this runs anywhere Node does.
+ *
+ * Writes src/components/__fixtures__/cnoise-reference.json, which
+ * PerlinCPU.test.js and TerrainHeight.test.js check against. Re-run after
+ * changing Perlin.jsx or Planet's height pass:
+ *
+ *     npm run capture:noise
+ */
+import { readFileSync, writeFileSync, mkdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { Fn, vec3, float, instanceIndex, instancedArray } from 'three/src/nodes/TSL.js';
+import WGSLNodeBuilder from 'three/src/renderers/webgpu/nodes/WGSLNodeBuilder.js';
+import BasicNodeLibrary from 'three/src/renderers/webgpu/nodes/BasicNodeLibrary.js';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const f = Math.fround;
+
+// === LOAD THE SHADER SOURCE ===
+// Perlin.jsx imports the prebuilt 'three/tsl'; point it at three's sources so
+// its nodes and the node builder share one copy of the node classes. The
+// copy goes under node_modules so 'three' still resolves from it.
+const temp = join(root, 'node_modules/.cache/capture-cnoise');
+mkdirSync(temp, { recursive: true });
+const perlinSource = readFileSync(join(root, 'src/components/Perlin.jsx'), 'utf8')
+    .replace(/from ['"]three\/tsl['"]/, "from 'three/src/nodes/TSL.js'");
+const perlinPath = join(temp, 'Perlin.mjs');
+writeFileSync(perlinPath, perlinSource);
+const { cnoise } = await import(pathToFileURL(perlinPath).href);
+rmSync(temp, { recursive: true, force: true });
+
+// Just enough of a renderer for the builder to generate code
+const renderer = {
+    backend: { isWebGPUBackend: true, device: { features: new Set() }, utils: {}, compatibilityMode: false },
+    library: new BasicNodeLibrary(),
+    nodes: {},
+    contextNode: null,
+    hasFeature: () => false,
+    hasCompatibility: () => false,
+    getRenderTarget: () => null,
+};
+
+// Generated WGSL for a compute shader writing one float
+function compileToWGSL(buildValue) {
+    const output = instancedArray(1, 'float');
+    const compute = Fn(() => {
+        output.element(instanceIndex).assign(buildValue());
+    })().compute(1);
+
+    const builder = new WGSLNodeBuilder(compute, renderer);
+    builder.build();
+    return builder.computeShader;
+}
+
+// === WGSL EVALUATOR (straight-line f32 code, as three emits for these graphs) ===
+
+const TOKEN = /\s*(vec[234]<f32>|[A-Za-z_]\w*|\d+\.?\d*(?:e[+-]?\d+)?|\S)/gy;
+
+function tokenize(source) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    let match;
+    while (TOKEN.lastIndex < source.length && (match = TOKEN.exec(source))) tokens.push(match[1]);
+    return tokens;
+}
+
+const isVector = (value) => Array.isArray(value);
+
+// Component-wise op with scalar broadcast, rounded to f32
+function map2(a, b, op) {
+    if (!isVector(a) && !isVector(b)) return f(op(a, b));
+    const size = isVector(a) ? a.length : b.length;
+    const out = [];
+    for (let i = 0; i < size; i++) out.push(f(op(isVector(a) ? a[i] : a, isVector(b) ? b[i] : b)));
+    return out;
+}
+
+const map1 = (a, op) => (isVector(a) ? a.map((v) => f(op(v))) : f(op(a)));
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum = f(sum + f(a[i] * b[i]));
+    return sum;
+}
+
+const wgslMod = (x, y) => map2(x, map2(y, map1(map2(x, y, (p, q) => p / q), Math.floor), (p, q) => p * q), (p, q) => p - q);
+
+const FUNCTIONS = {
+    floor: (x) => map1(x, Math.floor),
+    fract: (x) => map2(x, map1(x, Math.floor), (p, q) => p - q),
+    abs: (x) => map1(x, Math.abs),
+    sqrt: (x) => map1(x, Math.sqrt),
+    step: (edge, x) => map2(edge, x, (e, v) => (v >= e ? 1 : 0)),
+    max: (a, b) => map2(a, b, Math.max),
+    min: (a, b) => map2(a, b, Math.min),
+    pow: (a, b) => map2(a, b, Math.pow),
+    dot,
+    length: (x) => (isVector(x) ? f(Math.sqrt(dot(x, x))) : Math.abs(x)),
+    // WGSL mix: e1 * (1 - e3) + e2 * e3
+    mix: (a, b, t) => map2(map2(a, map1(t, (v) => 1 - v), (p, q) => p * q), map2(b, t, (p, q) => p * q), (p, q) => p + q),
+    tsl_mod_float: wgslMod,
+    tsl_mod_vec2: wgslMod,
+    tsl_mod_vec3: wgslMod,
+    tsl_mod_vec4: wgslMod,
+};
+
+const SWIZZLE = { x: 0, y: 1, z: 2, w: 3 };
+
+function evaluate(tokens, variables) {
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`Expected '${token}' near token ${position}`);
+    };
+
+    function primary() {
+        const token = next();
+        if (token === '(') {
+            const value = additive();
+            expect(')');
+            return value;
+        }
+        if (token === '-') return map1(postfix(), (v) => -v);
+        if (/^\d/.test(token)) return f(Number(token));
+
+        if (peek() === '(') {
+            next();
+            const args = [];
+            while (peek() !== ')') {
+                args.push(additive());
+                if (peek() === ',') next();
+            }
+            next();
+
+            const constructor = token.match(/^vec([234])<f32>$/);
+            if (constructor) {
+                const size = Number(constructor[1]);
+                const flat = args.flat();
+                return flat.length === 1 ? new Array(size).fill(flat[0]) : flat.map(f);
+            }
+            if (token === 'f32') return f(args[0]);
+            if (!FUNCTIONS[token]) throw new Error(`Unsupported WGSL function '${token}'`);
+            return FUNCTIONS[token](...args);
+        }
+
+        if (!(token in variables)) throw new Error(`Unknown WGSL identifier '${token}'`);
+        return variables[token];
+    }
+
+    function postfix() {
+        let value = primary();
+        while (peek() === '.') {
+            next();
+            const components = next().split('').map((c) => value[SWIZZLE[c]]);
+            value = components.length === 1 ? components[0] : components;
+        }
+        return value;
+    }
+
+    function multiplicative() {
+        let value = postfix();
+        while (peek() === '*' || peek() === '/') {
+            const op = next();
+            const right = postfix();
+            value = map2(value, right, op === '*' ? (a, b) => a * b : (a, b) => a / b);
+        }
+        return value;
+    }
+
+    function additive() {
+        let value = multiplicative();
+        while (peek() === '+' || peek() === '-') {
+            const op = next();
+            const right = multiplicative();
+            value = map2(value, right, op === '+' ? (a, b) => a + b : (a, b) => a - b);
+        }
+        return value;
+    }
+
+    const value = additive();
+    if (position !== tokens.length) throw new Error(`Unparsed WGSL near '${tokens[position]}'`);
+    return value;
+}
+
+// Run the generated main(): the statements after '// flow', up to the buffer write
+function runShader(wgsl) {
+    const flow = wgsl.slice(wgsl.indexOf('// flow'));
+    const variables = {};
+
+    for (const statement of flow.split(';')) {
+        const line = statement.replace(/\/\/.*$/gm, '').trim();
+        const assignment = line.match(/^([\w.[\]\s]+?)\s*=\s*([\s\S]+)$/);
+        if (!assignment) continue;
+
+        const value = evaluate(tokenize(assignment[2]), variables);
+        if (assignment[1].startsWith('NodeBuffer')) return value;
+        variables[assignment[1]] = value;
+    }
+    throw new Error('Generated shader never wrote its output');
+}
+
+// === SAMPLE POINTS ===
+
+// Small deterministic generator, so re-running gives the same points
+let seed = 12345;
+const random = (min, max) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return f(min + (seed / 2147483648) * (max - min));
+};
+
+const noisePoints = [
+    [0, 0, 0], [0.5, 0.5, 0.5], [1, 2, 3], [-1.25, 0, 3.75], [0.999, 0, -0.001],
+    [288.5, 0, 289.5], [-300.25, 12.5, 44.125], [1000.3, 0, -2000.7],
+];
+for (let i = 0; i < 24; i++) noisePoints.push([random(-300, 300), random(-20, 20), random(-300, 300)]);
+for (let i = 0; i < 16; i++) noisePoints.push([random(-50, 50), 0, random(-50, 50)]);
+
+// Planet's default leva values, with the terrain following a point
+const terrainParams = {
+    octaves: 2,
+    frequency: 0.06,
+    amplitude: 0.2,
+    lacunarity: 1.6,
+    persistence: 0.9,
+    heightScale: 35,
+    heightOffset: 0.09,
+    waterFloor: -2.0,
+    horizonDistance: 116,
+    horizonCurve: 0.06,
+    center: { x: 12, y: 0, z: -7 },
+};
+
+const heightPoints = [[0, 0], [12, -7], [60, 40], [-130, 25]];
+for (let i = 0; i < 16; i++) heightPoints.push([random(-150, 150), random(-150, 150)]);
+
+// Planet.jsx computeUpdate: fbm over cnoise, offset and scale, horizon drop, water floor
+function terrainHeightNode(x, z, p) {
+    const worldPos = vec3(x, 0, z);
+    let total = float(0);
+    let frequency = float(p.frequency);
+    let amplitude = float(p.amplitude);
+
+    for (let i = 0; i < p.octaves; i++) {
+        const noiseVal = cnoise(vec3(worldPos.x.mul(frequency), 0.0, worldPos.z.mul(frequency)));
+        total = total.add(noiseVal.mul(amplitude));
+        frequency = frequency.mul(p.lacunarity);
+        amplitude = amplitude.mul(p.persistence);
+    }
+
+    const rawHeight = total.add(p.heightOffset).mul(p.heightScale);
+    const distToCam = worldPos.xz.sub(vec3(p.center.x, p.center.y, p.center.z).xz).length();
+    const drop = distToCam.div(p.horizonDistance).pow(4.0).mul(p.horizonCurve).mul(100.0);
+
+    return rawHeight.sub(drop).max(float(p.waterFloor).sub(drop));
+}
+
+const noise = noisePoints.map(([x, y, z]) => ({
+    position: [x, y, z],
+    value: runShader(compileToWGSL(() => cnoise(vec3(x, y, z)))),
+}));
+
+const height = heightPoints.map(([x, z]) => ({
+    position: [x, z],
+    value: runShader(compileToWGSL(() => terrainHeightNode(x, z, terrainParams))),
+}));
+
+const fixture = {
+    source: 'WGSL generated by three from Perlin.jsx cnoise and Planet.jsx height pass, evaluated in f32',
+    terrainParams,
+    noise,
+    height,
+};
+
+writeFileSync(join(root, 'src/components/__fixtures__/cnoise-reference.json'), `${JSON.stringify(fixture, null, 2)}\n`);
+console.log(`Wrote ${noise.length} noise and ${height.length} height reference values`);
@@ -1,7 +1,7 @@
 import { OrbitControls, KeyboardControls } from '@react-three/drei'
 import { Canvas, extend, useThree } from '@react-three/fiber'
 import { Physics } from '@react-three/rapier'
-import { Suspense, useEffect, useMemo, useRef } from 'react'
+import { Suspense, useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { useControls } from 'leva'
 
 import * as THREE from 'three/webgpu'
@@ -23,26 +23,29 @@ import WaterDrop from './components/WaterDrop';
 import Spiral from './components/Spiral';
 import Planet from "./components/Planet"
 import AirshipController from './components/AirshipController'
+import TerrainCollider from './components/TerrainCollider'
+import DebrisSystem from './components/DebrisSystem'
+import PhysicsClock from './components/PhysicsClock'
+import CameraRig from './components/CameraRig'
+import { createCameraTarget } from './components/CameraTarget'
+import { GameJuiceProvider, CameraShake } from './components/GameJuice'
+import InputProvider from './components/InputProvider'
+import { loadBindings, saveBindings, resetBindings, toKeyboardMap } from './components/Bindings'
+import { DEFAULT_TERRAIN_PARAMS } from './components/TerrainHeight'
 
 extend(THREE)
 
-// Keyboard input mapping
-const keyboardMap = [
-  { name: 'forward', keys: ['KeyW', 'ArrowUp'] },
-  { name: 'backward', keys: ['KeyS', 'ArrowDown'] },
-  { name: 'left', keys: ['KeyA', 'ArrowLeft'] },
-  { name: 'right', keys: ['KeyD', 'ArrowRight'] },
-  { name: 'sprint', keys: ['ShiftLeft', 'ShiftRight'] },
-  { name: 'lasso', keys: ['Space'] },
-  { name: 'ascend', keys: ['KeyE'] },
-  { name: 'descend', keys: ['KeyQ'] },
-]
-
 // Scene component to use hooks inside Canvas
 function Scene() {
   const { debug } = useControls({ debug: false })
   const playerPositionRef = useRef(new THREE.Vector3())
 
+  // Live terrain params, written by Planet and read by CPU height queries
+  const [terrainParams] = useState(() => ({ ...DEFAULT_TERRAIN_PARAMS }))
+
+  // Ship publishes where the camera should look, CameraRig follows it (after gameplay frames)
+  const [cameraTarget] = useState(createCameraTarget)
+
   // Callback to update player position for terrain following
   const handlePositionUpdate = (pos) => {
     playerPositionRef.current.copy(pos)
@@ -52,23 +55,57 @@ function Scene() {
     <>
       {/* <color attach="background" args={['rgba(0, 0, 0, 1)']} /> */}
 
-      {/* Show OrbitControls in debug mode */}
+      {/* Show OrbitControls in debug mode (the rig stands down meanwhile) */}
       {debug && <OrbitControls />}
+      <CameraRig target={cameraTarget} terrainParams={terrainParams} debug={debug} />
+
+      {/* Shake on top of the rig; renders the frame (useFrame priority 1) */}
+      <CameraShake />
+
+      {/* Physics world (airship and anchor opt out of gravity with gravityScale 0) */}
+      {/* Paused because PhysicsClock steps it in game time (hitstop/slow-mo) */}
+      <Physics gravity={[0, -9.81, 0]} paused>
+        <PhysicsClock />
+
+        <AirshipController
+          onPositionUpdate={handlePositionUpdate}
+          terrainParams={terrainParams}
+          cameraTarget={cameraTarget}
+        />
 
-      {/* Physics world with zero gravity (airship floats) */}
-      <Physics gravity={[0, 0, 0]}>
-        <AirshipController debug={debug} onPositionUpdate={handlePositionUpdate} />
+        {/* Ground collision, matched to the rendered terrain */}
+        <TerrainCollider terrainParams={terrainParams} />
+
+        {/* Shards from dead enemies ('enemy-death' events) */}
+        <DebrisSystem terrainParams={terrainParams} />
       </Physics>
 
       {/* Terrain follows player */}
-      <Planet followPosition={playerPositionRef.current} />
+      <Planet followPosition={playerPositionRef.current} terrainParams={terrainParams} />
     </>
   )
 }
 
 const App = () => {
+  // Key and gamepad bindings, saved in localStorage (defaults in Bindings.js)
+  const [bindings, setBindings] = useState(loadBindings)
+  const keyboardMap = useMemo(() => toKeyboardMap(bindings), [bindings])
+
+  const handleBindingsChange = useCallback((next) => {
+    saveBindings(next)
+    setBindings(next)
+  }, [])
+
+  const handleBindingsReset = useCallback(() => setBindings(resetBindings()), [])
+
   return (
     <KeyboardControls map={keyboardMap}>
+      {/* Gamepad and touch input merged with the keyboard map (see Input.js) */}
+      <InputProvider
+        bindings={bindings}
+        onBindingsChange={handleBindingsChange}
+        onBindingsReset={handleBindingsReset}
+      >
       <Canvas
         style={{ width: '100vw', height: '100vh', display: 'block' }}
         shadows
@@ -81,9 +118,13 @@ const App = () => {
         }}
       >
         <Suspense>
-          <Scene />
+          {/* Juice state and event bus, one per Canvas */}
+          <GameJuiceProvider>
+            <Scene />
+          </GameJuiceProvider>
         </Suspense>
       </Canvas>
+      </InputProvider>
     </KeyboardControls>
   );
 }
@@ -111,4 +152,4 @@ const App = () => {
 //   );
 // };
 
-export default App
\ No newline at end of file
+export default App
\ No newline at end of file
@@ -1,50 +1,95 @@
 import { useRef, useMemo, useState } from 'react';
-import { useFrame, useThree } from '@react-three/fiber';
-import { useKeyboardControls } from '@react-three/drei';
-import { RigidBody } from '@react-three/rapier';
+import { useThree } from '@react-three/fiber';
+import { RigidBody, useBeforePhysicsStep } from '@react-three/rapier';
 import { useControls } from 'leva';
 import * as THREE from 'three/webgpu';
 import Player from './Player';
 import Anchor from './Anchor';
 import MouseAnchorController from './MouseAnchorController';
-import { GameJuiceProcessor, useGameJuice } from './GameJuice';
-import Enemy from './Enemy';
+import LassoController from './LassoController';
+import TargetingSystem from './TargetingSystem';
+import { useGameJuice } from './GameJuice';
+import { useScaledFrame } from './TimeScale';
+import { useInput } from './Input';
+import EncounterManager from './EncounterManager';
+import BossEncounter from './BossEncounter';
+import PlayerVitals from './PlayerVitals';
+import ProjectileSystem from './ProjectileSystem';
+import { createProjectilePool, fireProjectile } from './Projectiles';
+import { createCombatResolver, findEnemyByBody } from './CombatResolver';
+import {
+    DEFAULT_PLAYER_HEALTH,
+    createPlayerHealth,
+    enemyContactDamage,
+    terrainImpactDamage,
+    grantInvulnerability,
+} from './PlayerHealth';
+import { DEFAULT_TERRAIN_PARAMS, sampleHeight } from './TerrainHeight';
+import { sampleGroundAhead, computeHoverVelocity } from './HoverController';
+import { DEFAULT_LASSO } from './Lasso';
+import { DEFAULT_GRAPPLE, swingShip } from './Grapple';
+import { createTargetState } from './Targeting';
+import { DEFAULT_STAMINA, createStamina, updateStamina, startDash, isDashing } from './Stamina';
+import { DEFAULT_FLIGHT, chainTug, stepFlight, createTilt, updateTilt } from './FlightModel';
 
 /**
  * AirshipController - Hovercraft-style movement controller
  * 
- * Controls a floating capsule with smooth camera follow, inertia-based movement,
- * and visual bobbing effect.
+ * Controls a floating capsule with inertia-based movement and visual bobbing
+ * effect. In 'terrain' altitude mode the ship hovers at a clearance above the
+ * ground (looking ahead to ease over ridges) and E/Q adjust that clearance;
+ * 'absolute' mode clamps world Y between min/maxHeight.
+ *
+ * The 'physics' flight model (see FlightModel.js) replaces the velocity lerp
+ * and hover easing with thrust, drag, lift and a hover spring; the chain
+ * tugs the ship toward the anchor and the mesh banks and pitches. The
+ * 'arcade' model is the default.
+ *
+ * The camera is driven by CameraRig; this controller only publishes its
+ * position, rotation and velocity into a shared camera target.
+ *
+ * The ship takes damage from enemy contact, enemy projectiles and hard
+ * terrain impacts (see PlayerVitals). While dead it loses control and sinks
+ * until it respawns.
+ *
+ * Sprint and dash spend stamina (see Stamina.js). A dash bursts along the
+ * flight input (forward without any), gives brief i-frames and flings the
+ * anchor the same way, so a dash into a swing lands harder.
  * 
  * @param {number} baseSpeed - Movement units per second (default: 10)
  * @param {number} sprintMult - Sprint speed multiplier (default: 2)
  * @param {number} turnSpeed - Rotation speed for facing direction (default: 5)
- * @param {number[]} camOffset - Camera offset [x, y, z] from player (default: [0, 5, 10])
  * @param {number} smoothTime - Damping factor for movement inertia (default: 0.2)
- * @param {boolean} debug - When true, disables camera control (for OrbitControls)
  * @param {function} onPositionUpdate - Callback with player position for terrain following
+ * @param {object} terrainParams - Shared terrain params for ground height queries
+ * @param {object} cameraTarget - Shared camera target (see CameraTarget.js) to publish into
+ * @param {number[][]} checkpoints - Respawn checkpoints for the 'checkpoint' respawn mode
  */
 function AirshipController({
     baseSpeed = 10,
     sprintMult = 2,
     turnSpeed = 5,
-    camOffset = [0, 5, 10],
     smoothTime = 0.2,
-    debug = false,
     onPositionUpdate = null,
+    terrainParams = DEFAULT_TERRAIN_PARAMS,
+    cameraTarget = null,
+    checkpoints = [],
 }) {
     const rbRef = useRef();
     const playerRef = useRef();
     const arrowRef = useRef();
     const anchorRef = useRef();
     const enemyRefs = useRef([]);
-    const camera = useThree((state) => state.camera);
+    const bossRef = useRef(null);
+    const cursorRef = useRef({ hit: false, point: new THREE.Vector3() });
+    const [target] = useState(createTargetState);
+    const clock = useThree((state) => state.clock);
 
     // Game juice hooks
-    const { triggerHitEffect, triggerKillEffect } = useGameJuice();
+    const { emit } = useGameJuice();
 
-    // Get keyboard input state
-    const [, getKeys] = useKeyboardControls();
+    // Keyboard, gamepad and touch input as named actions
+    const getInput = useInput();
 
     // Leva controls for chain length
     const {
@@ -70,6 +115,8 @@ function AirshipController({
         gravityStrength,
         trailLength,
         chainSegmentCount,
+        chainDamping,
+        chainIterations,
     } = useControls('Anchor Physics', {
         anchorMass: { value: 5, min: 1, max: 20, step: 0.5 },
         anchorRadius: { value: 0.5, min: 0.2, max: 2, step: 0.1 },
@@ -78,19 +125,89 @@ function AirshipController({
         gravityStrength: { value: 20, min: 0, max: 50, step: 1 },
         trailLength: { value: 6, min: 0, max: 12, step: 1 },
         chainSegmentCount: { value: 10, min: 4, max: 20, step: 1 },
+        chainDamping: { value: 0.02, min: 0, max: 0.2, step: 0.01 },
+        chainIterations: { value: 12, min: 1, max: 40, step: 1 },
     });
 
     // Leva controls for flight limits
+    // 'terrain' keeps a clearance above the ground, 'absolute' clamps world Y
     const {
+        altitudeMode,
         minHeight,
         maxHeight,
         verticalSpeed,
+        targetClearance,
+        minClearance,
+        maxClearance,
+        hoverResponse,
+        lookAheadTime,
+        lookAheadSamples,
     } = useControls('Flight Limits', {
+        altitudeMode: { value: 'terrain', options: ['terrain', 'absolute'] },
         minHeight: { value: 3, min: 0, max: 20, step: 1 },
         maxHeight: { value: 20, min: 20, max: 200, step: 5 },
         verticalSpeed: { value: 8, min: 1, max: 20, step: 1 },
+        targetClearance: { value: 6, min: 1, max: 40, step: 0.5 },
+        minClearance: { value: 2, min: 0.5, max: 10, step: 0.5 },
+        maxClearance: { value: 30, min: 10, max: 100, step: 1 },
+        hoverResponse: { value: 4, min: 0.5, max: 15, step: 0.5 },
+        lookAheadTime: { value: 0.6, min: 0, max: 2, step: 0.1 },
+        lookAheadSamples: { value: 3, min: 0, max: 8, step: 1 },
     });
 
+    // Leva controls for the force-based flight model
+    const {
+        flightModel,
+        thrust,
+        drag,
+        sideDrag,
+        lift,
+        gravity,
+        hoverStiffness,
+        hoverDamping,
+        chainTugStrength,
+        maxBank,
+        maxPitch,
+        tiltAcceleration,
+        tiltResponse,
+    } = useControls('Flight Model', {
+        flightModel: { value: 'arcade', options: ['arcade', 'physics'] },
+        thrust: { value: DEFAULT_FLIGHT.thrust, min: 0.5, max: 10, step: 0.1 },
+        drag: { value: DEFAULT_FLIGHT.drag, min: 0.1, max: 10, step: 0.1 },
+        sideDrag: { value: DEFAULT_FLIGHT.sideDrag, min: 0, max: 20, step: 0.5 },
+        lift: { value: DEFAULT_FLIGHT.lift, min: 0, max: 1, step: 0.05 },
+        gravity: { value: DEFAULT_FLIGHT.gravity, min: 0, max: 30, step: 0.1 },
+        hoverStiffness: { value: DEFAULT_FLIGHT.hoverStiffness, min: 1, max: 100, step: 1 },
+        hoverDamping: { value: DEFAULT_FLIGHT.hoverDamping, min: 0, max: 30, step: 0.5 },
+        chainTugStrength: { value: DEFAULT_FLIGHT.chainTug, min: 0, max: 30, step: 0.5, label: 'chainTug' },
+        maxBank: { value: DEFAULT_FLIGHT.maxBank, min: 0, max: 1.2, step: 0.05 },
+        maxPitch: { value: DEFAULT_FLIGHT.maxPitch, min: 0, max: 0.8, step: 0.05 },
+        tiltAcceleration: { value: DEFAULT_FLIGHT.tiltAcceleration, min: 1, max: 100, step: 1 },
+        tiltResponse: { value: DEFAULT_FLIGHT.tiltResponse, min: 0.5, max: 20, step: 0.5 },
+    }, { collapsed: true });
+
+    const flightSettings = useMemo(() => ({
+        ...DEFAULT_FLIGHT,
+        thrust,
+        drag,
+        sideDrag,
+        lift,
+        gravity,
+        hoverStiffness,
+        hoverDamping,
+        chainTug: chainTugStrength,
+        maxBank,
+        maxPitch,
+        tiltAcceleration,
+        tiltResponse,
+    }), [
+        thrust, drag, sideDrag, lift, gravity, hoverStiffness, hoverDamping,
+        chainTugStrength, maxBank, maxPitch, tiltAcceleration, tiltResponse,
+    ]);
+
+    // Bank and pitch of the ship mesh (physics model)
+    const [tilt] = useState(createTilt);
+
     // Leva controls for mouse aiming
     const {
         enableMouseAim,
@@ -104,6 +221,274 @@ function AirshipController({
         aimAssistRange: { value: 5, min: 2, max: 15, step: 1 },
     });
 
+    // Leva controls for grabbing enemies with the anchor (hold Space)
+    const {
+        enableLasso,
+        lassoMaxMass,
+        throwScale,
+        throwStagger,
+    } = useControls('Lasso', {
+        enableLasso: { value: true },
+        lassoMaxMass: { value: 3, min: 0.5, max: 20, step: 0.5 },
+        throwScale: { value: 1, min: 0, max: 3, step: 0.1 },
+        throwStagger: { value: 0.8, min: 0, max: 3, step: 0.1 },
+    });
+
+    const lassoSettings = useMemo(() => ({
+        ...DEFAULT_LASSO,
+        maxMass: lassoMaxMass,
+        throwScale,
+        throwStagger,
+    }), [lassoMaxMass, throwScale, throwStagger]);
+
+    // Leva controls for grappling the terrain (hold F, E/Q reel)
+    const {
+        enableGrapple,
+        grappleRange,
+        grappleFireSpeed,
+        grappleReelSpeed,
+        swingGravity,
+        pumpAcceleration,
+        swingDrag,
+    } = useControls('Grapple', {
+        enableGrapple: { value: true },
+        grappleRange: { value: 40, min: 5, max: 100, step: 1 },
+        grappleFireSpeed: { value: 60, min: 10, max: 200, step: 5 },
+        grappleReelSpeed: { value: 10, min: 1, max: 30, step: 1 },
+        swingGravity: { value: 20, min: 0, max: 50, step: 1 },
+        pumpAcceleration: { value: 12, min: 0, max: 40, step: 1 },
+        swingDrag: { value: 0.15, min: 0, max: 2, step: 0.05 },
+    });
+
+    const grappleSettings = useMemo(() => ({
+        ...DEFAULT_GRAPPLE,
+        range: grappleRange,
+        fireSpeed: grappleFireSpeed,
+        reelSpeed: grappleReelSpeed,
+        gravity: swingGravity,
+        pumpAcceleration,
+        swingDrag,
+    }), [grappleRange, grappleFireSpeed, grappleReelSpeed, swingGravity, pumpAcceleration, swingDrag]);
+
+    // Leva controls for sprint stamina and the dash
+    const {
+        enableDash,
+        maxStamina,
+        sprintDrain,
+        staminaRegen,
+        regenDelay,
+        sprintRestart,
+        dashCost,
+        dashSpeed,
+        dashTime,
+        dashCooldown,
+        dashInvulnerability,
+        dashCarry,
+    } = useControls('Stamina & Dash', {
+        enableDash: { value: true },
+        maxStamina: { value: DEFAULT_STAMINA.maxStamina, min: 10, max: 300, step: 10 },
+        sprintDrain: { value: DEFAULT_STAMINA.sprintDrain, min: 0, max: 100, step: 1 },
+        staminaRegen: { value: DEFAULT_STAMINA.regenRate, min: 0, max: 100, step: 1 },
+        regenDelay: { value: DEFAULT_STAMINA.regenDelay, min: 0, max: 3, step: 0.1 },
+        sprintRestart: { value: DEFAULT_STAMINA.sprintRestart, min: 0, max: 100, step: 1 },
+        dashCost: { value: DEFAULT_STAMINA.dashCost, min: 0, max: 100, step: 1 },
+        dashSpeed: { value: DEFAULT_STAMINA.dashSpeed, min: 10, max: 100, step: 1 },
+        dashTime: { value: DEFAULT_STAMINA.dashTime, min: 0.05, max: 0.5, step: 0.01 },
+        dashCooldown: { value: DEFAULT_STAMINA.dashCooldown, min: 0, max: 3, step: 0.05 },
+        dashInvulnerability: { value: DEFAULT_STAMINA.dashInvulnerability, min: 0, max: 1, step: 0.05 },
+        dashCarry: { value: DEFAULT_STAMINA.dashCarry, min: 0, max: 2, step: 0.05 },
+    });
+
+    const staminaSettings = useMemo(() => ({
+        ...DEFAULT_STAMINA,
+        maxStamina,
+        sprintDrain,
+        regenRate: staminaRegen,
+        regenDelay,
+        sprintRestart,
+        dashCost,
+        dashSpeed,
+        dashTime,
+        dashCooldown,
+        dashInvulnerability,
+        dashCarry,
+    }), [
+        maxStamina, sprintDrain, staminaRegen, regenDelay, sprintRestart, dashCost,
+        dashSpeed, dashTime, dashCooldown, dashInvulnerability, dashCarry,
+    ]);
+
+    // Stamina meter and dash timers (bar drawn by PlayerVitals)
+    const [stamina] = useState(() => createStamina(staminaSettings));
+
+    // Leva controls for anchor damage
+    const {
+        minImpactSpeed,
+        damageScale,
+        maxDamage,
+        invulnerabilityTime,
+        knockbackScale,
+        knockbackLift,
+        staggerTime,
+        knockedTime,
+        impactSpeed,
+        impactDamageScale,
+        maxImpactDamage,
+    } = useControls('Combat', {
+        minImpactSpeed: { value: 3, min: 0, max: 20, step: 0.5 },
+        damageScale: { value: 0.05, min: 0.01, max: 0.5, step: 0.01 },
+        maxDamage: { value: 10, min: 1, max: 50, step: 1 },
+        invulnerabilityTime: { value: 0.3, min: 0, max: 2, step: 0.05 },
+        // Knockback on hits, and collision damage when thrown enemies land
+        knockbackScale: { value: 0.5, min: 0, max: 2, step: 0.05 },
+        knockbackLift: { value: 0.3, min: 0, max: 1, step: 0.05 },
+        staggerTime: { value: 0.5, min: 0, max: 3, step: 0.1 },
+        knockedTime: { value: 1.5, min: 0, max: 5, step: 0.1 },
+        impactSpeed: { value: 8, min: 1, max: 40, step: 1 },
+        impactDamageScale: { value: 0.25, min: 0, max: 2, step: 0.05 },
+        maxImpactDamage: { value: 5, min: 1, max: 20, step: 1 },
+    });
+
+    // Collision damage for thrown enemies (checked by the enemies themselves)
+    const knockbackSettings = useMemo(() => ({
+        knockedTime,
+        impactSpeed,
+        impactDamageScale,
+        maxImpactDamage,
+    }), [knockedTime, impactSpeed, impactDamageScale, maxImpactDamage]);
+
+    // Combat resolver keeps per-enemy invulnerability between hits
+    const resolveAnchorHit = useMemo(() => createCombatResolver({
+        // Juice events shake along the anchor's swing
+        onHit: (damage, enemy, collision) => emit('hit', {
+            damage,
+            enemy,
+            direction: collision.velocity,
+            position: collision.position,
+        }),
+        onKill: (enemy, collision) => emit('kill', {
+            enemy,
+            direction: collision.velocity,
+            position: collision.position,
+        }),
+        // Armor or a shield soaked the hit
+        onBlock: (enemy, collision) => emit('block', {
+            enemy,
+            direction: collision.velocity,
+            position: collision.position,
+        }),
+    }), [emit]);
+
+    // Wave enemies plus the boss, while a fight is on
+    const combatTargets = () => (bossRef.current ? [...enemyRefs.current, bossRef.current] : enemyRefs.current);
+
+    // Route anchor collisions (and deflected projectiles, which carry their own mass) through the resolver
+    const handleEnemyCollision = (collision) => {
+        resolveAnchorHit(collision, {
+            enemies: combatTargets(),
+            anchorMass: collision.mass ?? anchorMass,
+            time: clock.getElapsedTime(),
+            settings: {
+                minImpactSpeed,
+                damageScale,
+                maxDamage,
+                invulnerabilityTime,
+                knockbackScale,
+                knockbackLift,
+                staggerTime,
+            },
+        });
+    };
+
+    // Leva controls for player health and respawn
+    const {
+        maxHealth,
+        maxShield,
+        shieldRegenDelay,
+        shieldRegenRate,
+        playerInvulnerability,
+        lives,
+        respawnDelay,
+        respawnMode,
+        contactDamage,
+        attackDamage,
+        terrainImpactSpeed,
+        terrainDamageScale,
+    } = useControls('Player Health', {
+        maxHealth: { value: 10, min: 1, max: 50, step: 1 },
+        maxShield: { value: 5, min: 0, max: 50, step: 1 },
+        shieldRegenDelay: { value: 3, min: 0, max: 10, step: 0.5 },
+        shieldRegenRate: { value: 2, min: 0, max: 10, step: 0.5 },
+        playerInvulnerability: { value: 1, min: 0, max: 3, step: 0.1, label: 'invulnerability' },
+        lives: { value: 3, min: 0, max: 10, step: 1 }, // 0 = unlimited
+        respawnDelay: { value: 2, min: 0.5, max: 5, step: 0.5 },
+        respawnMode: { value: 'lastSafe', options: ['lastSafe', 'checkpoint'] },
+        contactDamage: { value: 1, min: 0, max: 10, step: 1 },
+        attackDamage: { value: 2, min: 0, max: 10, step: 1 },
+        terrainImpactSpeed: { value: 12, min: 2, max: 40, step: 1 },
+        terrainDamageScale: { value: 0.5, min: 0, max: 3, step: 0.1 },
+    });
+
+    const healthSettings = useMemo(() => ({
+        ...DEFAULT_PLAYER_HEALTH,
+        maxHealth,
+        maxShield,
+        shieldRegenDelay,
+        shieldRegenRate,
+        invulnerabilityTime: playerInvulnerability,
+        lives,
+        respawnDelay,
+        respawnMode,
+        contactDamage,
+        attackDamage,
+        terrainImpactSpeed,
+        terrainDamageScale,
+    }), [
+        maxHealth, maxShield, shieldRegenDelay, shieldRegenRate, playerInvulnerability, lives,
+        respawnDelay, respawnMode, contactDamage, attackDamage, terrainImpactSpeed, terrainDamageScale,
+    ]);
+
+    // Shared with PlayerVitals, which applies damage and handles respawns
+    const [player] = useState(() => createPlayerHealth(healthSettings, { x: 0, y: 10, z: 0 }));
+
+    // Enemy shots, stepped and drawn by ProjectileSystem
+    const [projectiles] = useState(() => createProjectilePool(64));
+    const handleEnemyFire = (origin, direction) => fireProjectile(projectiles, origin, direction);
+
+    // Ship collisions become 'player-damage' events
+    const handleShipCollision = (event) => {
+        const otherBody = event.other.rigidBody;
+        if (!otherBody || !rbRef.current || player.dead) return;
+
+        const shipPos = rbRef.current.translation();
+
+        // Fixed bodies are terrain. The contact is already solved here, so use
+        // the velocity from before the step, along the normal (grazing is free)
+        if (otherBody.isFixed()) {
+            const vel = state.impactVelocity;
+            const normal = event.manifold?.normal();
+            const speed = normal
+                ? Math.abs(vel.x * normal.x + vel.y * normal.y + vel.z * normal.z)
+                : vel.length();
+            const damage = terrainImpactDamage(speed, healthSettings);
+
+            if (damage > 0) {
+                emit('player-damage', { damage, source: 'terrain', direction: { x: vel.x, y: vel.y, z: vel.z } });
+            }
+            return;
+        }
+
+        const enemy = findEnemyByBody(combatTargets(), otherBody);
+        if (!enemy?.isAlive?.()) return;
+
+        // Knocked away from the enemy
+        const enemyPos = otherBody.translation();
+        emit('player-damage', {
+            damage: enemyContactDamage(enemy, healthSettings),
+            source: 'enemy',
+            direction: { x: shipPos.x - enemyPos.x, y: shipPos.y - enemyPos.y, z: shipPos.z - enemyPos.z },
+        });
+    };
+
     // Current chain length state
     const [chainLength, setChainLength] = useState(6);
 
@@ -113,12 +498,26 @@ function AirshipController({
         targetVelocity: new THREE.Vector3(),
         currentRotation: new THREE.Quaternion(),
         targetRotation: new THREE.Quaternion(),
-        cameraTargetPos: new THREE.Vector3(),
-        cameraLookTarget: new THREE.Vector3(), // Smoothed lookAt target
         inputDirection: new THREE.Vector3(),
         // Track facing direction separately from movement
         facingDirection: new THREE.Vector3(0, 0, -1),
         facingAngle: 0,
+        // Height above ground in terrain altitude mode (E/Q adjust it), and
+        // the targetClearance it last started from
+        clearance: null,
+        clearanceSetting: null,
+        // Physics model: hover height in absolute mode, velocity and chain tug
+        altitude: null,
+        flightVelocity: new THREE.Vector3(),
+        tug: new THREE.Vector3(),
+        // Grapple and dash: key state last frame, swing velocity kept between frames
+        grappleHeld: false,
+        dashHeld: false,
+        swingVelocity: new THREE.Vector3(),
+        swingPush: new THREE.Vector3(),
+        swingOut: new THREE.Vector3(),
+        // Ship velocity going into the physics step, for terrain impact damage
+        impactVelocity: new THREE.Vector3(),
         // Reusable temp vectors
         tempVec3: new THREE.Vector3(),
         tempEuler: new THREE.Euler(),
@@ -127,15 +526,26 @@ function AirshipController({
     // Bobbing animation time
     const bobTime = useRef(0);
 
-    useFrame((frameState, delta) => {
+    useBeforePhysicsStep(() => {
+        if (rbRef.current) state.impactVelocity.copy(rbRef.current.linvel());
+    });
+
+    // Game-time delta: frozen in hitstop, slowed in slow-mo
+    useScaledFrame((frameState, delta) => {
         if (!rbRef.current) return;
 
-        const { forward, backward, left, right, sprint, lasso, ascend, descend } = getKeys();
+        const { sprint, dash, lasso, grapple, ascend, descend, throttle, turn } = getInput();
         const rb = rbRef.current;
+        const anchor = anchorRef.current;
+        const grappling = anchor?.getGrapple().state ?? 'idle';
 
         // === CHAIN LENGTH CONTROL (Lasso/Whip) ===
-        if (lasso) {
-            // Reel in - shorten chain
+        if (grappling !== 'idle') {
+            // Grappled: E/Q reel the ship in and out
+            if (ascend) setChainLength(prev => Math.max(prev - grappleReelSpeed * delta, grappleSettings.minLength));
+            if (descend) setChainLength(prev => Math.min(prev + grappleReelSpeed * delta, grappleRange));
+        } else if (lasso) {
+            // Reel in - shorten chain (LassoController grabs enemies on the same key)
             setChainLength(prev => Math.max(prev - reelSpeed * delta, chainMinLength));
         } else {
             // Extend back to rest length (or max if whipping)
@@ -143,6 +553,10 @@ function AirshipController({
                 if (prev < chainRestLength) {
                     return Math.min(prev + extendSpeed * delta, chainRestLength);
                 }
+                // Pulled back in after a grapple
+                if (prev > chainRestLength) {
+                    return Math.max(prev - reelSpeed * delta, chainRestLength);
+                }
                 return prev;
             });
         }
@@ -151,14 +565,38 @@ function AirshipController({
         const position = rb.translation();
         const playerPos = new THREE.Vector3(position.x, position.y, position.z);
 
-        // === A. ROTATION (A/D keys) ===
-        // A/D rotate the ship left/right
-        if (left) {
-            state.facingAngle += turnSpeed * delta;  // Turn left
+        // === DEAD: no control, sink until PlayerVitals respawns the ship ===
+        // The camera target isn't updated, so the camera holds on the wreck
+        if (player.dead) {
+            if (grappling !== 'idle') anchor.releaseGrapple();
+            state.currentVelocity.multiplyScalar(Math.exp(-delta * 2));
+            rb.setLinvel({ x: state.currentVelocity.x, y: -4, z: state.currentVelocity.z }, true);
+            if (playerRef.current) playerRef.current.visible = false;
+            return;
         }
-        if (right) {
-            state.facingAngle -= turnSpeed * delta;  // Turn right
+
+        // === GRAPPLE (F): fire at the terrain under the cursor, let go on release ===
+        if (anchor) {
+            const cursor = cursorRef.current;
+            if (grapple && !state.grappleHeld && enableGrapple && grappling === 'idle' && cursor.hit) {
+                const distance = playerPos.distanceTo(cursor.point);
+                if (distance <= grappleRange) {
+                    anchor.grapple(cursor.point, grappleFireSpeed);
+                    setChainLength(distance);
+                }
+            } else if ((!grapple || !enableGrapple) && grappling !== 'idle') {
+                anchor.releaseGrapple();
+
+                // Keep the release height; upward swing speed carries into a higher hover
+                const ground = sampleHeight(position.x, position.z, terrainParams);
+                state.clearance = position.y - ground + Math.max(state.swingVelocity.y, 0) * 0.5;
+            }
         }
+        state.grappleHeld = grapple;
+
+        // === A. ROTATION (A/D keys) ===
+        // A/D (or the left stick) rotate the ship left/right
+        state.facingAngle += turn * turnSpeed * delta;
 
         // Apply rotation
         state.targetRotation.setFromAxisAngle(new THREE.Vector3(0, 1, 0), state.facingAngle);
@@ -170,67 +608,192 @@ function AirshipController({
 
         // === B. MOVEMENT (W/S keys) ===
         // W = move forward (in facing direction), S = move backward
-        let moveAmount = 0;
-        if (forward) moveAmount = 1;   // Forward
-        if (backward) moveAmount = -1; // Backward
+        // The left stick gives partial throttle
+        const moveAmount = throttle;
+
+        // Sprint only while there's stamina for it
+        const sprinting = updateStamina(stamina, { delta, sprint, moving: moveAmount !== 0 }, staminaSettings);
+        const speed = sprinting ? baseSpeed * sprintMult : baseSpeed;
+
+        // The physics model integrates forces further down instead (C2)
+        if (flightModel === 'arcade') {
+            // Target velocity is facing direction * move amount * speed
+            state.targetVelocity.copy(state.facingDirection).multiplyScalar(moveAmount * speed);
+
+            // Smooth velocity transition (inertia effect)
+            const dampFactor = 1 - Math.exp(-delta / smoothTime);
+            state.currentVelocity.lerp(state.targetVelocity, dampFactor);
+        }
 
-        const speed = sprint ? baseSpeed * sprintMult : baseSpeed;
+        // === DASH (X): burst along the flight input, forward without any ===
+        if (dash && !state.dashHeld && enableDash) {
+            // Turn is positive to the left; the ship's right is (-fz, 0, fx)
+            const facing = state.facingDirection;
+            const noInput = moveAmount === 0 && turn === 0;
+            const dashX = noInput ? facing.x : facing.x * moveAmount + facing.z * turn;
+            const dashZ = noInput ? facing.z : facing.z * moveAmount - facing.x * turn;
+
+            if (startDash(stamina, dashX, dashZ, staminaSettings)) {
+                const direction = stamina.direction;
+                grantInvulnerability(player, dashInvulnerability);
+
+                if (grappling === 'pinned') {
+                    // Kick the swing instead
+                    state.swingVelocity.add(state.tempVec3.set(direction.x, 0, direction.z).multiplyScalar(dashSpeed));
+                } else {
+                    // Fling the anchor along so the swing carries the dash
+                    const anchorBody = anchor?.getRigidBody();
+                    if (anchorBody) {
+                        const carry = anchorBody.mass() * dashSpeed * dashCarry;
+                        anchorBody.applyImpulse({ x: direction.x * carry, y: 0, z: direction.z * carry }, true);
+                    }
+                }
 
-        // Target velocity is facing direction * move amount * speed
-        state.targetVelocity.copy(state.facingDirection).multiplyScalar(moveAmount * speed);
+                emit('dash', {
+                    position: { x: position.x, y: position.y, z: position.z },
+                    direction: { x: direction.x, y: 0, z: direction.z },
+                });
+            }
+        }
+        state.dashHeld = dash;
 
-        // Smooth velocity transition (inertia effect)
-        const dampFactor = 1 - Math.exp(-delta / smoothTime);
-        state.currentVelocity.lerp(state.targetVelocity, dampFactor);
+        // Dash speed overrides steering, then eases back out through smoothing or drag
+        if (isDashing(stamina)) {
+            state.currentVelocity.set(stamina.direction.x * dashSpeed, 0, stamina.direction.z * dashSpeed);
+        }
 
         // Apply velocity to physics body
-        // Calculate vertical velocity with height clamping
         let verticalVel = 0;
         const currentY = position.y;
-
-        if (ascend && currentY < maxHeight) {
-            verticalVel = verticalSpeed;
-        } else if (descend && currentY > minHeight) {
-            verticalVel = -verticalSpeed;
+        let hoverHeight = currentY;
+
+        if (altitudeMode === 'terrain') {
+            // === C. HOVER: Hold a clearance above the terrain ===
+            // Start from targetClearance, and again whenever it's changed in leva
+            if (state.clearance === null || state.clearanceSetting !== targetClearance) {
+                state.clearance = targetClearance;
+                state.clearanceSetting = targetClearance;
+            }
+
+            // E/Q raise and lower the clearance instead of the ship directly
+            if (ascend) state.clearance += verticalSpeed * delta;
+            if (descend) state.clearance -= verticalSpeed * delta;
+            state.clearance = THREE.MathUtils.clamp(state.clearance, minClearance, maxClearance);
+
+            const ground = sampleGroundAhead(
+                position,
+                state.currentVelocity,
+                terrainParams,
+                lookAheadTime,
+                lookAheadSamples
+            );
+            verticalVel = computeHoverVelocity(currentY, ground, state.clearance, hoverResponse, verticalSpeed * 3);
+            hoverHeight = ground + state.clearance;
+        } else {
+            // Calculate vertical velocity with height clamping
+            if (ascend && currentY < maxHeight) {
+                verticalVel = verticalSpeed;
+            } else if (descend && currentY > minHeight) {
+                verticalVel = -verticalSpeed;
+            }
+
+            // Clamp position if at limits
+            if (currentY >= maxHeight && verticalVel > 0) verticalVel = 0;
+            if (currentY <= minHeight && verticalVel < 0) verticalVel = 0;
+
+            // Physics model: E/Q move the height the hover spring holds
+            if (state.altitude === null) state.altitude = currentY;
+            if (ascend) state.altitude += verticalSpeed * delta;
+            if (descend) state.altitude -= verticalSpeed * delta;
+            state.altitude = THREE.MathUtils.clamp(state.altitude, minHeight, maxHeight);
+            hoverHeight = state.altitude;
         }
 
-        // Clamp position if at limits
-        if (currentY >= maxHeight && verticalVel > 0) verticalVel = 0;
-        if (currentY <= minHeight && verticalVel < 0) verticalVel = 0;
+        if (flightModel === 'physics') {
+            // === C2. FORCE FLIGHT: thrust, drag, lift, hover spring, chain tug ===
+            // Forces act on the body's own velocity, so bumps and knockback carry over
+            state.flightVelocity.copy(rb.linvel());
+
+            const anchorBody = grappling === 'idle' ? anchor?.getRigidBody() : null;
+            const tug = anchorBody
+                ? chainTug(position, anchorBody.translation(), chainLength, flightSettings, state.tug)
+                : null;
+
+            stepFlight(state.flightVelocity, {
+                facing: state.facingDirection,
+                // Top speed is speed * thrust / drag: baseSpeed (or sprint) at default thrust
+                throttle: moveAmount * speed,
+                height: currentY,
+                hoverHeight,
+                tug,
+            }, delta, flightSettings);
+
+            // A dash holds its speed; drag takes over once it ends
+            if (isDashing(stamina)) {
+                state.flightVelocity.set(state.currentVelocity.x, state.flightVelocity.y, state.currentVelocity.z);
+            }
+            state.currentVelocity.set(state.flightVelocity.x, 0, state.flightVelocity.z);
+            verticalVel = state.flightVelocity.y;
+        }
 
-        rb.setLinvel({
-            x: state.currentVelocity.x,
-            y: verticalVel,
-            z: state.currentVelocity.z
-        }, true);
+        if (grappling === 'pinned') {
+            // === D. GRAPPLE SWING: the chain holds the ship up, W/S pump the swing ===
+            state.swingPush.copy(state.facingDirection).multiplyScalar(moveAmount * pumpAcceleration);
+            swingShip(
+                position,
+                state.swingVelocity,
+                anchor.getGrapple().pin,
+                chainLength,
+                state.swingPush,
+                delta,
+                state.swingOut,
+                grappleSettings
+            );
+            rb.setLinvel(state.swingOut, true);
+
+            // Carried over on release, then eased out by the smoothing above
+            state.currentVelocity.set(state.swingVelocity.x, 0, state.swingVelocity.z);
+            verticalVel = state.swingOut.y;
+        } else {
+            rb.setLinvel({
+                x: state.currentVelocity.x,
+                y: verticalVel,
+                z: state.currentVelocity.z
+            }, true);
+            state.swingVelocity.set(state.currentVelocity.x, verticalVel, state.currentVelocity.z);
+        }
 
         // === E. VISUAL BOBBING ===
         bobTime.current += delta;
         const bobAmount = Math.sin(bobTime.current * 3) * 0.1; // Amplitude 0.1, frequency 3
 
         // Update player mesh position for bobbing (visual only)
+        // Blinks while invulnerable after a hit or respawn
         if (playerRef.current) {
             playerRef.current.position.y = bobAmount;
+            playerRef.current.visible = player.invulnerable <= 0 || Math.floor(bobTime.current * 15) % 2 === 0;
+
+            // Physics model: bank into turns, pitch with acceleration
+            if (flightModel === 'physics') {
+                updateTilt(tilt, {
+                    forwardSpeed: state.currentVelocity.dot(state.facingDirection),
+                    turnRate: turn * turnSpeed,
+                }, delta, flightSettings);
+                playerRef.current.rotation.set(tilt.pitch, 0, tilt.bank);
+            } else {
+                playerRef.current.rotation.set(0, 0, 0);
+            }
         }
 
         // Arrow direction is handled by parent RigidBody rotation
         // No need to manually update it
 
-        // === F. CAMERA FOLLOW ===
-        if (!debug) {
-            // Calculate target camera position (behind and above player)
-            const offset = new THREE.Vector3(...camOffset);
-            // Rotate offset by player's rotation
-            offset.applyQuaternion(state.currentRotation);
-            state.cameraTargetPos.copy(playerPos).add(offset);
-
-            // Use high smoothing factor for tight follow (reduces jitter)
-            const smoothFactor = 1 - Math.exp(-delta * 10);
-            camera.position.lerp(state.cameraTargetPos, smoothFactor);
-
-            // Smooth the lookAt target as well to prevent snapping
-            state.cameraLookTarget.lerp(playerPos, smoothFactor);
-            camera.lookAt(state.cameraLookTarget);
+        // === F. PUBLISH CAMERA TARGET ===
+        if (cameraTarget) {
+            cameraTarget.position.copy(playerPos);
+            cameraTarget.rotation.copy(state.currentRotation);
+            cameraTarget.velocity.set(state.currentVelocity.x, verticalVel, state.currentVelocity.z);
+            Object.assign(cameraTarget, { sprint: sprinting || isDashing(stamina), valid: true });
         }
 
         // === G. NOTIFY TERRAIN ===
@@ -249,6 +812,7 @@ function AirshipController({
                 linearDamping={0}
                 angularDamping={0}
                 gravityScale={0}
+                onCollisionEnter={handleShipCollision}
             >
                 <Player ref={playerRef} />
                 {/* Direction arrow helper */}
@@ -277,9 +841,21 @@ function AirshipController({
                 gravityStrength={gravityStrength}
                 trailLength={trailLength}
                 chainSegmentCount={chainSegmentCount}
-                enemies={enemyRefs.current.filter(e => e?.isAlive?.())}
+                chainDamping={chainDamping}
+                chainIterations={chainIterations}
+                target={target}
                 aimAssistStrength={aimAssistStrength}
                 aimAssistRange={aimAssistRange}
+                onEnemyCollision={handleEnemyCollision}
+            />
+
+            {/* Aim-assist target and lock-on (R locks, C cycles) */}
+            <TargetingSystem
+                target={target}
+                shipRef={rbRef}
+                anchorRef={anchorRef}
+                enemiesRef={enemyRefs}
+                bossRef={bossRef}
             />
 
             {/* Mouse-guided anchor control */}
@@ -287,35 +863,56 @@ function AirshipController({
                 anchorRef={anchorRef}
                 enabled={enableMouseAim}
                 attractStrength={mouseAttractStrength}
+                cursorRef={cursorRef}
+                terrainParams={terrainParams}
             />
 
-            {/* Game Juice Processor (screen shake, hitstop) */}
-            <GameJuiceProcessor />
+            {/* Lasso: grab a touching enemy while Space is held, throw it on release */}
+            <LassoController
+                anchorRef={anchorRef}
+                enemiesRef={enemyRefs}
+                enabled={enableLasso}
+                settings={lassoSettings}
+            />
 
-            {/* Test Enemies */}
-            <Enemy
-                ref={(el) => (enemyRefs.current[0] = el)}
-                position={[5, 5, -10]}
-                health={3}
-                onHit={(damage) => triggerHitEffect(damage)}
-                onDeath={() => triggerKillEffect()}
+            {/* Health, shield, death and respawn */}
+            <PlayerVitals
+                shipRef={rbRef}
+                anchorRef={anchorRef}
+                player={player}
+                settings={healthSettings}
+                checkpoints={checkpoints}
+                stamina={stamina}
+                maxStamina={maxStamina}
             />
-            <Enemy
-                ref={(el) => (enemyRefs.current[1] = el)}
-                position={[-8, 5, -15]}
-                health={5}
-                color="#ff8844"
-                onHit={(damage) => triggerHitEffect(damage)}
-                onDeath={() => triggerKillEffect()}
+
+            {/* Enemy waves (hit/kill effects are fired by the combat resolver) */}
+            <EncounterManager
+                shipRef={rbRef}
+                terrainParams={terrainParams}
+                enemiesRef={enemyRefs}
+                onEnemyFire={handleEnemyFire}
+                knockbackSettings={knockbackSettings}
             />
-            <Enemy
-                ref={(el) => (enemyRefs.current[2] = el)}
-                position={[0, 5, -20]}
-                health={4}
-                color="#ff44aa"
-                size={1.5}
-                onHit={(damage) => triggerHitEffect(damage)}
-                onDeath={() => triggerKillEffect()}
+
+            {/* Boss fights (started from the 'Boss' leva folder) */}
+            <BossEncounter
+                shipRef={rbRef}
+                terrainParams={terrainParams}
+                bossRef={bossRef}
+                onFire={handleEnemyFire}
+            />
+
+            {/* Enemy projectiles (blocked or deflected by the anchor) */}
+            <ProjectileSystem
+                pool={projectiles}
+                shipRef={rbRef}
+                anchorRef={anchorRef}
+                enemiesRef={enemyRefs}
+                bossRef={bossRef}
+                terrainParams={terrainParams}
+                onEnemyHit={handleEnemyCollision}
+                anchorRadius={anchorRadius}
             />
         </>
     );
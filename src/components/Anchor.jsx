@@ -1,7 +1,11 @@
-import { useRef, useMemo, forwardRef, useImperativeHandle } from 'react';
+import { useRef, useMemo, useState, forwardRef, useImperativeHandle } from 'react';
 import { useFrame } from '@react-three/fiber';
 import { RigidBody } from '@react-three/rapier';
 import * as THREE from 'three/webgpu';
+import { createRope, resetRope, stepRope } from './Rope';
+import { useScaledFrame } from './TimeScale';
+import { useGameJuice } from './GameJuice';
+import { createGrapple, fireGrapple, releaseGrapple, stepGrappleFlight } from './Grapple';
 
 /**
  * Anchor - A heavy wrecking ball attached to the player's ship via spring constraint
@@ -10,7 +14,14 @@ import * as THREE from 'three/webgpu';
  * and movement, creating a momentum-based melee weapon.
  * 
  * Instead of Rapier joints (which don't update dynamically), we use a custom
- * spring constraint applied in useFrame.
+ * spring constraint applied in useFrame. The chain itself is a verlet rope
+ * (see Rope.js): its simulated shape decides when and in which direction the
+ * spring pulls, so a slack chain lets the anchor fly free and a wrapped chain
+ * pulls along its last link rather than straight at the ship.
+ *
+ * grapple(point) fires the anchor at a point and pins it there (Grapple.js);
+ * while grappled the spring, gravity and aim assist are off and the ship
+ * swings from the anchor instead.
  */
 const Anchor = forwardRef(function Anchor({
     shipRef,
@@ -23,14 +34,31 @@ const Anchor = forwardRef(function Anchor({
     trailLength = 6,
     trailOpacityFalloff = 0.6,
     chainSegmentCount = 10,
+    chainDamping = 0.02,
+    chainIterations = 12,
     // Aim assist props
-    enemies = [],
+    target = null, // From createTargetState (TargetingSystem picks the enemy)
     aimAssistStrength = 5, // Increased for better homing
     aimAssistRange = 8, // Increased range
     // Collision callback
     onEnemyCollision = null,
+    // Juice event thresholds
+    snapStretch = 0.3, // Stretch that counts as the chain snapping taut
+    snapSpeed = 6, // Minimum outward speed for a snap
+    landSpeed = 6, // Minimum speed for a ground impact
 }, ref) {
     const anchorRef = useRef();
+    const { emit } = useGameJuice();
+    const wasSlack = useRef(true);
+
+    // Trail buffer for ghost effect (stable ref, not state)
+    const trailBuffer = useRef([]);
+
+    // Verlet rope, rebuilt when the link count changes
+    const rope = useMemo(() => createRope(chainSegmentCount), [chainSegmentCount]);
+
+    // Terrain grapple (idle while the anchor hangs from the ship)
+    const [grapple] = useState(createGrapple);
 
     // Expose anchor ref and utility methods to parent
     useImperativeHandle(ref, () => ({
@@ -52,10 +80,26 @@ const Anchor = forwardRef(function Anchor({
             }
             return new THREE.Vector3();
         },
+        // Move the anchor to hang below a (respawned) ship, at rest, chain straight
+        teleport: (shipPosition) => {
+            const anchor = anchorRef.current;
+            if (!anchor) return;
+
+            const end = { x: shipPosition.x, y: shipPosition.y - chainLength, z: shipPosition.z };
+            anchor.setTranslation(end, true);
+            anchor.setLinvel({ x: 0, y: 0, z: 0 }, true);
+            releaseGrapple(grapple);
+            resetRope(rope, shipPosition, end);
+            trailBuffer.current = [];
+        },
+        // Fly to a point and pin there
+        grapple: (point, speed) => fireGrapple(grapple, point, speed),
+        // Let go of the pin; the anchor swings from the ship again
+        releaseGrapple: () => releaseGrapple(grapple),
+        // { state: 'idle' | 'flying' | 'pinned', pin }
+        getGrapple: () => grapple,
     }));
 
-    // Trail buffer for ghost effect (stable ref, not state)
-    const trailBuffer = useRef([]);
 
     // Mutable state to avoid re-renders
     const state = useMemo(() => ({
@@ -65,35 +109,66 @@ const Anchor = forwardRef(function Anchor({
         toEnemy: new THREE.Vector3(),
     }), []);
 
-    useFrame((frameState, delta) => {
+    useScaledFrame((frameState, delta) => {
         if (!anchorRef.current || !shipRef.current) return;
 
+        // Hitstop: the rope and trail freeze with the physics world
+        if (delta <= 0) return;
+
         const anchor = anchorRef.current;
         const ship = shipRef.current;
 
+        // === GRAPPLE: fly to the target, then hold still at the pin ===
+        if (grapple.state !== 'idle') {
+            if (grapple.state === 'flying') {
+                stepGrappleFlight(grapple, anchor.translation(), delta, state.tempVec3, state.velocity);
+            } else {
+                state.tempVec3.copy(grapple.pin);
+                state.velocity.set(0, 0, 0);
+            }
+            anchor.setTranslation(state.tempVec3, true);
+            anchor.setLinvel(state.velocity, true);
+        }
+
         // Get positions
         const anchorPos = anchor.translation();
         const shipPos = ship.translation();
 
-        // === SPRING CONSTRAINT: Keep anchor within chainLength ===
-        // Calculate vector from ship to anchor
-        state.direction.set(
-            anchorPos.x - shipPos.x,
-            anchorPos.y - shipPos.y,
-            anchorPos.z - shipPos.z
-        );
+        // === ROPE SIMULATION ===
+        const pull = stepRope(rope, {
+            start: shipPos,
+            end: anchorPos,
+            length: chainLength,
+            gravity: gravityStrength,
+            damping: chainDamping,
+            iterations: chainIterations,
+            delta,
+        });
 
-        const distance = state.direction.length();
+        // === UPDATE TRAIL BUFFER ===
+        trailBuffer.current.unshift({
+            x: anchorPos.x,
+            y: anchorPos.y,
+            z: anchorPos.z,
+        });
+        if (trailBuffer.current.length > trailLength) {
+            trailBuffer.current.pop();
+        }
+
+        // Pinned or in flight: the ship swings from the anchor, not the other way round
+        if (grapple.state !== 'idle') return;
 
-        // If stretched beyond chain length, apply spring force
-        if (distance > chainLength) {
+        // === SPRING CONSTRAINT: Pull anchor along the chain when it's taut ===
+        state.direction.set(pull.x, pull.y, pull.z);
+        const stretch = state.direction.length();
+
+        if (stretch > 0) {
             state.direction.normalize();
 
-            // Spring force pulls anchor toward max distance
-            const stretch = distance - chainLength;
-            const springForce = -stretch * springStiffness;
+            // Spring force pulls anchor back along the chain
+            const springForce = stretch * springStiffness;
 
-            // Get current velocity for damping
+            // Damp velocity away from the chain
             const vel = anchor.linvel();
             const radialVelocity = vel.x * state.direction.x +
                 vel.y * state.direction.y +
@@ -107,44 +182,35 @@ const Anchor = forwardRef(function Anchor({
                 y: state.direction.y * totalForce * delta,
                 z: state.direction.z * totalForce * delta,
             }, true);
+
+            // Slack chain yanked taut at speed: 'chain-snap' juice event
+            if (wasSlack.current && stretch > snapStretch && -radialVelocity > snapSpeed) {
+                emit('chain-snap', {
+                    position: { x: anchorPos.x, y: anchorPos.y, z: anchorPos.z },
+                    stretch,
+                });
+            }
         }
+        wasSlack.current = stretch < snapStretch;
 
         // === GRAVITY: Pull anchor down ===
         anchor.applyImpulse({ x: 0, y: -gravityStrength * delta, z: 0 }, true);
 
-        // === AIM ASSIST: Subtle homing toward nearest enemy ===
-        if (enemies.length > 0 && aimAssistStrength > 0) {
-            let nearestEnemy = null;
-            let nearestDist = aimAssistRange;
-
-            // Find nearest enemy within range
-            for (const enemy of enemies) {
-                if (!enemy) continue;
-
-                // Support both raw positions and refs with getPosition
-                const enemyPos = enemy.getPosition ? enemy.getPosition() : enemy;
-                if (!enemyPos) continue;
-
-                const dx = enemyPos.x - anchorPos.x;
-                const dz = enemyPos.z - anchorPos.z;
-                const dist = Math.sqrt(dx * dx + dz * dz);
-
-                if (dist < nearestDist) {
-                    nearestDist = dist;
-                    nearestEnemy = enemyPos;
-                }
-            }
+        // === AIM ASSIST: Subtle homing toward the current target ===
+        // Locked targets pull at full strength from any distance
+        if (target?.enemy && aimAssistStrength > 0) {
+            state.toEnemy.set(
+                target.position.x - anchorPos.x,
+                0, // Keep force horizontal
+                target.position.z - anchorPos.z
+            );
+            const dist = state.toEnemy.length();
 
-            // Apply subtle homing force toward nearest enemy
-            if (nearestEnemy) {
-                state.toEnemy.set(
-                    nearestEnemy.x - anchorPos.x,
-                    0, // Keep force horizontal
-                    nearestEnemy.z - anchorPos.z
-                ).normalize();
+            if (dist > 0 && (target.locked || dist < aimAssistRange)) {
+                state.toEnemy.divideScalar(dist);
 
                 // Strength falls off with distance (stronger when closer)
-                const falloff = 1 - (nearestDist / aimAssistRange);
+                const falloff = target.locked ? 1 : 1 - (dist / aimAssistRange);
                 const force = falloff * aimAssistStrength;
 
                 anchor.applyImpulse({
@@ -154,22 +220,10 @@ const Anchor = forwardRef(function Anchor({
                 }, true);
             }
         }
-
-        // === UPDATE TRAIL BUFFER ===
-        trailBuffer.current.unshift({
-            x: anchorPos.x,
-            y: anchorPos.y,
-            z: anchorPos.z,
-        });
-        if (trailBuffer.current.length > trailLength) {
-            trailBuffer.current.pop();
-        }
     });
 
-    // Handle collision with enemies
+    // Handle collision with enemies and the ground
     const handleCollision = (event) => {
-        if (!onEnemyCollision) return;
-
         // Get the other collider's rigid body
         const otherBody = event.other.rigidBody;
         if (!otherBody) return;
@@ -178,12 +232,27 @@ const Anchor = forwardRef(function Anchor({
         const vel = anchorRef.current?.linvel();
         const speed = vel ? Math.sqrt(vel.x * vel.x + vel.y * vel.y + vel.z * vel.z) : 0;
 
+        // Fixed bodies are terrain: 'land' juice event on a hard thud
+        if (otherBody.isFixed()) {
+            if (speed > landSpeed) {
+                const pos = anchorRef.current.translation();
+                emit('land', { position: { x: pos.x, y: pos.y, z: pos.z }, speed });
+            }
+            return;
+        }
+
+        if (!onEnemyCollision) return;
+
         // Only register hits with meaningful velocity
         if (speed > 1) {
+            // The anchor's own position: defenses tell the hit's side from it
+            const pos = anchorRef.current.translation();
             onEnemyCollision({
                 otherBody,
+                otherCollider: event.other.collider, // Tells weak points apart on multi-collider bodies
                 speed,
-                position: event.other.rigidBody.translation(),
+                velocity: { x: vel.x, y: vel.y, z: vel.z },
+                position: { x: pos.x, y: pos.y, z: pos.z },
             });
         }
     };
@@ -200,6 +269,8 @@ const Anchor = forwardRef(function Anchor({
                 angularDamping={0.5}
                 colliders="ball"
                 gravityScale={0} // We apply our own gravity
+                friction={1} // Drags across the ground instead of sliding
+                restitution={0.1} // Thuds into terrain rather than bouncing
                 onCollisionEnter={handleCollision}
             >
                 {/* Icosahedron mesh for PS1 aesthetic */}
@@ -209,12 +280,8 @@ const Anchor = forwardRef(function Anchor({
                 </mesh>
             </RigidBody>
 
-            {/* Chain Segments (visual only) */}
-            <ChainVisual
-                shipRef={shipRef}
-                anchorRef={anchorRef}
-                segmentCount={chainSegmentCount}
-            />
+            {/* Chain Links (visual only, positions from the rope simulation) */}
+            <ChainVisual rope={rope} />
 
             {/* Ghost Trail */}
             <GhostTrail
@@ -227,32 +294,28 @@ const Anchor = forwardRef(function Anchor({
 });
 
 /**
- * ChainVisual - Renders chain segments between ship and anchor
+ * ChainVisual - Renders a link at each interior rope node
  */
-function ChainVisual({ shipRef, anchorRef, segmentCount }) {
+function ChainVisual({ rope }) {
     const segmentsRef = useRef([]);
+    const linkCount = rope.nodeCount - 2;
 
     useFrame(() => {
-        if (!shipRef.current || !anchorRef.current) return;
+        if (!rope.initialized) return;
 
-        const shipPos = shipRef.current.translation();
-        const anchorPos = anchorRef.current.translation();
+        const positions = rope.positions;
 
-        // Update each segment position
+        // Node 0 is the ship and the last node is the anchor, so skip both
         segmentsRef.current.forEach((segment, i) => {
             if (!segment) return;
-            const t = (i + 1) / (segmentCount + 1);
-            segment.position.set(
-                shipPos.x + (anchorPos.x - shipPos.x) * t,
-                shipPos.y + (anchorPos.y - shipPos.y) * t,
-                shipPos.z + (anchorPos.z - shipPos.z) * t
-            );
+            const ix = (i + 1) * 3;
+            segment.position.set(positions[ix], positions[ix + 1], positions[ix + 2]);
         });
     });
 
     return (
         <>
-            {Array.from({ length: segmentCount }).map((_, i) => (
+            {Array.from({ length: linkCount }).map((_, i) => (
                 <mesh
                     key={i}
                     ref={(el) => (segmentsRef.current[i] = el)}
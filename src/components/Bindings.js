@@ -0,0 +1,191 @@
+import { ACTIONS, GAMEPAD_BUTTONS } from './Input';
+
+/**
+ * Bindings - Key and gamepad button bindings per action, saved in localStorage
+ *
+ * A bindings object is { keys, gamepad }: action name -> list of
+ * KeyboardEvent.code strings, and action name -> list of standard-mapping
+ * button indices. Bindings are treated as immutable (they live in React
+ * state), so the edit helpers return a new object.
+ *
+ * Saved bindings are merged over the defaults, so actions added later get
+ * their default binding instead of none.
+ */
+
+// Default keys per action, in ACTIONS order
+export const DEFAULT_KEYS = {
+    forward: ['KeyW', 'ArrowUp'],
+    backward: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    sprint: ['ShiftLeft', 'ShiftRight'],
+    dash: ['KeyX'],
+    lasso: ['Space'],
+    grapple: ['KeyF'],
+    lockOn: ['KeyR'],
+    cycleTarget: ['KeyC'],
+    ascend: ['KeyE'],
+    descend: ['KeyQ'],
+};
+
+export const DEFAULT_BINDINGS = {
+    keys: DEFAULT_KEYS,
+    gamepad: GAMEPAD_BUTTONS,
+};
+
+const STORAGE_KEY = 'galaxyGPU.bindings';
+
+// Standard mapping button names, by index
+const PAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home',
+];
+
+// Fill in every action from the defaults, keeping only well-formed lists
+function mergeDevice(saved, defaults, isValid) {
+    const merged = {};
+    for (const action of ACTIONS) {
+        const list = saved?.[action];
+        merged[action] = Array.isArray(list) && list.every(isValid) ? [...list] : [...(defaults[action] ?? [])];
+    }
+    return merged;
+}
+
+/**
+ * Load saved bindings, or the defaults when nothing (valid) is saved
+ */
+export function loadBindings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+        console.warn('Bindings: could not read saved bindings, using defaults', error);
+    }
+
+    return {
+        keys: mergeDevice(saved?.keys, DEFAULT_KEYS, (code) => typeof code === 'string'),
+        gamepad: mergeDevice(saved?.gamepad, GAMEPAD_BUTTONS, Number.isInteger),
+    };
+}
+
+/**
+ * Save bindings to localStorage
+ */
+export function saveBindings(bindings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.warn('Bindings: could not save bindings', error);
+    }
+}
+
+/**
+ * Forget saved bindings and return the defaults
+ */
+export function resetBindings() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.warn('Bindings: could not clear saved bindings', error);
+    }
+    return loadBindings();
+}
+
+/**
+ * Convert to drei's KeyboardControls map
+ */
+export function toKeyboardMap(bindings) {
+    return ACTIONS.map((name) => ({ name, keys: bindings.keys[name] ?? [] }));
+}
+
+/**
+ * Add a key (device 'keys') or button index (device 'gamepad') to an action
+ *
+ * @returns {object} New bindings
+ */
+export function bindInput(bindings, device, action, code) {
+    const list = bindings[device][action] ?? [];
+    if (list.includes(code)) return bindings;
+
+    return {
+        ...bindings,
+        [device]: { ...bindings[device], [action]: [...list, code] },
+    };
+}
+
+/**
+ * Remove a key or button index from an action
+ *
+ * @returns {object} New bindings
+ */
+export function unbindInput(bindings, device, action, code) {
+    return {
+        ...bindings,
+        [device]: {
+            ...bindings[device],
+            [action]: (bindings[device][action] ?? []).filter((bound) => bound !== code),
+        },
+    };
+}
+
+/**
+ * Keys or buttons bound to more than one action
+ *
+ * KeyboardControls only keeps the last action per key, so a conflicting
+ * key silently stops working for the others.
+ *
+ * @param {object} bindings
+ * @param {string} device - 'keys' or 'gamepad'
+ * @returns {Map} Key or button index -> action names (2+)
+ */
+export function findConflicts(bindings, device) {
+    const owners = new Map();
+    for (const action of ACTIONS) {
+        for (const code of bindings[device][action] ?? []) {
+            if (!owners.has(code)) owners.set(code, []);
+            owners.get(code).push(action);
+        }
+    }
+
+    for (const [code, actions] of owners) {
+        if (actions.length < 2) owners.delete(code);
+    }
+    return owners;
+}
+
+/**
+ * Readable name for a key code or button index
+ */
+export function formatBinding(device, code) {
+    if (device === 'gamepad') return PAD_BUTTON_NAMES[code] ?? `Button ${code}`;
+
+    return code
+        .replace(/^Key/, '')
+        .replace(/^Digit/, '')
+        .replace(/^Arrow/, '')
+        .replace(/^(Shift|Control|Alt|Meta)(Left|Right)$/, '$2 $1');
+}
+
+/**
+ * First button pressed on the pad that isn't in `held`
+ *
+ * Call once per frame while capturing: `held` is updated to the buttons
+ * currently down, so a button held when capture started doesn't count.
+ *
+ * @param {Gamepad|null} pad
+ * @param {Set} held - Button indices down last call
+ * @param {number} threshold - Pull that counts as pressed
+ * @returns {number} Button index, or -1
+ */
+export function findPressedButton(pad, held, threshold = 0.5) {
+    if (!pad) return -1;
+
+    let found = -1;
+    pad.buttons.forEach((button, index) => {
+        const down = (button.value || (button.pressed ? 1 : 0)) > threshold;
+        if (down && !held.has(index) && found < 0) found = index;
+        if (down) held.add(index);
+        else held.delete(index);
+    });
+    return found;
+}
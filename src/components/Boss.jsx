@@ -0,0 +1,355 @@
+import { useMemo, useRef, useState, forwardRef, useImperativeHandle } from 'react';
+import { RigidBody, CuboidCollider, BallCollider } from '@react-three/rapier';
+import * as THREE from 'three/webgpu';
+import { useGameJuice } from './GameJuice';
+import { useScaledFrame } from './TimeScale';
+import { sampleHeight } from './TerrainHeight';
+import {
+    DEFAULT_BOSS,
+    getBoss,
+    createBoss,
+    updateBoss,
+    resistBossDamage,
+    applyBossDamage,
+    isWeakPointExposed,
+    arenaOverflow,
+} from './Bosses';
+
+const TELEGRAPH_COLOR = new THREE.Color('#ffff00');
+const FLASH_COLOR = new THREE.Color('#ffffff');
+const WEAK_COLOR = new THREE.Color('#ffcc00');
+const ARMORED_COLOR = new THREE.Color('#555555');
+
+// Seconds a part flashes white after a hit
+const FLASH_TIME = 0.15;
+
+// Max turn rate (radians/s), so the player can get around to the weak points
+const TURN_RATE = 1.2;
+
+/**
+ * Boss - Multi-part boss built from a definition in Bosses.js
+ *
+ * One rigid body (rotations locked, yaw set from the AI) with an armored
+ * hull collider and one ball collider per weak point. The handle follows the
+ * Enemy interface, so the combat resolver and ship contact damage work
+ * unchanged: resistDamage maps the anchor collision's collider to a weak
+ * point and blocks hull hits, slow hits and hits during phase transitions.
+ *
+ * Telegraphs: the hull pulses yellow while winding up; slams also draw a
+ * growing ring on the ground, charges a line toward the target.
+ *
+ * Events: 'boss-phase' { phase, position }, 'boss-slam' { position },
+ * 'boss-defeated' { boss, position }, plus 'enemy-death' for debris and
+ * 'player-damage' { damage, source: 'boss', direction } for slams and charges.
+ *
+ * @param {string} boss - Boss id (default: DEFAULT_BOSS)
+ * @param {number[]} position - Spawn position [x, y, z]
+ * @param {{x,z}} arenaCenter - Center of the arena it stays inside
+ * @param {object} targetRef - RigidBody ref of the target (the ship)
+ * @param {object} terrainParams - Shared terrain params, for hover height
+ * @param {function} onFire - Called with (origin, direction) for volley shots
+ * @param {function} onDefeat - Called with the position when health reaches 0
+ */
+const Boss = forwardRef(function Boss({
+    boss: bossId = DEFAULT_BOSS,
+    position = [0, 10, -30],
+    arenaCenter = null,
+    targetRef = null,
+    terrainParams = null,
+    onFire = null,
+    onDefeat = null,
+}, ref) {
+    const definition = getBoss(bossId);
+    const { emit } = useGameJuice();
+
+    const rbRef = useRef();
+    const hullRef = useRef();
+    const weakMeshRefs = useRef([]);
+    const weakColliderRefs = useRef([]);
+    const ringRef = useRef();
+    const lineRef = useRef();
+
+    const [boss] = useState(() => createBoss(definition));
+    const [alive, setAlive] = useState(true);
+
+    const yaw = useRef(0);
+    const windup = useRef(1); // Length of the current telegraph
+    const chargeHit = useRef(false); // Charge already damaged the ship
+    const hullFlash = useRef(0);
+    const weakFlash = useRef(new Float32Array(definition.weakPoints.length));
+
+    // Reusable temp objects
+    const state = useMemo(() => ({
+        baseColor: new THREE.Color(definition.color),
+        impulse: new THREE.Vector3(),
+        inward: { x: 0, z: 0 },
+        rotation: new THREE.Quaternion(),
+        up: new THREE.Vector3(0, 1, 0),
+        position: new THREE.Vector3(), // Returned by getPosition, overwritten on every call
+    }), [definition]);
+
+    const [sx, sy, sz] = definition.size;
+    const radius = Math.max(sx, sz) * 0.5;
+
+    // Weak point owning a Rapier collider (-1 = the hull)
+    const findWeakPoint = (collider) => {
+        if (!collider) return -1;
+        return weakColliderRefs.current.findIndex((weak) => weak && weak.handle === collider.handle);
+    };
+
+    const takeDamage = (damage = 1, hit = null) => {
+        const result = applyBossDamage(boss, definition, damage);
+        if (!result) return;
+
+        hullFlash.current = FLASH_TIME;
+        const pos = rbRef.current?.translation();
+        const point = pos ? { x: pos.x, y: pos.y, z: pos.z } : null;
+
+        if (result.phaseChanged) {
+            emit('boss-phase', { phase: boss.phase, position: point });
+        }
+
+        if (result.killed) {
+            setAlive(false);
+            if (point) {
+                const vel = rbRef.current.linvel();
+                emit('enemy-death', {
+                    position: point,
+                    velocity: { x: vel.x, y: vel.y, z: vel.z },
+                    impact: hit?.velocity ?? null,
+                    size: Math.max(sx, sy, sz),
+                    color: state.baseColor.clone(),
+                    archetype: null,
+                });
+            }
+            emit('boss-defeated', { boss: bossId, position: point });
+            onDefeat?.(point);
+        }
+    };
+
+    // Enemy-style handle
+    useImperativeHandle(ref, () => ({
+        getPosition: () => (rbRef.current
+            ? state.position.copy(rbRef.current.translation())
+            : state.position.fromArray(position)),
+        getRigidBody: () => rbRef.current,
+        takeDamage,
+        isAlive: () => boss.state !== 'dead',
+        getHealth: () => boss.health,
+        getMaxHealth: () => definition.health,
+        getPhase: () => boss.phase,
+        getState: () => boss.state,
+        getArchetype: () => null,
+        getDefinition: () => definition,
+        // Only exposed weak points hit fast enough take damage
+        resistDamage: (damage, hit) => {
+            const index = findWeakPoint(hit?.otherCollider);
+            const dealt = resistBossDamage(boss, definition.weakPoints[index] ?? null, damage, hit?.speed ?? 0);
+            if (dealt > 0) weakFlash.current[index] = FLASH_TIME;
+            return dealt;
+        },
+    }));
+
+    // Attack landing
+    const strike = (attack, pos, target) => {
+        const ground = terrainParams ? sampleHeight(pos.x, pos.z, terrainParams) : pos.y - definition.hoverHeight;
+
+        if (attack.type === 'slam') {
+            rbRef.current.setLinvel({ x: 0, y: -30, z: 0 }, true);
+            emit('boss-slam', { position: { x: pos.x, y: ground, z: pos.z } });
+
+            if (target) {
+                const dx = target.x - pos.x;
+                const dz = target.z - pos.z;
+                const distance = Math.hypot(dx, dz);
+                if (distance <= attack.radius && target.y - ground <= attack.radius) {
+                    emit('player-damage', {
+                        damage: attack.damage,
+                        source: 'boss',
+                        direction: { x: dx / (distance || 1), y: 0.5, z: dz / (distance || 1) },
+                    });
+                }
+            }
+        } else if (attack.type === 'volley' && onFire && target) {
+            const origin = { x: pos.x, y: pos.y + sy * 0.5, z: pos.z };
+            const base = Math.atan2(target.x - origin.x, target.z - origin.z);
+            const spread = (attack.spread * Math.PI) / 180;
+            const dy = (target.y - origin.y) / Math.max(Math.hypot(target.x - origin.x, target.z - origin.z), 1);
+
+            for (let i = 0; i < attack.count; i++) {
+                const angle = base + (attack.count > 1 ? (i / (attack.count - 1) - 0.5) * spread : 0);
+                onFire(origin, { x: Math.sin(angle), y: dy, z: Math.cos(angle) });
+            }
+        } else if (attack.type === 'charge') {
+            chargeHit.current = false;
+        }
+    };
+
+    // Game time, so the AI and telegraphs hold through hitstop
+    useScaledFrame((frameState, delta) => {
+        const rb = rbRef.current;
+        if (!rb || !alive || delta <= 0) return;
+
+        const pos = rb.translation();
+        const target = targetRef?.current?.translation() ?? null;
+
+        // === AI ===
+        const event = updateBoss(boss, definition, { position: pos, target, delta });
+        const attack = boss.attack ? definition.attacks[boss.attack] : null;
+
+        if (event === 'telegraph') windup.current = Math.max(boss.timer, 0.001);
+        if (event === 'strike') strike(attack, pos, target);
+
+        // Charge damage: once per charge, on contact
+        if (boss.state === 'attack' && attack?.type === 'charge' && target && !chargeHit.current) {
+            const dx = target.x - pos.x;
+            const dz = target.z - pos.z;
+            if (Math.hypot(dx, dz) < radius + 1.5 && Math.abs(target.y - pos.y) < sy + 1.5) {
+                chargeHit.current = true;
+                emit('player-damage', { damage: attack.damage, source: 'boss', direction: { x: boss.aim.x, y: 0.3, z: boss.aim.z } });
+            }
+        }
+
+        // === ARENA: steer back in if pushed out ===
+        let desiredX = boss.desired.x;
+        let desiredZ = boss.desired.z;
+        if (arenaCenter) {
+            const overflow = arenaOverflow(pos, arenaCenter, definition.arena.radius - radius, state.inward);
+            if (overflow > 0) {
+                desiredX = state.inward.x * Math.max(overflow * 2, 4);
+                desiredZ = state.inward.z * Math.max(overflow * 2, 4);
+            }
+        }
+
+        // === STEERING: blend toward the desired velocity, hover above the terrain ===
+        const vel = rb.linvel();
+        const blend = Math.min((boss.state === 'attack' ? 10 : 4) * delta, 1) * rb.mass();
+        const ground = terrainParams ? sampleHeight(pos.x, pos.z, terrainParams) : pos.y - definition.hoverHeight;
+        const lift = boss.state === 'telegraph' && attack?.type === 'slam' ? 4 : 0; // Rise before a slam
+        const desiredY = Math.min(Math.max((ground + definition.hoverHeight + lift - pos.y) * 2, -8), 8);
+
+        state.impulse.set(
+            (desiredX - vel.x) * blend,
+            boss.state === 'attack' && attack?.type === 'slam' ? 0 : (desiredY - vel.y) * blend,
+            (desiredZ - vel.z) * blend
+        );
+        rb.applyImpulse(state.impulse, true);
+
+        // === FACING: turn at a limited rate ===
+        const targetYaw = Math.atan2(boss.facing.x, boss.facing.z);
+        const turn = Math.atan2(Math.sin(targetYaw - yaw.current), Math.cos(targetYaw - yaw.current));
+        yaw.current += Math.max(-TURN_RATE * delta, Math.min(TURN_RATE * delta, turn));
+        rb.setRotation(state.rotation.setFromAxisAngle(state.up, yaw.current), true);
+
+        // === COLORS ===
+        const telegraphing = boss.state === 'telegraph';
+        const pulse = 0.5 + 0.5 * Math.sin(frameState.clock.elapsedTime * 20);
+
+        hullFlash.current -= delta;
+        if (hullRef.current) {
+            const color = hullRef.current.material.color;
+            if (hullFlash.current > 0) color.copy(FLASH_COLOR);
+            else if (telegraphing) color.copy(state.baseColor).lerp(TELEGRAPH_COLOR, pulse);
+            else if (boss.state === 'transition') color.copy(state.baseColor).lerp(FLASH_COLOR, pulse * 0.5);
+            else color.copy(state.baseColor);
+        }
+
+        definition.weakPoints.forEach((weakPoint, index) => {
+            weakFlash.current[index] -= delta;
+            const mesh = weakMeshRefs.current[index];
+            if (!mesh) return;
+
+            const color = mesh.material.color;
+            if (weakFlash.current[index] > 0) color.copy(FLASH_COLOR);
+            else if (isWeakPointExposed(boss, weakPoint)) color.copy(WEAK_COLOR);
+            else color.copy(ARMORED_COLOR);
+        });
+
+        // === TELEGRAPHS ===
+        const progress = telegraphing ? 1 - Math.max(boss.timer, 0) / windup.current : 0;
+
+        if (ringRef.current) {
+            ringRef.current.visible = telegraphing && attack?.type === 'slam';
+            if (ringRef.current.visible) {
+                ringRef.current.position.set(pos.x, ground + 0.3, pos.z);
+                ringRef.current.scale.setScalar(attack.radius * Math.max(progress, 0.05));
+            }
+        }
+
+        if (lineRef.current) {
+            lineRef.current.visible = telegraphing && attack?.type === 'charge' && !!target;
+            if (lineRef.current.visible) {
+                const length = attack.speed * attack.duration;
+                lineRef.current.position.set(
+                    pos.x + boss.facing.x * length * 0.5,
+                    ground + 0.3,
+                    pos.z + boss.facing.z * length * 0.5
+                );
+                lineRef.current.rotation.set(0, Math.atan2(boss.facing.x, boss.facing.z), 0);
+                lineRef.current.scale.set(radius * 2 * progress, 1, length);
+            }
+        }
+    });
+
+    if (!alive) return null;
+
+    return (
+        <>
+            <RigidBody
+                ref={rbRef}
+                type="dynamic"
+                position={position}
+                gravityScale={0}
+                linearDamping={1}
+                lockRotations
+                colliders={false}
+            >
+                {/* Armored hull: blocks every hit */}
+                <CuboidCollider args={[sx * 0.5, sy * 0.5, sz * 0.5]} mass={definition.mass} />
+                <mesh ref={hullRef}>
+                    <boxGeometry args={[sx, sy, sz]} />
+                    <meshBasicMaterial color={definition.color} wireframe />
+                </mesh>
+
+                {/* Weak points */}
+                {definition.weakPoints.map((weakPoint, index) => (
+                    <group key={weakPoint.id}>
+                        <BallCollider
+                            ref={(collider) => {
+                                weakColliderRefs.current[index] = collider;
+                            }}
+                            position={weakPoint.offset}
+                            args={[weakPoint.radius]}
+                            mass={0}
+                        />
+                        <mesh
+                            ref={(mesh) => {
+                                weakMeshRefs.current[index] = mesh;
+                            }}
+                            position={weakPoint.offset}
+                        >
+                            <icosahedronGeometry args={[weakPoint.radius, 1]} />
+                            <meshBasicMaterial color="#555555" wireframe />
+                        </mesh>
+                    </group>
+                ))}
+            </RigidBody>
+
+            {/* Slam telegraph: ring growing to the hit radius */}
+            <mesh ref={ringRef} rotation={[-Math.PI / 2, 0, 0]} visible={false}>
+                <ringGeometry args={[0.92, 1, 48]} />
+                <meshBasicMaterial color="#ff6600" side={THREE.DoubleSide} />
+            </mesh>
+
+            {/* Charge telegraph: lane the boss will ram through */}
+            <group ref={lineRef} visible={false}>
+                <mesh rotation={[-Math.PI / 2, 0, 0]}>
+                    <planeGeometry args={[1, 1]} />
+                    <meshBasicMaterial color="#ff6600" transparent opacity={0.35} side={THREE.DoubleSide} />
+                </mesh>
+            </group>
+        </>
+    );
+});
+
+export default Boss;
@@ -0,0 +1,193 @@
+import { useMemo, useRef, useState, useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+import { useControls, button } from 'leva';
+import * as THREE from 'three/webgpu';
+import { useScaledFrame } from './TimeScale';
+import { sampleHeight } from './TerrainHeight';
+import { DEFAULT_BOSS, getBoss, listBosses, arenaOverflow } from './Bosses';
+import Boss from './Boss';
+
+// Boss spawns this far ahead (-Z) of the ship
+const SPAWN_DISTANCE = 30;
+
+/**
+ * BossEncounter - Starts a boss fight, walls in the arena and shows the boss bar
+ *
+ * Leva 'Boss' folder: pick a boss and press 'start fight'. The boss spawns
+ * ahead of the ship at the center of its arena (definition.arena.radius);
+ * while it lives the ship can't leave the arena and a health bar with phase
+ * marks sits at the top of the screen (plain DOM over the canvas, updated
+ * without re-renders).
+ *
+ * @param {object} shipRef - Player RigidBody ref (boss target, kept in the arena)
+ * @param {object} terrainParams - Shared terrain params
+ * @param {object} bossRef - Ref that receives the boss handle (null when no fight)
+ * @param {function} onFire - Called with (origin, direction) for boss projectiles
+ */
+function BossEncounter({ shipRef, terrainParams = null, bossRef, onFire = null }) {
+    const domElement = useThree((state) => state.gl.domElement);
+    const [encounter, setEncounter] = useState(null);
+    const barRef = useRef(null);
+
+    useControls('Boss', {
+        boss: { value: DEFAULT_BOSS, options: listBosses() },
+        // Placed next frame, from wherever the ship is by then
+        'start fight': button((get) => setEncounter((previous) => ({
+            key: (previous?.key ?? 0) + 1,
+            id: get('Boss.boss'),
+            center: null,
+        }))),
+        'end fight': button(() => setEncounter(null)),
+    }, { collapsed: true });
+
+    const definition = encounter ? getBoss(encounter.id) : null;
+
+    // Reusable objects to avoid GC
+    const state = useMemo(() => ({
+        inward: { x: 0, z: 0 },
+        position: new THREE.Vector3(),
+    }), []);
+
+    // Screen-space health bar for the current fight
+    useEffect(() => {
+        if (!encounter?.center) return;
+
+        const bar = createBossBar(domElement.parentNode, getBoss(encounter.id));
+        barRef.current = bar;
+
+        return () => {
+            bar.remove();
+            barRef.current = null;
+        };
+    }, [encounter, domElement]);
+
+    useScaledFrame(() => {
+        if (encounter && !encounter.center) {
+            const placed = planEncounter(encounter.id, shipRef, terrainParams);
+            if (placed) setEncounter({ ...encounter, ...placed });
+            return;
+        }
+
+        const boss = bossRef.current;
+        if (!encounter || !boss) return;
+
+        barRef.current?.setHealth(boss.getHealth() / boss.getMaxHealth());
+
+        // === ARENA: the ship can't leave while the boss lives ===
+        const rb = shipRef.current;
+        if (!rb || !boss.isAlive()) return;
+
+        const pos = rb.translation();
+        const overflow = arenaOverflow(pos, encounter.center, definition.arena.radius, state.inward);
+        if (overflow > 0) {
+            state.position.set(pos.x + state.inward.x * overflow, pos.y, pos.z + state.inward.z * overflow);
+            rb.setTranslation(state.position, true);
+        }
+    });
+
+    if (!encounter?.center) return null;
+
+    return (
+        <>
+            <Boss
+                key={encounter.key}
+                ref={bossRef}
+                boss={encounter.id}
+                position={encounter.position}
+                arenaCenter={encounter.center}
+                targetRef={shipRef}
+                terrainParams={terrainParams}
+                onFire={onFire}
+                onDefeat={() => setEncounter(null)}
+            />
+
+            {/* Arena wall */}
+            <mesh position={[encounter.center.x, encounter.ground + 10, encounter.center.z]}>
+                <cylinderGeometry args={[definition.arena.radius, definition.arena.radius, 40, 64, 4, true]} />
+                <meshBasicMaterial color="#ff3344" wireframe transparent opacity={0.25} side={THREE.DoubleSide} />
+            </mesh>
+        </>
+    );
+}
+
+/**
+ * Where a fight against a boss would take place, from the ship's position
+ *
+ * @returns {object|null} { position, center, ground }, or null without a ship
+ */
+function planEncounter(id, shipRef, terrainParams) {
+    const ship = shipRef.current?.translation();
+    if (!ship) return null;
+
+    const definition = getBoss(id);
+    const x = ship.x;
+    const z = ship.z - SPAWN_DISTANCE;
+    const ground = terrainParams ? sampleHeight(x, z, terrainParams) : 0;
+
+    return { position: [x, ground + definition.hoverHeight, z], center: { x, z }, ground };
+}
+
+/**
+ * Build the boss bar DOM over the canvas
+ *
+ * @param {HTMLElement} parent - Canvas container
+ * @param {object} definition - Boss definition (name, phase thresholds)
+ * @returns {{ setHealth(fraction), remove() }}
+ */
+function createBossBar(parent, definition) {
+    const root = document.createElement('div');
+    Object.assign(root.style, {
+        position: 'absolute',
+        top: '16px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        width: 'min(60vw, 640px)',
+        pointerEvents: 'none',
+        fontFamily: 'monospace',
+        color: '#ffffff',
+        textShadow: '0 0 4px #000000',
+    });
+
+    const label = document.createElement('div');
+    label.textContent = definition.name;
+    label.style.marginBottom = '4px';
+
+    const track = document.createElement('div');
+    Object.assign(track.style, {
+        position: 'relative',
+        height: '12px',
+        background: '#333333',
+        border: '1px solid #ffffff',
+    });
+
+    const fill = document.createElement('div');
+    Object.assign(fill.style, { height: '100%', width: '100%', background: '#ff3344' });
+    track.appendChild(fill);
+
+    // Phase marks at each threshold below full health
+    for (const phase of definition.phases) {
+        if (phase.threshold >= 1) continue;
+        const mark = document.createElement('div');
+        Object.assign(mark.style, {
+            position: 'absolute',
+            top: '0',
+            bottom: '0',
+            left: `${phase.threshold * 100}%`,
+            width: '2px',
+            background: '#ffffff',
+        });
+        track.appendChild(mark);
+    }
+
+    root.append(label, track);
+    parent.appendChild(root);
+
+    return {
+        setHealth: (fraction) => {
+            fill.style.width = `${Math.max(0, Math.min(1, fraction)) * 100}%`;
+        },
+        remove: () => root.remove(),
+    };
+}
+
+export default BossEncounter;
@@ -0,0 +1,291 @@
+/**
+ * Bosses - Boss definitions as data, plus the boss state machine
+ *
+ * No React or Rapier. A definition lists everything that makes a boss
+ * different, so a new boss is mostly a new entry here:
+ *
+ * - name, health, mass, size [x, y, z], color, hoverHeight (body center above the terrain)
+ * - arena: { radius } - circle around the spawn point the fight stays inside
+ * - weakPoints: [{ id, offset [x, y, z], radius, minImpactSpeed, damageScale, phase }]
+ *   Only weak points take damage, only from anchor hits at or above
+ *   minImpactSpeed, and only once the boss has reached `phase` (index)
+ * - attacks: { id: { type: 'slam' | 'volley' | 'charge', windup, recover, ... } }
+ *   - slam: rises, then hits everything within `radius` (ship damage `damage`)
+ *   - volley: `count` projectiles in a `spread`-degree fan at the target
+ *   - charge: rams toward where the target was at `speed` for `duration` seconds
+ * - phases: [{ threshold, moveSpeed, attackCooldown, attacks: [ids], windupScale }]
+ *   A phase starts when health fraction drops to its threshold (first = 1)
+ * - phaseTransitionTime: seconds the boss is invulnerable between phases
+ *
+ * Boss.jsx turns a definition into rigid bodies and visuals and acts on the
+ * events updateBoss returns.
+ */
+
+const BOSSES = {
+    colossus: {
+        name: 'Colossus',
+        health: 60,
+        mass: 60,
+        size: [5, 2.5, 5],
+        color: '#cc3333',
+        hoverHeight: 5,
+        arena: { radius: 45 },
+        weakPoints: [
+            { id: 'port', offset: [-3, 0, 0], radius: 0.9, minImpactSpeed: 9, damageScale: 1, phase: 0 },
+            { id: 'starboard', offset: [3, 0, 0], radius: 0.9, minImpactSpeed: 9, damageScale: 1, phase: 0 },
+            { id: 'tail', offset: [0, 0, -3], radius: 0.9, minImpactSpeed: 9, damageScale: 1, phase: 0 },
+            // Opens once the boss is hurt; only a full-speed swing gets through
+            { id: 'core', offset: [0, 1.8, 0], radius: 1.1, minImpactSpeed: 14, damageScale: 2, phase: 1 },
+        ],
+        attacks: {
+            slam: { type: 'slam', windup: 1.4, recover: 1, radius: 10, damage: 3 },
+            volley: { type: 'volley', windup: 0.9, recover: 0.8, count: 5, spread: 50 },
+            charge: { type: 'charge', windup: 1.1, recover: 1.2, speed: 22, duration: 1, damage: 2 },
+        },
+        phases: [
+            { threshold: 1, moveSpeed: 3, attackCooldown: 3, attacks: ['slam', 'volley'] },
+            { threshold: 0.6, moveSpeed: 5, attackCooldown: 2.2, attacks: ['slam', 'volley', 'charge'] },
+            { threshold: 0.3, moveSpeed: 7, attackCooldown: 1.4, attacks: ['charge', 'volley', 'slam'], windupScale: 0.7 },
+        ],
+        phaseTransitionTime: 2,
+    },
+};
+
+export const DEFAULT_BOSS = 'colossus';
+
+// Distance the boss keeps from its target while closing in
+const CLOSE_RANGE = 8;
+
+/**
+ * Look up a boss definition
+ * Unknown ids log a warning and fall back to DEFAULT_BOSS.
+ *
+ * @param {string} id - Boss id
+ * @returns {object} Definition
+ */
+export function getBoss(id = DEFAULT_BOSS) {
+    const boss = BOSSES[id];
+    if (boss) return boss;
+
+    console.warn(`Unknown boss '${id}', using '${DEFAULT_BOSS}'`);
+    return BOSSES[DEFAULT_BOSS];
+}
+
+/**
+ * Add or replace a boss (e.g. from a level file)
+ *
+ * @param {string} id - Boss id
+ * @param {object} definition - Fields missing here come from DEFAULT_BOSS
+ */
+export function registerBoss(id, definition) {
+    BOSSES[id] = { ...BOSSES[DEFAULT_BOSS], ...definition };
+}
+
+/**
+ * All registered boss ids
+ */
+export function listBosses() {
+    return Object.keys(BOSSES);
+}
+
+/**
+ * Create the fight state for one boss
+ *
+ * @param {object} definition - From getBoss
+ */
+export function createBoss(definition) {
+    return {
+        health: definition.health,
+        phase: 0,
+        state: 'chase', // chase | telegraph | attack | recover | transition | dead
+        timer: 0,
+        cooldown: definition.phases[0].attackCooldown,
+        attack: null, // Id of the attack being telegraphed or performed
+        aim: { x: 0, z: 1 }, // Locked direction for charges
+        desired: { x: 0, z: 0 }, // Desired horizontal velocity
+        facing: { x: 0, z: 1 },
+    };
+}
+
+/**
+ * Phase index for a health fraction
+ */
+export function bossPhaseFor(definition, healthFraction) {
+    let phase = 0;
+    definition.phases.forEach((candidate, index) => {
+        if (healthFraction <= candidate.threshold) phase = index;
+    });
+    return phase;
+}
+
+/**
+ * Whether a weak point can be damaged right now
+ */
+export function isWeakPointExposed(boss, weakPoint) {
+    return boss.state !== 'transition' && boss.state !== 'dead' && boss.phase >= (weakPoint.phase ?? 0);
+}
+
+/**
+ * Damage a hit on a weak point would deal (0 = blocked)
+ *
+ * @param {object} boss - From createBoss
+ * @param {object} weakPoint - Entry of definition.weakPoints, or null for the armored hull
+ * @param {number} damage - Damage before the weak point
+ * @param {number} speed - Anchor speed at impact
+ * @returns {number} Damage after the weak point
+ */
+export function resistBossDamage(boss, weakPoint, damage, speed) {
+    if (!weakPoint || !isWeakPointExposed(boss, weakPoint)) return 0;
+    if (speed < weakPoint.minImpactSpeed) return 0;
+
+    return Math.max(1, Math.round(damage * weakPoint.damageScale));
+}
+
+/**
+ * Subtract health and move to the next phase when a threshold is crossed
+ *
+ * @param {object} boss - From createBoss
+ * @param {object} definition - From getBoss
+ * @param {number} damage - Damage after resistBossDamage
+ * @returns {object|null} { phaseChanged, killed }, or null if the boss can't be hurt
+ */
+export function applyBossDamage(boss, definition, damage) {
+    if (boss.state === 'dead' || boss.state === 'transition' || damage <= 0) return null;
+
+    boss.health = Math.max(0, boss.health - damage);
+
+    if (boss.health <= 0) {
+        boss.state = 'dead';
+        boss.attack = null;
+        return { phaseChanged: false, killed: true };
+    }
+
+    const phase = bossPhaseFor(definition, boss.health / definition.health);
+    if (phase <= boss.phase) return { phaseChanged: false, killed: false };
+
+    // New phase: cancel the current attack and hold off while it changes
+    boss.phase = phase;
+    boss.state = 'transition';
+    boss.timer = definition.phaseTransitionTime ?? 0;
+    boss.attack = null;
+    boss.cooldown = definition.phases[phase].attackCooldown;
+    return { phaseChanged: true, killed: false };
+}
+
+/**
+ * Advance the state machine one step and compute the desired velocity
+ *
+ * @param {object} boss - From createBoss
+ * @param {object} definition - From getBoss
+ * @param {object} input
+ * @param {{x,z}} input.position - Boss position
+ * @param {{x,z}|null} input.target - Target position, null if there is none
+ * @param {number} input.delta - Seconds
+ * @param {function} input.random - Random source (for tests), default Math.random
+ * @returns {string|null} 'telegraph' when an attack starts winding up,
+ *   'strike' when it lands, 'recovered' when the boss can move again, else null
+ */
+export function updateBoss(boss, definition, { position, target, delta, random = Math.random }) {
+    const phase = definition.phases[boss.phase];
+    let event = null;
+
+    boss.timer -= delta;
+    boss.desired.x = 0;
+    boss.desired.z = 0;
+
+    const dx = target ? target.x - position.x : 0;
+    const dz = target ? target.z - position.z : 0;
+    const distance = Math.hypot(dx, dz);
+
+    switch (boss.state) {
+        case 'transition':
+            if (boss.timer <= 0) boss.state = 'chase';
+            break;
+
+        case 'chase':
+            boss.cooldown -= delta;
+
+            if (distance > CLOSE_RANGE) {
+                boss.desired.x = (dx / distance) * phase.moveSpeed;
+                boss.desired.z = (dz / distance) * phase.moveSpeed;
+            }
+
+            if (target && boss.cooldown <= 0 && phase.attacks.length > 0) {
+                boss.attack = phase.attacks[Math.floor(random() * phase.attacks.length)];
+                boss.state = 'telegraph';
+                boss.timer = definition.attacks[boss.attack].windup * (phase.windupScale ?? 1);
+                event = 'telegraph';
+            }
+            break;
+
+        case 'telegraph':
+            if (boss.timer <= 0) {
+                const attack = definition.attacks[boss.attack];
+                if (distance > 0) {
+                    boss.aim.x = dx / distance;
+                    boss.aim.z = dz / distance;
+                }
+                boss.state = 'attack';
+                boss.timer = attack.duration ?? 0;
+                event = 'strike';
+            }
+            break;
+
+        case 'attack': {
+            const attack = definition.attacks[boss.attack];
+            if (attack.type === 'charge') {
+                boss.desired.x = boss.aim.x * attack.speed;
+                boss.desired.z = boss.aim.z * attack.speed;
+            }
+            if (boss.timer <= 0) {
+                boss.state = 'recover';
+                boss.timer = attack.recover ?? 0;
+            }
+            break;
+        }
+
+        case 'recover':
+            if (boss.timer <= 0) {
+                boss.state = 'chase';
+                boss.attack = null;
+                boss.cooldown = phase.attackCooldown;
+                event = 'recovered';
+            }
+            break;
+
+        default:
+            break;
+    }
+
+    // Face the target, except mid-charge
+    if (boss.state === 'attack') {
+        boss.facing.x = boss.aim.x;
+        boss.facing.z = boss.aim.z;
+    } else if (distance > 0) {
+        boss.facing.x = dx / distance;
+        boss.facing.z = dz / distance;
+    }
+
+    return event;
+}
+
+/**
+ * How far a point is outside a circular arena
+ *
+ * @param {{x,z}} position - Point to test
+ * @param {{x,z}} center - Arena center
+ * @param {number} radius - Arena radius
+ * @param {{x,z}} out - Receives the inward direction
+ * @returns {number} Distance past the boundary (0 or less = inside)
+ */
+export function arenaOverflow(position, center, radius, out) {
+    const dx = position.x - center.x;
+    const dz = position.z - center.z;
+    const distance = Math.hypot(dx, dz);
+
+    if (distance > 0) {
+        out.x = -dx / distance;
+        out.z = -dz / distance;
+    }
+    return distance - radius;
+}
@@ -0,0 +1,175 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { useControls } from 'leva';
+import * as THREE from 'three/webgpu';
+import { sampleHeight } from './TerrainHeight';
+
+// After gameplay frames (priority 0), so the ship has published this frame's
+// target, and before CameraShake (priority 1) layers its offset on top
+const RIG_PRIORITY = 0.5;
+
+/**
+ * CameraRig - Follows a published camera target in one of several modes
+ *
+ * Modes:
+ * - chase: behind and above the target, rotating with it
+ * - orbit: circles the target at a fixed distance
+ * - tactical: top-down view that doesn't rotate with the target
+ * - cinematic: slow, wide side angle with gentle drift
+ *
+ * All modes look ahead along the target's velocity, kick the FOV while
+ * sprinting, and pull in toward the target when terrain blocks the view.
+ * In debug mode the rig stands down for OrbitControls and restores the
+ * camera when debug ends.
+ *
+ * @param {object} target - From createCameraTarget (CameraTarget.js), written by the ship controller
+ * @param {object} terrainParams - Shared terrain params for occlusion checks
+ * @param {number[]} camOffset - Chase offset [x, y, z] in target space (default: [0, 5, 10])
+ * @param {boolean} debug - When true, leaves the camera to OrbitControls
+ */
+function CameraRig({
+    target,
+    terrainParams = null,
+    camOffset = [0, 5, 10],
+    debug = false,
+}) {
+    const camera = useThree((state) => state.camera);
+
+    const {
+        mode,
+        followSharpness,
+        lookAhead,
+        baseFov,
+        fovKick,
+        orbitDistance,
+        orbitSpeed,
+        tacticalHeight,
+        terrainMargin,
+    } = useControls('Camera', {
+        mode: { value: 'chase', options: ['chase', 'orbit', 'tactical', 'cinematic'] },
+        followSharpness: { value: 10, min: 1, max: 30, step: 0.5 },
+        lookAhead: { value: 0.3, min: 0, max: 2, step: 0.05 },
+        baseFov: { value: 75, min: 40, max: 100, step: 1 },
+        fovKick: { value: 12, min: 0, max: 30, step: 1 },
+        orbitDistance: { value: 14, min: 4, max: 40, step: 1 },
+        orbitSpeed: { value: 0.3, min: -2, max: 2, step: 0.05 },
+        tacticalHeight: { value: 40, min: 10, max: 120, step: 1 },
+        terrainMargin: { value: 1.5, min: 0, max: 5, step: 0.1 },
+    });
+
+    // Mutable state to avoid re-renders
+    const state = useMemo(() => ({
+        desiredPos: new THREE.Vector3(),
+        lookTarget: new THREE.Vector3(),
+        smoothedLook: new THREE.Vector3(),
+        offset: new THREE.Vector3(),
+        savedPosition: new THREE.Vector3(),
+        savedQuaternion: new THREE.Quaternion(),
+    }), []);
+    const savedFov = useRef(null);
+    const orbitAngle = useRef(0);
+    const time = useRef(0);
+
+    // Save the rig's camera on entering debug, put it back on leaving
+    useEffect(() => {
+        if (!debug) return;
+
+        state.savedPosition.copy(camera.position);
+        state.savedQuaternion.copy(camera.quaternion);
+        savedFov.current = camera.fov;
+
+        return () => {
+            camera.position.copy(state.savedPosition);
+            camera.quaternion.copy(state.savedQuaternion);
+            if (savedFov.current !== null) {
+                camera.fov = savedFov.current;
+                camera.updateProjectionMatrix();
+            }
+        };
+    }, [debug, camera, state]);
+
+    useFrame((frameState, delta) => {
+        if (debug || !target?.valid) return;
+
+        const cam = frameState.camera;
+        const { position, rotation, velocity } = target;
+        time.current += delta;
+
+        // === LOOK TARGET: Lead the target along its velocity ===
+        state.lookTarget.copy(position).addScaledVector(velocity, lookAhead);
+
+        // === DESIRED POSITION PER MODE ===
+        let sharpness = followSharpness;
+
+        if (mode === 'orbit') {
+            orbitAngle.current += orbitSpeed * delta;
+            state.offset.set(
+                Math.sin(orbitAngle.current) * orbitDistance,
+                orbitDistance * 0.4,
+                Math.cos(orbitAngle.current) * orbitDistance
+            );
+        } else if (mode === 'tactical') {
+            // Small Z offset keeps lookAt away from straight down (no gimbal flip)
+            state.offset.set(0, tacticalHeight, tacticalHeight * 0.05);
+        } else if (mode === 'cinematic') {
+            const sway = Math.sin(time.current * 0.2);
+            state.offset.set(orbitDistance * (0.8 + sway * 0.2), camOffset[1] * 0.6, camOffset[2] * 0.5)
+                .applyQuaternion(rotation);
+            sharpness = followSharpness * 0.25;
+        } else {
+            state.offset.set(...camOffset).applyQuaternion(rotation);
+        }
+
+        state.desiredPos.copy(position).add(state.offset);
+
+        // === TERRAIN AVOIDANCE: Pull in when the ground blocks the view ===
+        if (terrainParams) {
+            pullInFromTerrain(state.desiredPos, position, terrainParams, terrainMargin);
+        }
+
+        // === SMOOTH FOLLOW ===
+        const smoothFactor = 1 - Math.exp(-delta * sharpness);
+        cam.position.lerp(state.desiredPos, smoothFactor);
+        state.smoothedLook.lerp(state.lookTarget, smoothFactor);
+        cam.lookAt(state.smoothedLook);
+
+        // === FOV KICK ON SPRINT ===
+        const targetFov = baseFov + (target.sprint ? fovKick : 0);
+        if (Math.abs(cam.fov - targetFov) > 0.01) {
+            cam.fov += (targetFov - cam.fov) * (1 - Math.exp(-delta * 6));
+            cam.updateProjectionMatrix();
+        }
+    }, RIG_PRIORITY);
+
+    return null;
+}
+
+/**
+ * Move `cameraPos` toward `focus` until the line between them clears the terrain
+ * Also keeps the camera itself at least `margin` above the ground.
+ */
+function pullInFromTerrain(cameraPos, focus, terrainParams, margin, samples = 8) {
+    let clearT = 1;
+
+    for (let i = 1; i <= samples; i++) {
+        const t = i / samples;
+        const x = focus.x + (cameraPos.x - focus.x) * t;
+        const y = focus.y + (cameraPos.y - focus.y) * t;
+        const z = focus.z + (cameraPos.z - focus.z) * t;
+
+        if (sampleHeight(x, z, terrainParams) + margin > y) {
+            // Stop just before the first blocked sample
+            clearT = (i - 1) / samples;
+            break;
+        }
+    }
+
+    if (clearT < 1) {
+        cameraPos.lerpVectors(focus, cameraPos, Math.max(clearT, 0.15));
+    }
+
+    const ground = sampleHeight(cameraPos.x, cameraPos.z, terrainParams) + margin;
+    if (cameraPos.y < ground) cameraPos.y = ground;
+}
+
+export default CameraRig;
@@ -0,0 +1,15 @@
+import * as THREE from 'three/webgpu';
+
+/**
+ * Create the shared object a controller publishes its camera target into
+ * CameraRig only reads it, so the ship never moves the camera itself.
+ */
+export function createCameraTarget() {
+    return {
+        position: new THREE.Vector3(),
+        rotation: new THREE.Quaternion(),
+        velocity: new THREE.Vector3(),
+        sprint: false,
+        valid: false, // Set once the controller has written a frame
+    };
+}
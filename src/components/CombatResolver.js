@@ -0,0 +1,154 @@
+/**
+ * CombatResolver - Turns anchor collision events into enemy damage
+ *
+ * Plain functions with no React or Rapier dependencies so they can be
+ * driven by fake collision events. The resolver:
+ * 1. Maps the Rapier body from the collision back to its Enemy handle
+ * 2. Converts impact speed and anchor mass into damage
+ * 3. Ignores hits below a minimum speed or inside an enemy's invulnerability window
+ *    (pooled handles report getSpawnId, so a respawned enemy starts without one)
+ * 4. Lets the enemy's own defenses (armor, shields) reduce or block the damage
+ * 5. Applies the damage and fires the hit/kill/block callbacks
+ * 6. Throws surviving enemies along the anchor's velocity (see Knockback.js
+ *    for the collision damage they take when they land)
+ */
+
+export const DEFAULT_COMBAT_SETTINGS = {
+    minImpactSpeed: 3,      // Slower impacts deal no damage
+    damageScale: 0.05,      // Damage per unit of (excess speed * anchor mass)
+    maxDamage: 10,          // Cap for a single hit
+    invulnerabilityTime: 0.3, // Seconds an enemy ignores further hits
+    knockbackScale: 0.5,    // 1 = elastic momentum transfer from anchor to enemy
+    knockbackLift: 0.3,     // Extra upward impulse, as a share of the knockback
+    staggerTime: 0.5,       // Seconds a thrown enemy's AI is interrupted
+};
+
+/**
+ * Find the enemy handle that owns a rigid body
+ * Matches by identity first, then by Rapier handle (bodies can be re-wrapped)
+ *
+ * @param {object[]} enemies - Enemy imperative handles
+ * @param {object} body - Rapier rigid body from the collision event
+ * @returns {object|null} Matching enemy handle
+ */
+export function findEnemyByBody(enemies, body) {
+    if (!body) return null;
+
+    for (const enemy of enemies) {
+        const enemyBody = enemy?.getRigidBody?.();
+        if (!enemyBody) continue;
+        if (enemyBody === body) return enemy;
+        if (enemyBody.handle !== undefined && enemyBody.handle === body.handle) return enemy;
+    }
+    return null;
+}
+
+/**
+ * Convert an impact into whole damage points
+ *
+ * @param {number} speed - Anchor speed at impact
+ * @param {number} anchorMass - Anchor mass
+ * @param {object} settings - See DEFAULT_COMBAT_SETTINGS
+ * @returns {number} Damage (0 when below the speed threshold)
+ */
+export function computeImpactDamage(speed, anchorMass, settings = DEFAULT_COMBAT_SETTINGS) {
+    const { minImpactSpeed, damageScale, maxDamage } = { ...DEFAULT_COMBAT_SETTINGS, ...settings };
+
+    if (speed < minImpactSpeed) return 0;
+
+    const momentum = (speed - minImpactSpeed) * anchorMass;
+    return Math.min(Math.max(1, Math.ceil(momentum * damageScale)), maxDamage);
+}
+
+/**
+ * Impulse that throws an enemy along the anchor's velocity
+ * Elastic-collision momentum transfer: light enemies fly, heavy ones barely move.
+ *
+ * @param {{x,y,z}} out - Receives the impulse
+ * @param {{x,y,z}} velocity - Anchor velocity at impact
+ * @param {number} anchorMass - Anchor mass
+ * @param {number} enemyMass - Enemy body mass
+ * @param {object} settings - See DEFAULT_COMBAT_SETTINGS
+ * @returns {{x,y,z}} out
+ */
+export function computeKnockback(out, velocity, anchorMass, enemyMass, settings = DEFAULT_COMBAT_SETTINGS) {
+    const { knockbackScale, knockbackLift } = { ...DEFAULT_COMBAT_SETTINGS, ...settings };
+
+    const transfer = enemyMass > 0
+        ? (2 * anchorMass * enemyMass) / (anchorMass + enemyMass) * knockbackScale
+        : 0;
+
+    out.x = velocity.x * transfer;
+    out.y = velocity.y * transfer;
+    out.z = velocity.z * transfer;
+    out.y += Math.hypot(out.x, out.y, out.z) * knockbackLift;
+
+    return out;
+}
+
+/**
+ * Create a stateful resolver that remembers per-enemy invulnerability
+ *
+ * @param {object} options
+ * @param {function} options.onHit - Called with (damage, enemy, collision) for non-lethal hits
+ * @param {function} options.onKill - Called with (enemy, collision) when a hit kills
+ * @param {function} options.onBlock - Called with (enemy, collision) when defenses stop a hit
+ * @returns {function} resolve(collision, context) => result or null
+ */
+export function createCombatResolver({ onHit = null, onKill = null, onBlock = null } = {}) {
+    // Last hit time and spawn per enemy handle (WeakMap so dead enemies are collected)
+    const lastHitTimes = new WeakMap();
+    const lastHitSpawns = new WeakMap();
+    const impulse = { x: 0, y: 0, z: 0 };
+
+    /**
+     * @param {object} collision - { otherBody, otherCollider, speed, velocity, position } from Anchor's
+     *   onEnemyCollision (position is the anchor's, so defenses can tell which side it hit)
+     * @param {object} context - { enemies, anchorMass, time, settings }
+     * @returns {object|null} { enemy, damage, killed } or null if nothing happened
+     */
+    return function resolve(collision, { enemies = [], anchorMass = 1, time = 0, settings = {} } = {}) {
+        const resolved = { ...DEFAULT_COMBAT_SETTINGS, ...settings };
+
+        const enemy = findEnemyByBody(enemies, collision?.otherBody);
+        if (!enemy || !enemy.isAlive?.()) return null;
+
+        // A pooled handle reused for a new spawn doesn't inherit the old window
+        const spawn = enemy.getSpawnId?.() ?? 0;
+        const lastHit = lastHitSpawns.get(enemy) === spawn ? lastHitTimes.get(enemy) : undefined;
+        if (lastHit !== undefined && time - lastHit < resolved.invulnerabilityTime) return null;
+
+        let damage = computeImpactDamage(collision.speed, anchorMass, resolved);
+        if (damage <= 0) return null;
+
+        lastHitTimes.set(enemy, time);
+        lastHitSpawns.set(enemy, spawn);
+
+        // Armor / shields (blocked hits still start the invulnerability window)
+        if (enemy.resistDamage) {
+            damage = enemy.resistDamage(damage, collision);
+            if (damage <= 0) {
+                onBlock?.(enemy, collision);
+                return null;
+            }
+        }
+
+        const killed = enemy.getHealth() - damage <= 0;
+        enemy.takeDamage(damage, collision);
+
+        // Knockback and stagger (the handle applies the impulse to its body)
+        const body = enemy.getRigidBody?.();
+        if (!killed && body && collision.velocity && enemy.knockback) {
+            computeKnockback(impulse, collision.velocity, anchorMass, body.mass(), resolved);
+            enemy.knockback(impulse, resolved.staggerTime);
+        }
+
+        if (killed) {
+            onKill?.(enemy, collision);
+        } else {
+            onHit?.(damage, enemy, collision);
+        }
+
+        return { enemy, damage, killed };
+    };
+}
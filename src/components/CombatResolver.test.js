@@ -0,0 +1,156 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+    DEFAULT_COMBAT_SETTINGS,
+    computeImpactDamage,
+    computeKnockback,
+    createCombatResolver,
+    findEnemyByBody,
+} from './CombatResolver';
+
+// Just the parts of an Enemy handle and Rapier body the resolver touches
+function fakeEnemy({ health = 10, mass = 2, handle = 1, resistDamage = null } = {}) {
+    const body = { handle, mass: () => mass };
+    const enemy = {
+        health,
+        getRigidBody: () => body,
+        isAlive: () => enemy.health > 0,
+        getHealth: () => enemy.health,
+        takeDamage: vi.fn((damage) => {
+            enemy.health -= damage;
+        }),
+        knockback: vi.fn(),
+    };
+    if (resistDamage) enemy.resistDamage = resistDamage;
+    return enemy;
+}
+
+const hit = (enemy, speed = 20) => ({
+    otherBody: enemy.getRigidBody(),
+    speed,
+    velocity: { x: speed, y: 0, z: 0 },
+    position: { x: 0, y: 0, z: 0 },
+});
+
+describe('findEnemyByBody', () => {
+    it('matches by identity, then by Rapier handle', () => {
+        const a = fakeEnemy({ handle: 1 });
+        const b = fakeEnemy({ handle: 2 });
+        expect(findEnemyByBody([a, b], b.getRigidBody())).toBe(b);
+        expect(findEnemyByBody([a, b], { handle: 1 })).toBe(a);
+        expect(findEnemyByBody([a, b], { handle: 3 })).toBeNull();
+        expect(findEnemyByBody([a, b], null)).toBeNull();
+    });
+});
+
+describe('computeImpactDamage', () => {
+    it('deals nothing below the minimum speed', () => {
+        expect(computeImpactDamage(DEFAULT_COMBAT_SETTINGS.minImpactSpeed - 0.1, 5)).toBe(0);
+    });
+
+    it('deals at least 1 and at most maxDamage', () => {
+        expect(computeImpactDamage(DEFAULT_COMBAT_SETTINGS.minImpactSpeed + 0.01, 1)).toBe(1);
+        expect(computeImpactDamage(1000, 100)).toBe(DEFAULT_COMBAT_SETTINGS.maxDamage);
+    });
+});
+
+describe('computeKnockback', () => {
+    it('throws light enemies faster than heavy ones', () => {
+        // The result is an impulse: speed gained is impulse / mass
+        const light = computeKnockback({ x: 0, y: 0, z: 0 }, { x: 10, y: 0, z: 0 }, 2, 1);
+        const heavy = computeKnockback({ x: 0, y: 0, z: 0 }, { x: 10, y: 0, z: 0 }, 2, 50);
+        expect(light.x / 1).toBeGreaterThan(heavy.x / 50);
+        expect(light.y).toBeGreaterThan(0);
+    });
+});
+
+describe('createCombatResolver', () => {
+    it('damages, knocks back and reports a hit', () => {
+        const onHit = vi.fn();
+        const resolve = createCombatResolver({ onHit });
+        const enemy = fakeEnemy({ health: 100 });
+
+        const result = resolve(hit(enemy), { enemies: [enemy], anchorMass: 2, time: 0 });
+
+        expect(result).toMatchObject({ enemy, killed: false });
+        expect(result.damage).toBeGreaterThan(0);
+        expect(enemy.takeDamage).toHaveBeenCalledWith(result.damage, expect.any(Object));
+        expect(enemy.knockback).toHaveBeenCalledTimes(1);
+        expect(onHit).toHaveBeenCalledWith(result.damage, enemy, expect.any(Object));
+    });
+
+    it('reports a kill instead of a hit and skips knockback', () => {
+        const onHit = vi.fn();
+        const onKill = vi.fn();
+        const resolve = createCombatResolver({ onHit, onKill });
+        const enemy = fakeEnemy({ health: 1 });
+
+        const result = resolve(hit(enemy), { enemies: [enemy], anchorMass: 2, time: 0 });
+
+        expect(result.killed).toBe(true);
+        expect(onKill).toHaveBeenCalledWith(enemy, expect.any(Object));
+        expect(onHit).not.toHaveBeenCalled();
+        expect(enemy.knockback).not.toHaveBeenCalled();
+    });
+
+    it('ignores slow impacts, unknown bodies and dead enemies', () => {
+        const resolve = createCombatResolver();
+        const enemy = fakeEnemy();
+        const dead = fakeEnemy({ health: 0, handle: 2 });
+
+        expect(resolve(hit(enemy, 1), { enemies: [enemy] })).toBeNull();
+        expect(resolve({ ...hit(enemy), otherBody: { handle: 9 } }, { enemies: [enemy] })).toBeNull();
+        expect(resolve(hit(dead), { enemies: [dead] })).toBeNull();
+        expect(enemy.takeDamage).not.toHaveBeenCalled();
+    });
+
+    it('ignores hits inside the invulnerability window', () => {
+        const resolve = createCombatResolver();
+        const enemy = fakeEnemy({ health: 100 });
+        const { invulnerabilityTime } = DEFAULT_COMBAT_SETTINGS;
+        const context = (time) => ({ enemies: [enemy], anchorMass: 2, time });
+
+        expect(resolve(hit(enemy), context(1))).not.toBeNull();
+        expect(resolve(hit(enemy), context(1 + invulnerabilityTime * 0.5))).toBeNull();
+        expect(resolve(hit(enemy), context(1 + invulnerabilityTime))).not.toBeNull();
+        expect(enemy.takeDamage).toHaveBeenCalledTimes(2);
+    });
+
+    it('starts a respawned pooled handle without the old window', () => {
+        const resolve = createCombatResolver();
+        const enemy = fakeEnemy({ health: 100 });
+        let spawnId = 1;
+        enemy.getSpawnId = () => spawnId;
+        const context = { enemies: [enemy], anchorMass: 2, time: 0 };
+
+        expect(resolve(hit(enemy), context)).not.toBeNull();
+        expect(resolve(hit(enemy), context)).toBeNull();
+
+        spawnId = 2;
+        expect(resolve(hit(enemy), context)).not.toBeNull();
+    });
+
+    it('keeps a separate window per enemy', () => {
+        const resolve = createCombatResolver();
+        const a = fakeEnemy({ health: 100, handle: 1 });
+        const b = fakeEnemy({ health: 100, handle: 2 });
+        const context = { enemies: [a, b], anchorMass: 2, time: 0 };
+
+        expect(resolve(hit(a), context)).not.toBeNull();
+        expect(resolve(hit(b), context)).not.toBeNull();
+    });
+
+    it('lets defenses block a hit, which still starts the window', () => {
+        const onBlock = vi.fn();
+        const resolve = createCombatResolver({ onBlock });
+        const resistDamage = vi.fn().mockReturnValueOnce(0).mockImplementation((damage) => damage);
+        const enemy = fakeEnemy({ health: 100, resistDamage });
+        const context = (time) => ({ enemies: [enemy], anchorMass: 2, time });
+
+        expect(resolve(hit(enemy), context(0))).toBeNull();
+        expect(onBlock).toHaveBeenCalledWith(enemy, expect.any(Object));
+        expect(enemy.takeDamage).not.toHaveBeenCalled();
+
+        expect(resolve(hit(enemy), context(0.1))).toBeNull();
+        expect(resistDamage).toHaveBeenCalledTimes(1);
+    });
+});
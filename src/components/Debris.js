@@ -0,0 +1,177 @@
+import { sampleHeight } from './TerrainHeight';
+
+/**
+ * Debris - Fixed-size pool of shards from shattered enemies
+ *
+ * No React, Rapier or three.js. A dead enemy's cube splits into its 8
+ * octants (half-size cubes) that fly apart with the body's velocity, part of
+ * the killing blow's velocity and an outward burst. DebrisSystem either
+ * drives each shard with a pooled rigid body or moves them all on the GPU
+ * from the spawn values stored here.
+ *
+ * The pool is the debris cap: a full pool recycles its oldest shard, so a big
+ * wave dying at once never allocates or grows the scene.
+ */
+
+export const DEFAULT_DEBRIS = {
+    mode: 'physics', // 'physics' (rigid bodies, hit the terrain) | 'gpu' (visual only)
+    maxDebris: 128, // Live shard cap (at most the pool capacity)
+    lifetime: 2.5, // Seconds
+    fadeTime: 0.8, // Seconds of fade at the end of the lifetime
+    inheritVelocity: 0.6, // Share of the killing blow's velocity passed to the shards
+    explodeSpeed: 4, // Outward burst speed
+    spin: 8, // Max random spin (radians/s)
+    gravity: 9.81, // GPU mode only (physics mode uses the world's gravity)
+};
+
+// Octant directions (each shard's offset from the center, in half-sizes)
+const OCTANTS = [
+    [-1, -1, -1], [1, -1, -1], [-1, 1, -1], [1, 1, -1],
+    [-1, -1, 1], [1, -1, 1], [-1, 1, 1], [1, 1, 1],
+];
+
+export const SHARDS_PER_ENEMY = OCTANTS.length;
+
+/**
+ * Create an empty pool
+ *
+ * @param {number} capacity - Max live shards
+ */
+export function createDebrisPool(capacity = 256) {
+    return {
+        capacity,
+        cursor: 0, // Next slot to try
+        time: 0, // Game seconds since the pool was created (GPU mode animates from this)
+        active: new Uint8Array(capacity),
+        fresh: new Uint8Array(capacity), // 1 = spawned since the owner last synced it
+        origin: new Float32Array(capacity * 3), // Spawn position
+        velocity: new Float32Array(capacity * 3), // Spawn velocity
+        spin: new Float32Array(capacity * 3), // Angular velocity (axis * radians/s)
+        color: new Float32Array(capacity * 3), // Linear RGB
+        birth: new Float32Array(capacity), // pool.time at spawn
+        lifetime: new Float32Array(capacity),
+        size: new Float32Array(capacity), // Edge length
+        floor: new Float32Array(capacity), // Terrain height under the spawn point
+        settings: { ...DEFAULT_DEBRIS },
+    };
+}
+
+/**
+ * Replace the pool's debris settings (e.g. from leva)
+ */
+export function setDebrisSettings(pool, settings) {
+    Object.assign(pool.settings, settings);
+}
+
+/**
+ * Free every shard (e.g. when switching modes)
+ */
+export function clearDebris(pool) {
+    pool.active.fill(0);
+    pool.fresh.fill(0);
+    pool.lifetime.fill(0); // GPU mode hides shards by age > lifetime
+}
+
+// First free slot from the cursor within the cap, or the oldest slot when full
+function allocateShard(pool) {
+    const limit = Math.max(1, Math.min(pool.settings.maxDebris, pool.capacity));
+    if (pool.cursor >= limit) pool.cursor = 0;
+
+    let index = -1;
+    let oldest = pool.cursor;
+    for (let n = 0; n < limit; n++) {
+        const i = (pool.cursor + n) % limit;
+        if (!pool.active[i]) {
+            index = i;
+            break;
+        }
+        if (pool.birth[i] < pool.birth[oldest]) oldest = i;
+    }
+    if (index < 0) index = oldest;
+
+    pool.cursor = (index + 1) % limit;
+    return index;
+}
+
+/**
+ * Split a dead enemy into shards
+ *
+ * @param {object} pool - From createDebrisPool
+ * @param {object} death - 'enemy-death' payload
+ * @param {{x,y,z}} death.position - Enemy center
+ * @param {{x,y,z}|null} death.velocity - Enemy velocity
+ * @param {{x,y,z}|null} death.impact - Velocity of the killing blow (anchor, deflected shot)
+ * @param {number} death.size - Enemy size
+ * @param {{r,g,b}} death.color - Enemy color
+ * @param {object|null} terrainParams - For the GPU mode's ground height
+ * @param {function} random - Returns [0, 1)
+ */
+export function shatterEnemy(pool, { position, velocity = null, impact = null, size = 1, color }, terrainParams = null, random = Math.random) {
+    const { lifetime, inheritVelocity, explodeSpeed, spin } = pool.settings;
+    const half = size * 0.5;
+    const floor = terrainParams ? sampleHeight(position.x, position.z, terrainParams) : -1e6; // Finite for the shader
+
+    // Shared part of every shard's velocity
+    const baseX = (velocity?.x ?? 0) + (impact?.x ?? 0) * inheritVelocity;
+    const baseY = (velocity?.y ?? 0) + (impact?.y ?? 0) * inheritVelocity;
+    const baseZ = (velocity?.z ?? 0) + (impact?.z ?? 0) * inheritVelocity;
+
+    for (const [ox, oy, oz] of OCTANTS) {
+        const index = allocateShard(pool);
+        const i3 = index * 3;
+
+        pool.origin[i3] = position.x + ox * half * 0.5;
+        pool.origin[i3 + 1] = position.y + oy * half * 0.5;
+        pool.origin[i3 + 2] = position.z + oz * half * 0.5;
+
+        // Outward along the octant (normalized diagonal), jittered
+        const burst = explodeSpeed * (0.6 + random() * 0.8) / Math.sqrt(3);
+        pool.velocity[i3] = baseX + ox * burst;
+        pool.velocity[i3 + 1] = baseY + oy * burst + explodeSpeed * 0.5; // Pop upward a little
+        pool.velocity[i3 + 2] = baseZ + oz * burst;
+
+        pool.spin[i3] = (random() * 2 - 1) * spin;
+        pool.spin[i3 + 1] = (random() * 2 - 1) * spin;
+        pool.spin[i3 + 2] = (random() * 2 - 1) * spin;
+
+        pool.color[i3] = color.r;
+        pool.color[i3 + 1] = color.g;
+        pool.color[i3 + 2] = color.b;
+
+        pool.active[index] = 1;
+        pool.fresh[index] = 1;
+        pool.birth[index] = pool.time;
+        pool.lifetime[index] = lifetime * (0.8 + random() * 0.4); // Stagger the fade
+        pool.size[index] = half;
+        pool.floor[index] = floor;
+    }
+}
+
+/**
+ * Advance the pool clock and expire old shards
+ *
+ * @param {number} delta - Game seconds
+ */
+export function stepDebris(pool, delta) {
+    pool.time += delta;
+
+    for (let i = 0; i < pool.capacity; i++) {
+        if (pool.active[i] && pool.time - pool.birth[i] >= pool.lifetime[i]) {
+            pool.active[i] = 0;
+        }
+    }
+}
+
+/**
+ * Opacity of a shard: 1 until the last fadeTime seconds, then down to 0
+ */
+export function debrisOpacity(pool, index) {
+    if (!pool.active[index]) return 0;
+
+    const age = pool.time - pool.birth[index];
+    const remaining = pool.lifetime[index] - age;
+    const fadeTime = pool.settings.fadeTime;
+    if (fadeTime <= 0) return 1;
+
+    return Math.min(Math.max(remaining / fadeTime, 0), 1);
+}
@@ -0,0 +1,303 @@
+import { useMemo, useRef, useEffect } from 'react';
+import { useRapier } from '@react-three/rapier';
+import { useControls } from 'leva';
+import * as THREE from 'three/webgpu';
+import {
+    uniform, float, vec3, positionLocal, instancedDynamicBufferAttribute,
+    min, max, exp, cos, sin, cross, dot, length, clamp, step,
+} from 'three/tsl';
+import { useGameJuice } from './GameJuice';
+import { useScaledFrame } from './TimeScale';
+import {
+    DEFAULT_DEBRIS,
+    createDebrisPool,
+    setDebrisSettings,
+    clearDebris,
+    shatterEnemy,
+    stepDebris,
+    debrisOpacity,
+} from './Debris';
+
+// Where free bodies wait (disabled, so they never collide)
+const PARKED = { x: 0, y: -1000, z: 0 };
+
+// Shards are in collision group 1 and skip it in their filter: they hit the
+// terrain, ship and anchor but not each other
+const SHARD_COLLISION_GROUPS = (0x0002 << 16) | 0xfffd;
+
+// GPU mode: horizontal drag so shards settle instead of sliding forever
+const GPU_DRAG = 1.5;
+
+/**
+ * DebrisSystem - Shatters dead enemies into fading shards
+ *
+ * Listens for 'enemy-death' (emitted by EnemySwarm and Boss) and splits the
+ * enemy's cube into 8 shards (Debris.js) that inherit its velocity plus part
+ * of the killing blow's. Two modes (leva 'Debris' folder):
+ * - physics: one pooled Rapier body per shard, created up front and
+ *   re-enabled on spawn, so shards tumble and bounce off the terrain
+ * - gpu: visual only; shards fly a ballistic arc computed in the vertex
+ *   shader from their spawn values and stop at the ground height under
+ *   their spawn point. No bodies, no per-frame matrix uploads
+ *
+ * Both draw one instanced mesh and fade shards out at the end of their
+ * lifetime. `maxDebris` caps live shards; the oldest are recycled first.
+ *
+ * @param {object} terrainParams - Shared terrain params (GPU mode ground height)
+ * @param {number} capacity - Pool size, the upper limit for maxDebris (default: 256)
+ */
+function DebrisSystem({ terrainParams = null, capacity = 256 }) {
+    const { world, rapier } = useRapier();
+    const { subscribe } = useGameJuice();
+    const pool = useMemo(() => createDebrisPool(capacity), [capacity]);
+    const meshRef = useRef();
+
+    const settings = useControls('Debris', {
+        mode: { value: DEFAULT_DEBRIS.mode, options: ['physics', 'gpu'] },
+        maxDebris: { value: Math.min(DEFAULT_DEBRIS.maxDebris, capacity), min: 8, max: capacity, step: 8 },
+        lifetime: { value: DEFAULT_DEBRIS.lifetime, min: 0.5, max: 10, step: 0.1 },
+        fadeTime: { value: DEFAULT_DEBRIS.fadeTime, min: 0, max: 3, step: 0.1 },
+        inheritVelocity: { value: DEFAULT_DEBRIS.inheritVelocity, min: 0, max: 2, step: 0.05 },
+        explodeSpeed: { value: DEFAULT_DEBRIS.explodeSpeed, min: 0, max: 20, step: 0.5 },
+        spin: { value: DEFAULT_DEBRIS.spin, min: 0, max: 30, step: 1 },
+    }, { collapsed: true });
+    const physics = settings.mode === 'physics';
+
+    useEffect(() => setDebrisSettings(pool, settings), [pool, settings]);
+
+    useEffect(() => subscribe('enemy-death', (death) => {
+        shatterEnemy(pool, death, terrainParams);
+    }), [subscribe, pool, terrainParams]);
+
+    // Mutable state to avoid re-renders
+    const state = useMemo(() => ({
+        bodies: new Array(capacity).fill(null),
+        colliders: new Array(capacity).fill(null),
+        colliderSizes: new Float32Array(capacity),
+        enabled: new Uint8Array(capacity),
+        // Reusable temp objects
+        vector: { x: 0, y: 0, z: 0 },
+        rotation: { x: 0, y: 0, z: 0, w: 1 },
+        matrix: new THREE.Matrix4(),
+        hidden: new THREE.Matrix4().makeScale(0, 0, 0),
+        position: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        scale: new THREE.Vector3(),
+    }), [capacity]);
+
+    // Physics mode: per-shard fade, read by the material
+    const opacity = useMemo(() => new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1), [capacity]);
+    const opacityNode = useMemo(() => instancedDynamicBufferAttribute(opacity), [opacity]);
+
+    // GPU mode: spawn values as instance attributes, animated in the vertex shader
+    const nodes = useMemo(() => {
+        const attributes = {
+            origin: new THREE.InstancedBufferAttribute(pool.origin, 3),
+            velocity: new THREE.InstancedBufferAttribute(pool.velocity, 3),
+            spin: new THREE.InstancedBufferAttribute(pool.spin, 3),
+            birth: new THREE.InstancedBufferAttribute(pool.birth, 1),
+            lifetime: new THREE.InstancedBufferAttribute(pool.lifetime, 1),
+            size: new THREE.InstancedBufferAttribute(pool.size, 1),
+            floor: new THREE.InstancedBufferAttribute(pool.floor, 1),
+        };
+
+        const time = uniform(0);
+        const gravity = uniform(DEFAULT_DEBRIS.gravity);
+        const fadeTime = uniform(DEFAULT_DEBRIS.fadeTime);
+
+        const origin = instancedDynamicBufferAttribute(attributes.origin);
+        const velocity = instancedDynamicBufferAttribute(attributes.velocity);
+        const spin = instancedDynamicBufferAttribute(attributes.spin);
+        const lifetime = instancedDynamicBufferAttribute(attributes.lifetime);
+        const size = instancedDynamicBufferAttribute(attributes.size);
+        const floor = instancedDynamicBufferAttribute(attributes.floor);
+
+        const age = time.sub(instancedDynamicBufferAttribute(attributes.birth));
+        const t = min(age, lifetime);
+
+        // Ballistic arc, dragged sideways and stopped at the ground
+        const drift = float(1).sub(exp(t.mul(-GPU_DRAG))).div(GPU_DRAG);
+        const height = origin.y.add(velocity.y.mul(t)).sub(gravity.mul(0.5).mul(t).mul(t));
+        const center = vec3(
+            origin.x.add(velocity.x.mul(drift)),
+            max(height, floor.add(size.mul(0.5))),
+            origin.z.add(velocity.z.mul(drift)),
+        );
+
+        // Tumble about the spin axis (Rodrigues), slowing with the drag
+        const rate = length(spin);
+        const axis = spin.div(max(rate, 0.0001));
+        const angle = rate.mul(drift);
+        const local = positionLocal.mul(size).mul(step(age, lifetime)); // Zero size once expired
+        const rotated = local.mul(cos(angle))
+            .add(cross(axis, local).mul(sin(angle)))
+            .add(axis.mul(dot(axis, local)).mul(float(1).sub(cos(angle))));
+
+        return {
+            attributes,
+            time,
+            gravity,
+            fadeTime,
+            positionNode: center.add(rotated),
+            opacityNode: clamp(lifetime.sub(age).div(max(fadeTime, 0.001)), 0, 1),
+        };
+    }, [pool]);
+
+    // Physics mode: bodies, created once per slot. Switching modes drops live shards
+    useEffect(() => {
+        if (physics) createShardBodies(state, world, rapier, capacity);
+
+        return () => {
+            removeShardBodies(state, world, capacity);
+            clearDebris(pool);
+        };
+    }, [physics, world, rapier, pool, state, capacity]);
+
+    useScaledFrame((frameState, delta) => {
+        const mesh = meshRef.current;
+        if (!mesh) return;
+
+        stepDebris(pool, delta);
+
+        if (physics) {
+            syncPhysicsShards(pool, state, mesh, opacity, world, rapier);
+        } else {
+            syncGpuShards(pool, nodes, mesh);
+        }
+    });
+
+    // Physics mode draws from body transforms; GPU mode keeps identity
+    // instance matrices and places each shard with positionNode
+    return physics ? (
+        <instancedMesh key="physics" ref={meshRef} args={[null, null, capacity]} frustumCulled={false}>
+            <boxGeometry args={[1, 1, 1]} />
+            <meshBasicNodeMaterial wireframe transparent depthWrite={false} opacityNode={opacityNode} />
+            <instancedBufferAttribute attach="instanceColor" args={[pool.color, 3]} />
+        </instancedMesh>
+    ) : (
+        <instancedMesh key="gpu" ref={meshRef} args={[null, null, capacity]} frustumCulled={false}>
+            <boxGeometry args={[1, 1, 1]} />
+            <meshBasicNodeMaterial
+                wireframe
+                transparent
+                depthWrite={false}
+                positionNode={nodes.positionNode}
+                opacityNode={nodes.opacityNode}
+            />
+            <instancedBufferAttribute attach="instanceColor" args={[pool.color, 3]} />
+        </instancedMesh>
+    );
+}
+
+// Disabled, parked bodies for every slot (colliders are added on first spawn)
+function createShardBodies(state, world, rapier, capacity) {
+    for (let i = 0; i < capacity; i++) {
+        state.bodies[i] = world.createRigidBody(
+            rapier.RigidBodyDesc.dynamic()
+                .setTranslation(PARKED.x, PARKED.y, PARKED.z)
+                .setLinearDamping(0.3)
+                .setAngularDamping(0.5)
+                .setEnabled(false)
+        );
+    }
+}
+
+function removeShardBodies(state, world, capacity) {
+    for (let i = 0; i < capacity; i++) {
+        if (state.bodies[i]) world.removeRigidBody(state.bodies[i]);
+        state.bodies[i] = null;
+        state.colliders[i] = null;
+        state.colliderSizes[i] = 0;
+        state.enabled[i] = 0;
+    }
+}
+
+// Put new shards on their bodies, park expired ones, draw from body transforms
+function syncPhysicsShards(pool, state, mesh, opacity, world, rapier) {
+    if (!state.bodies[0]) return;
+
+    let spawned = false;
+    for (let i = 0; i < pool.capacity; i++) {
+        const body = state.bodies[i];
+        const i3 = i * 3;
+
+        // === SPAWN: move a body onto the new shard ===
+        if (pool.fresh[i]) {
+            pool.fresh[i] = 0;
+            spawned = true;
+
+            // Rebuild the collider only if the size changed
+            const half = pool.size[i] * 0.5;
+            if (state.colliderSizes[i] !== pool.size[i]) {
+                if (state.colliders[i]) world.removeCollider(state.colliders[i], false);
+                state.colliders[i] = world.createCollider(
+                    rapier.ColliderDesc.cuboid(half, half, half)
+                        .setCollisionGroups(SHARD_COLLISION_GROUPS),
+                    body
+                );
+                state.colliderSizes[i] = pool.size[i];
+            }
+
+            body.setEnabled(true);
+            body.setTranslation(readInto(state.vector, pool.origin, i3), true);
+            body.setRotation(state.rotation, true);
+            body.setLinvel(readInto(state.vector, pool.velocity, i3), true);
+            body.setAngvel(readInto(state.vector, pool.spin, i3), true);
+            state.enabled[i] = 1;
+        }
+
+        // === EXPIRE: park the body ===
+        if (!pool.active[i]) {
+            if (state.enabled[i]) {
+                body.setEnabled(false);
+                body.setTranslation(PARKED, false);
+                state.enabled[i] = 0;
+            }
+            mesh.setMatrixAt(i, state.hidden);
+            opacity.array[i] = 0;
+            continue;
+        }
+
+        // === RENDER ===
+        const pos = body.translation();
+        const rot = body.rotation();
+        state.position.set(pos.x, pos.y, pos.z);
+        state.quaternion.set(rot.x, rot.y, rot.z, rot.w);
+        state.scale.setScalar(pool.size[i]);
+        state.matrix.compose(state.position, state.quaternion, state.scale);
+        mesh.setMatrixAt(i, state.matrix);
+        opacity.array[i] = debrisOpacity(pool, i);
+    }
+
+    mesh.instanceMatrix.needsUpdate = true;
+    opacity.needsUpdate = true;
+    if (spawned && mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+}
+
+// Advance the shader clock; upload spawn values only when shards were added
+function syncGpuShards(pool, nodes, mesh) {
+    nodes.time.value = pool.time;
+    nodes.gravity.value = pool.settings.gravity;
+    nodes.fadeTime.value = pool.settings.fadeTime;
+
+    let spawned = false;
+    for (let i = 0; i < pool.capacity; i++) {
+        if (!pool.fresh[i]) continue;
+        pool.fresh[i] = 0;
+        spawned = true;
+    }
+    if (!spawned) return;
+
+    for (const attribute of Object.values(nodes.attributes)) attribute.needsUpdate = true;
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+}
+
+// Copy a vector out of a pool array into a reusable object
+function readInto(out, array, i3) {
+    out.x = array[i3];
+    out.y = array[i3 + 1];
+    out.z = array[i3 + 2];
+    return out;
+}
+
+export default DebrisSystem;
@@ -0,0 +1,131 @@
+import { sampleHeight } from './TerrainHeight';
+import { getArchetype } from './EnemyArchetypes';
+
+/**
+ * Encounter - Wave bookkeeping for EncounterManager
+ *
+ * Plain logic: which enemies a wave contains, which are still waiting to
+ * spawn, which are alive, and when a wave is cleared. Spawning and rendering
+ * are left to the component.
+ */
+
+/**
+ * Default wave list. Each composition entry spawns `count` enemies with the
+ * given enemy props, usually just an archetype id (see EnemyArchetypes.js).
+ * Waves past the end repeat the last one, scaled up.
+ */
+export const DEFAULT_WAVES = [
+    { composition: [{ count: 3, enemy: { archetype: 'grunt' } }] },
+    {
+        composition: [
+            { count: 3, enemy: { archetype: 'grunt' } },
+            { count: 4, enemy: { archetype: 'swarmer' } },
+            { count: 1, enemy: { archetype: 'brute' } },
+            { count: 1, enemy: { archetype: 'shooter' } },
+        ],
+    },
+    {
+        composition: [
+            { count: 6, enemy: { archetype: 'swarmer' } },
+            { count: 2, enemy: { archetype: 'brute' } },
+            { count: 2, enemy: { archetype: 'shooter' } },
+            { count: 2, enemy: { archetype: 'warden' } },
+        ],
+    },
+];
+
+/**
+ * Expand a wave into a list of enemy props, applying difficulty scaling
+ *
+ * @param {object[]} waves - Wave definitions
+ * @param {number} waveNumber - 1-based wave number
+ * @param {number} difficultyScaling - Extra count/health per wave (0.25 = +25% per wave)
+ * @returns {object[]} Enemy props, one entry per enemy
+ */
+export function buildWave(waves, waveNumber, difficultyScaling = 0) {
+    const definition = waves[Math.min(waveNumber, waves.length) - 1];
+    const scale = 1 + difficultyScaling * (waveNumber - 1);
+    const enemies = [];
+
+    for (const { count, enemy } of definition.composition) {
+        const scaledCount = Math.round(count * scale);
+        const health = Math.ceil((enemy.health ?? getArchetype(enemy.archetype).health) * scale);
+
+        for (let i = 0; i < scaledCount; i++) {
+            enemies.push({ ...enemy, health });
+        }
+    }
+    return enemies;
+}
+
+/**
+ * Random spawn position in a ring around `center`, resting on the terrain
+ *
+ * @returns {number[]} [x, y, z]
+ */
+export function pickSpawnPoint(center, minRadius, maxRadius, terrainParams, size = 1, random = Math.random) {
+    const angle = random() * Math.PI * 2;
+    const radius = minRadius + random() * (maxRadius - minRadius);
+    const x = center.x + Math.cos(angle) * radius;
+    const z = center.z + Math.sin(angle) * radius;
+    const y = sampleHeight(x, z, terrainParams) + size * 0.5;
+
+    return [x, y, z];
+}
+
+/**
+ * Create encounter state
+ *
+ * @param {object[]} waves - Wave definitions (see DEFAULT_WAVES)
+ */
+export function createEncounter(waves = DEFAULT_WAVES) {
+    let nextId = 0;
+
+    const encounter = {
+        wave: 0,
+        queue: [], // Enemy props waiting for a free slot
+        alive: new Set(), // Ids of spawned, living enemies
+        active: false, // A wave is in progress
+
+        /**
+         * Begin the next wave
+         * @returns {number} Total enemies in the wave
+         */
+        startNextWave(difficultyScaling = 0) {
+            encounter.wave += 1;
+            encounter.queue = buildWave(waves, encounter.wave, difficultyScaling);
+            encounter.active = true;
+            return encounter.queue.length;
+        },
+
+        /**
+         * Take as many queued enemies as fit under maxAlive
+         * @returns {object[]} Enemy props with unique ids, now counted as alive
+         */
+        takeSpawns(maxAlive) {
+            const spawns = [];
+            while (encounter.queue.length > 0 && encounter.alive.size < maxAlive) {
+                const id = nextId++;
+                encounter.alive.add(id);
+                spawns.push({ id, ...encounter.queue.shift() });
+            }
+            return spawns;
+        },
+
+        /**
+         * Record a death
+         * @returns {boolean} True if this death cleared the wave
+         */
+        markDead(id) {
+            if (!encounter.alive.delete(id)) return false;
+
+            if (encounter.active && encounter.alive.size === 0 && encounter.queue.length === 0) {
+                encounter.active = false;
+                return true;
+            }
+            return false;
+        },
+    };
+
+    return encounter;
+}
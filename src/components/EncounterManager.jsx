@@ -0,0 +1,112 @@
+import { useMemo, useRef } from 'react';
+import { useControls } from 'leva';
+import EnemySwarm from './EnemySwarm';
+import { DEFAULT_KNOCKBACK } from './Knockback';
+import { useGameJuice } from './GameJuice';
+import { useScaledFrame } from './TimeScale';
+import { createEncounter, pickSpawnPoint, DEFAULT_WAVES } from './Encounter';
+import { getArchetype } from './EnemyArchetypes';
+
+/**
+ * EncounterManager - Spawns enemies around the player in waves
+ *
+ * Keeps at most `maxAlive` enemies in play, topping up from the wave's queue
+ * as enemies die. When a wave is cleared the next one starts after
+ * `waveDelay` seconds, with count and health scaled by `difficultyScaling`.
+ *
+ * Enemies are pooled and instanced by EnemySwarm, so spawns and hits never
+ * re-render this component.
+ *
+ * Emits 'wave-start' { wave, total } and 'wave-cleared' { wave } on the
+ * GameJuice event bus, and keeps `enemiesRef.current` filled with the live
+ * Enemy handles (for aim assist and the combat resolver).
+ *
+ * @param {object} shipRef - Player RigidBody ref, spawns ring around it and enemies chase it
+ * @param {object} terrainParams - Shared terrain params, spawns rest on the ground
+ * @param {object} enemiesRef - Ref that receives the array of live Enemy handles
+ * @param {object[]} waves - Wave definitions (default: DEFAULT_WAVES in Encounter.js)
+ * @param {function} onEnemyFire - Called with (origin, direction) for ranged attacks
+ * @param {number} capacity - Enemy pool size, the upper bound for maxAlive
+ * @param {object} knockbackSettings - Enemy collision damage settings (see DEFAULT_KNOCKBACK)
+ */
+function EncounterManager({
+    shipRef,
+    terrainParams,
+    enemiesRef,
+    waves = DEFAULT_WAVES,
+    onEnemyFire = null,
+    capacity = 256,
+    knockbackSettings = DEFAULT_KNOCKBACK,
+}) {
+    const { emit } = useGameJuice();
+
+    const {
+        enabled,
+        spawnRadius,
+        minSpawnRadius,
+        maxAlive,
+        difficultyScaling,
+        waveDelay,
+    } = useControls('Encounters', {
+        enabled: { value: true },
+        spawnRadius: { value: 30, min: 10, max: 80, step: 1 },
+        minSpawnRadius: { value: 15, min: 5, max: 40, step: 1 },
+        maxAlive: { value: 6, min: 1, max: capacity, step: 1 },
+        difficultyScaling: { value: 0.25, min: 0, max: 1, step: 0.05 },
+        waveDelay: { value: 3, min: 0, max: 15, step: 0.5 },
+    });
+
+    const encounter = useMemo(() => createEncounter(waves), [waves]);
+
+    const swarmRef = useRef();
+    const nextWaveTimer = useRef(1);
+
+    const handleDeath = (id) => {
+        if (encounter.markDead(id)) {
+            emit('wave-cleared', { wave: encounter.wave });
+            nextWaveTimer.current = waveDelay;
+        }
+    };
+
+    useScaledFrame((frameState, delta) => {
+        if (!enabled || !shipRef.current) return;
+
+        // === WAVE START ===
+        if (!encounter.active) {
+            nextWaveTimer.current -= delta;
+            if (nextWaveTimer.current > 0) return;
+
+            const total = encounter.startNextWave(difficultyScaling);
+            emit('wave-start', { wave: encounter.wave, total });
+        }
+
+        // === TOP UP ALIVE ENEMIES ===
+        const spawns = encounter.takeSpawns(maxAlive);
+        if (spawns.length === 0) return;
+
+        const center = shipRef.current.translation();
+        const inner = Math.min(minSpawnRadius, spawnRadius);
+
+        for (const { id, ...enemy } of spawns) {
+            const size = enemy.size ?? getArchetype(enemy.archetype).size;
+            enemy.position = pickSpawnPoint(center, inner, spawnRadius, terrainParams, size);
+
+            const handle = swarmRef.current?.spawn(enemy, { onDeath: () => handleDeath(id) });
+            if (!handle) handleDeath(id); // Pool full: count it as gone so the wave can't stall
+        }
+    });
+
+    return (
+        <EnemySwarm
+            ref={swarmRef}
+            capacity={capacity}
+            targetRef={shipRef}
+            terrainParams={terrainParams}
+            onFire={onEnemyFire}
+            enemiesRef={enemiesRef}
+            knockbackSettings={knockbackSettings}
+        />
+    );
+}
+
+export default EncounterManager;
@@ -0,0 +1,163 @@
+/**
+ * EnemyArchetypes - Registry of enemy definitions, referenced by id
+ *
+ * Spawners and wave/level data say { archetype: 'brute' } instead of listing
+ * enemy props; any prop given alongside the id overrides the archetype.
+ * Definitions are plain JSON-like data:
+ *
+ * - health, mass, size
+ * - collider: 'cuboid' | 'ball'
+ * - movement: 'ground' (gravity, walks), 'hover' (holds hoverHeight above the
+ *   terrain), 'swarm' (low hover plus separation from nearby enemies)
+ * - armor: { minImpactSpeed, damageScale } - slower hits do nothing, the rest are scaled
+ * - frontShield: { arc } - hits arriving within this many degrees of the
+ *   enemy's facing are blocked; past 180 the shield wraps around the sides,
+ *   leaving only a (360 - arc)-degree window behind it
+ * - ai: EnemyBrain overrides (see DEFAULT_BRAIN)
+ * - grabbable: false - the lasso can't pick it up (see Lasso.js)
+ * - visual: { color, shape: 'box' | 'sphere' | 'octahedron' }
+ */
+
+const ARCHETYPES = {
+    grunt: {
+        health: 3,
+        mass: 1,
+        size: 1,
+        collider: 'cuboid',
+        movement: 'ground',
+        ai: {},
+        visual: { color: '#ff4444', shape: 'box' },
+    },
+
+    // Keeps its distance and fires projectiles
+    shooter: {
+        health: 2,
+        mass: 1,
+        size: 1,
+        collider: 'cuboid',
+        movement: 'ground',
+        ai: { ranged: true, attackRange: 14, preferredRange: 10, sightRadius: 25, attackCooldown: 2 },
+        visual: { color: '#44aaff', shape: 'box' },
+    },
+
+    // Heavy armored: slow, shrugs off light hits, needs a full swing
+    brute: {
+        health: 10,
+        mass: 6,
+        size: 1.8,
+        collider: 'cuboid',
+        movement: 'ground',
+        armor: { minImpactSpeed: 10, damageScale: 0.5 },
+        grabbable: false,
+        ai: { chaseSpeed: 3.5, lungeSpeed: 10, windupTime: 1, attackRange: 4, fleeHealthFraction: 0 },
+        visual: { color: '#ff8844', shape: 'box' },
+    },
+
+    // Fast swarmer: fragile, quick, never flees
+    swarmer: {
+        health: 1,
+        mass: 0.4,
+        size: 0.6,
+        collider: 'ball',
+        movement: 'swarm',
+        hoverHeight: 1.5,
+        ai: {
+            sightRadius: 35,
+            loseSightRadius: 45,
+            chaseSpeed: 11,
+            lungeSpeed: 16,
+            attackRange: 2,
+            windupTime: 0.3,
+            attackCooldown: 0.8,
+            fleeHealthFraction: 0,
+        },
+        visual: { color: '#ff44aa', shape: 'sphere' },
+    },
+
+    // Shielded flyer: blocks everything from the front, hit it from behind
+    warden: {
+        health: 4,
+        mass: 1.5,
+        size: 1.2,
+        collider: 'ball',
+        movement: 'hover',
+        hoverHeight: 5,
+        frontShield: { arc: 270 }, // Open only in a 90-degree cone behind
+        ai: { chaseSpeed: 5, preferredRange: 6, attackRange: 7, lungeSpeed: 12 },
+        visual: { color: '#aa66ff', shape: 'octahedron' },
+    },
+};
+
+export const DEFAULT_ARCHETYPE = 'grunt';
+
+/**
+ * Look up an archetype definition
+ * Unknown ids log a warning and fall back to DEFAULT_ARCHETYPE.
+ *
+ * @param {string} id - Archetype id
+ * @returns {object} Definition
+ */
+export function getArchetype(id = DEFAULT_ARCHETYPE) {
+    const archetype = ARCHETYPES[id];
+    if (archetype) return archetype;
+
+    console.warn(`Unknown enemy archetype '${id}', using '${DEFAULT_ARCHETYPE}'`);
+    return ARCHETYPES[DEFAULT_ARCHETYPE];
+}
+
+/**
+ * Add or replace an archetype (e.g. from a level file)
+ *
+ * @param {string} id - Archetype id
+ * @param {object} definition - Fields missing here come from DEFAULT_ARCHETYPE
+ */
+export function registerArchetype(id, definition) {
+    ARCHETYPES[id] = { ...ARCHETYPES[DEFAULT_ARCHETYPE], ...definition };
+}
+
+/**
+ * All registered archetype ids
+ */
+export function listArchetypes() {
+    return Object.keys(ARCHETYPES);
+}
+
+/**
+ * Apply armor and front shield to incoming damage
+ *
+ * @param {object} archetype - Definition from getArchetype
+ * @param {number} damage - Damage before defenses
+ * @param {object} hit - { speed, position, velocity } of the impact (position = hitter's
+ *   position; when that gives no direction, the hit comes from against its velocity)
+ * @param {{x,z}} enemyPosition - Enemy center
+ * @param {{x,z}} facing - Enemy facing, normalized
+ * @returns {number} Damage after defenses (0 = blocked)
+ */
+export function applyDefenses(archetype, damage, hit, enemyPosition, facing) {
+    const { armor, frontShield } = archetype;
+
+    // === ARMOR ===
+    if (armor) {
+        if (hit.speed < armor.minImpactSpeed) return 0;
+        damage = Math.max(1, Math.round(damage * armor.damageScale));
+    }
+
+    // === FRONT SHIELD ===
+    if (frontShield && enemyPosition && facing) {
+        let dx = hit.position ? hit.position.x - enemyPosition.x : 0;
+        let dz = hit.position ? hit.position.z - enemyPosition.z : 0;
+        if (dx === 0 && dz === 0 && hit.velocity) {
+            dx = -hit.velocity.x;
+            dz = -hit.velocity.z;
+        }
+        const length = Math.hypot(dx, dz);
+
+        if (length > 0) {
+            const cos = (dx * facing.x + dz * facing.z) / length;
+            const halfArc = (frontShield.arc * Math.PI) / 360;
+            if (cos > Math.cos(halfArc)) return 0;
+        }
+    }
+
+    return damage;
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { applyDefenses, getArchetype } from './EnemyArchetypes';
+import { createCombatResolver } from './CombatResolver';
+
+// A warden slot as EnemySwarm builds it: resistDamage runs applyDefenses with
+// the body's own translation and the brain's facing (+Z here)
+function swarmWarden() {
+    const archetype = getArchetype('warden');
+    const body = { handle: 7, translation: () => ({ x: 0, y: 5, z: 0 }), mass: () => archetype.mass };
+    const facing = { x: 0, z: 1 };
+    const warden = {
+        health: 100,
+        getRigidBody: () => body,
+        isAlive: () => warden.health > 0,
+        getHealth: () => warden.health,
+        takeDamage: (damage) => {
+            warden.health -= damage;
+        },
+        knockback: () => {},
+        getSpawnId: () => 1,
+        resistDamage: (damage, hit) => applyDefenses(archetype, damage, hit, body.translation(), facing),
+    };
+    return warden;
+}
+
+// The anchor hitting from `degrees` off the warden's facing, moving toward it,
+// shaped like Anchor's onEnemyCollision payload
+function anchorHit(warden, degrees) {
+    const angle = (degrees * Math.PI) / 180;
+    const x = Math.sin(angle) * 1.5;
+    const z = Math.cos(angle) * 1.5;
+    return {
+        otherBody: warden.getRigidBody(),
+        otherCollider: null,
+        speed: 20,
+        velocity: { x: -x * 10, y: 0, z: -z * 10 },
+        position: { x, y: 5, z },
+    };
+}
+
+const resolveHit = (degrees) => {
+    const warden = swarmWarden();
+    const resolve = createCombatResolver();
+    return resolve(anchorHit(warden, degrees), { enemies: [warden], anchorMass: 2, time: 0 });
+};
+
+describe('warden front shield', () => {
+    it('blocks anchor hits from the front and the sides', () => {
+        expect(resolveHit(0)).toBeNull();
+        expect(resolveHit(90)).toBeNull();
+        expect(resolveHit(-90)).toBeNull();
+        expect(resolveHit(130)).toBeNull();
+    });
+
+    it('lets anchor hits from behind through', () => {
+        expect(resolveHit(180)?.damage).toBeGreaterThan(0);
+        expect(resolveHit(140)?.damage).toBeGreaterThan(0);
+        expect(resolveHit(-140)?.damage).toBeGreaterThan(0);
+    });
+
+    it('falls back to the hit velocity when the position is the enemy center', () => {
+        const archetype = getArchetype('warden');
+        const center = { x: 0, z: 0 };
+        const facing = { x: 0, z: 1 };
+
+        // Moving toward -Z: arriving from the front
+        expect(applyDefenses(archetype, 3, { speed: 20, position: center, velocity: { x: 0, z: -10 } }, center, facing)).toBe(0);
+        // Moving toward +Z: arriving from behind
+        expect(applyDefenses(archetype, 3, { speed: 20, position: center, velocity: { x: 0, z: 10 } }, center, facing)).toBe(3);
+    });
+});
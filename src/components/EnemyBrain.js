@@ -0,0 +1,254 @@
+/**
+ * EnemyBrain - Pure state machine for enemy behavior
+ *
+ * States:
+ * - idle: waits a moment, then patrols
+ * - patrol: wanders to points around its home position
+ * - chase: runs at the target while it's within sight and the leash
+ * - windup: telegraphs an attack (stands still)
+ * - attack: lunges along the direction locked in at the end of the windup
+ *   (ranged enemies hold still and fire instead, see EnemySwarm's onFire)
+ * - stagger: stunned after being hit, no steering
+ * - flee: runs away once health is low
+ *
+ * No React, Rapier or three.js: feed it positions and time, read back the
+ * state and a desired velocity. EnemySteering applies that velocity as
+ * steering impulses on the enemy's rigid body.
+ */
+
+export const BRAIN_STATES = ['idle', 'patrol', 'chase', 'windup', 'attack', 'stagger', 'flee'];
+
+export const DEFAULT_BRAIN = {
+    // Perception
+    sightRadius: 20, // Target noticed within this distance
+    loseSightRadius: 30, // Chase given up beyond this distance
+    leashDistance: 40, // Max distance from home while chasing
+    attackRange: 3, // Ranged enemies start a windup from this far
+    ranged: false, // Attack fires a projectile instead of lunging
+    preferredRange: 0, // Chase stops closing in at this distance
+
+    // Timing (seconds)
+    idleTime: [1, 3], // Random range
+    windupTime: 0.6,
+    attackTime: 0.4,
+    attackCooldown: 1.2,
+    staggerTime: 0.5,
+
+    // Movement (units/s)
+    patrolRadius: 8,
+    patrolSpeed: 3,
+    chaseSpeed: 7,
+    lungeSpeed: 14,
+    fleeSpeed: 8,
+    steeringRate: 6, // How quickly velocity matches the desired velocity (1/s)
+
+    // Flee below this fraction of max health, until this far from the target
+    fleeHealthFraction: 0.25,
+    fleeDistance: 25,
+};
+
+/**
+ * Create brain state for one enemy
+ *
+ * @param {{x,z}} home - Spawn position, the patrol and leash center
+ */
+export function createBrain(home) {
+    return {
+        state: 'idle',
+        timer: 0,
+        cooldown: 0,
+        home: { x: home.x, z: home.z },
+        goal: { x: home.x, z: home.z }, // Patrol point
+        lunge: { x: 0, z: 0 }, // Locked attack direction
+        desired: { x: 0, z: 0 }, // Output: desired horizontal velocity
+        facing: { x: 0, z: 1 }, // Output: normalized facing direction
+    };
+}
+
+/**
+ * Reuse brain state for a new enemy (pooled enemies)
+ */
+export function resetBrain(brain, home) {
+    brain.state = 'idle';
+    brain.timer = 0;
+    brain.cooldown = 0;
+    brain.home.x = brain.goal.x = home.x;
+    brain.home.z = brain.goal.z = home.z;
+    brain.desired.x = brain.desired.z = 0;
+    brain.facing.x = 0;
+    brain.facing.z = 1;
+}
+
+function enter(brain, state, timer = 0) {
+    brain.state = state;
+    brain.timer = timer;
+}
+
+const distXZ = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+
+/**
+ * Interrupt whatever the enemy is doing with a stagger
+ *
+ * @param {number} duration - Seconds, defaults to config.staggerTime
+ */
+export function staggerBrain(brain, config = DEFAULT_BRAIN, duration = config.staggerTime) {
+    enter(brain, 'stagger', Math.max(duration, brain.state === 'stagger' ? brain.timer : 0));
+}
+
+/**
+ * Advance the state machine one step and compute the desired velocity
+ *
+ * @param {object} brain - From createBrain
+ * @param {object} input
+ * @param {{x,z}} input.position - Enemy position
+ * @param {{x,z}|null} input.target - Target position, null if there is none
+ * @param {number} input.healthFraction - Current / max health
+ * @param {number} input.delta - Seconds
+ * @param {function} input.random - Random source (for tests), default Math.random
+ * @param {object} config - See DEFAULT_BRAIN
+ * @returns {string} The new state
+ */
+export function updateBrain(brain, {
+    position,
+    target = null,
+    healthFraction = 1,
+    delta,
+    random = Math.random,
+}, config = DEFAULT_BRAIN) {
+    brain.timer -= delta;
+    brain.cooldown = Math.max(brain.cooldown - delta, 0);
+
+    const targetDist = target ? distXZ(position, target) : Infinity;
+    const homeDist = distXZ(position, brain.home);
+    const canSee = targetDist <= config.sightRadius;
+    const shouldFlee = healthFraction <= config.fleeHealthFraction && targetDist < config.fleeDistance;
+
+    // === TRANSITIONS ===
+    switch (brain.state) {
+        case 'idle':
+            if (shouldFlee) enter(brain, 'flee');
+            else if (canSee) enter(brain, 'chase');
+            else if (brain.timer <= 0) {
+                const angle = random() * Math.PI * 2;
+                const radius = random() * config.patrolRadius;
+                brain.goal.x = brain.home.x + Math.cos(angle) * radius;
+                brain.goal.z = brain.home.z + Math.sin(angle) * radius;
+                enter(brain, 'patrol');
+            }
+            break;
+
+        case 'patrol':
+            if (shouldFlee) enter(brain, 'flee');
+            else if (canSee) enter(brain, 'chase');
+            else if (distXZ(position, brain.goal) < 1) {
+                const [min, max] = config.idleTime;
+                enter(brain, 'idle', min + random() * (max - min));
+            }
+            break;
+
+        case 'chase':
+            if (shouldFlee) enter(brain, 'flee');
+            else if (targetDist > config.loseSightRadius || homeDist > config.leashDistance) {
+                // Give up and walk home
+                brain.goal.x = brain.home.x;
+                brain.goal.z = brain.home.z;
+                enter(brain, 'patrol');
+            } else if (targetDist <= config.attackRange && brain.cooldown <= 0) {
+                enter(brain, 'windup', config.windupTime);
+            }
+            break;
+
+        case 'windup':
+            if (brain.timer <= 0) {
+                // Lock the lunge direction at the last moment
+                if (target && targetDist > 0) {
+                    brain.lunge.x = (target.x - position.x) / targetDist;
+                    brain.lunge.z = (target.z - position.z) / targetDist;
+                }
+                enter(brain, 'attack', config.attackTime);
+            }
+            break;
+
+        case 'attack':
+            if (brain.timer <= 0) {
+                brain.cooldown = config.attackCooldown;
+                enter(brain, shouldFlee ? 'flee' : 'chase');
+            }
+            break;
+
+        case 'stagger':
+            if (brain.timer <= 0) {
+                enter(brain, shouldFlee ? 'flee' : canSee ? 'chase' : 'idle');
+            }
+            break;
+
+        case 'flee':
+            if (targetDist >= config.fleeDistance) {
+                const [min, max] = config.idleTime;
+                enter(brain, 'idle', min + random() * (max - min));
+            }
+            break;
+
+        default:
+            enter(brain, 'idle');
+    }
+
+    // === DESIRED VELOCITY ===
+    const desired = brain.desired;
+    desired.x = 0;
+    desired.z = 0;
+
+    const seek = (to, speed, away = false) => {
+        const dx = to.x - position.x;
+        const dz = to.z - position.z;
+        const len = Math.hypot(dx, dz);
+        if (len < 0.001) return;
+        const sign = away ? -1 : 1;
+        desired.x = (dx / len) * speed * sign;
+        desired.z = (dz / len) * speed * sign;
+    };
+
+    if (brain.state === 'patrol') seek(brain.goal, config.patrolSpeed);
+    else if (brain.state === 'chase' && target && targetDist > config.preferredRange) seek(target, config.chaseSpeed);
+    else if (brain.state === 'flee' && target) seek(target, config.fleeSpeed, true);
+    else if (brain.state === 'attack' && !config.ranged) {
+        desired.x = brain.lunge.x * config.lungeSpeed;
+        desired.z = brain.lunge.z * config.lungeSpeed;
+    }
+
+    // === FACING: at the target while engaged, otherwise along the movement ===
+    const engaged = brain.state === 'chase' || brain.state === 'windup' || brain.state === 'attack';
+    if (engaged && target && targetDist > 0.001) {
+        brain.facing.x = (target.x - position.x) / targetDist;
+        brain.facing.z = (target.z - position.z) / targetDist;
+    } else if (brain.state !== 'stagger') {
+        const speed = Math.hypot(desired.x, desired.z);
+        if (speed > 0.001) {
+            brain.facing.x = desired.x / speed;
+            brain.facing.z = desired.z / speed;
+        }
+    }
+
+    return brain.state;
+}
+
+/**
+ * Add a push away from one neighbor to a velocity (swarm separation)
+ * Grows linearly from 0 at `radius` to `speed` when the two overlap.
+ *
+ * @param {{x,z}} out - Velocity to add to
+ * @param {{x,z}} position - This enemy
+ * @param {{x,z}} neighbor - The other enemy
+ * @param {number} radius - Separation distance
+ * @param {number} speed - Push at zero distance
+ */
+export function addSeparation(out, position, neighbor, radius, speed) {
+    const dx = position.x - neighbor.x;
+    const dz = position.z - neighbor.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance <= 0.001 || distance >= radius) return;
+
+    const push = (1 - distance / radius) * speed / distance;
+    out.x += dx * push;
+    out.z += dz * push;
+}
@@ -0,0 +1,152 @@
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_BRAIN,
+    addSeparation,
+    createBrain,
+    resetBrain,
+    staggerBrain,
+    updateBrain,
+} from './EnemyBrain';
+
+const home = { x: 0, z: 0 };
+const far = { x: 100, z: 0 }; // Out of sight
+const near = { x: 10, z: 0 }; // In sight, out of attack range
+const close = { x: 2, z: 0 }; // In attack range
+
+// One step with the enemy standing at home unless told otherwise
+const step = (brain, input, config = DEFAULT_BRAIN) => updateBrain(brain, {
+    position: home,
+    delta: 0.1,
+    random: () => 0.5,
+    ...input,
+}, config);
+
+describe('EnemyBrain', () => {
+    it('starts idle and patrols once the idle timer runs out', () => {
+        const brain = createBrain(home);
+        expect(brain.state).toBe('idle');
+
+        expect(step(brain, { target: far })).toBe('patrol');
+        expect(Math.hypot(brain.goal.x, brain.goal.z)).toBeLessThanOrEqual(DEFAULT_BRAIN.patrolRadius);
+        expect(Math.hypot(brain.desired.x, brain.desired.z)).toBeCloseTo(DEFAULT_BRAIN.patrolSpeed);
+    });
+
+    it('idles again after reaching the patrol point', () => {
+        const brain = createBrain(home);
+        step(brain, { target: far });
+
+        expect(step(brain, { position: brain.goal, target: far })).toBe('idle');
+        expect(brain.timer).toBeGreaterThanOrEqual(DEFAULT_BRAIN.idleTime[0]);
+    });
+
+    it('chases a target in sight', () => {
+        const brain = createBrain(home);
+        expect(step(brain, { target: near })).toBe('chase');
+        expect(brain.desired.x).toBeCloseTo(DEFAULT_BRAIN.chaseSpeed);
+        expect(brain.facing).toEqual({ x: 1, z: 0 });
+    });
+
+    it('gives up the chase beyond the lose-sight radius and walks home', () => {
+        const brain = createBrain(home);
+        step(brain, { target: near });
+
+        expect(step(brain, { position: { x: 5, z: 0 }, target: far })).toBe('patrol');
+        expect(brain.goal).toEqual(home);
+    });
+
+    it('gives up the chase past the leash', () => {
+        const brain = createBrain(home);
+        step(brain, { target: near });
+
+        const position = { x: DEFAULT_BRAIN.leashDistance + 1, z: 0 };
+        expect(step(brain, { position, target: { x: position.x + 5, z: 0 } })).toBe('patrol');
+    });
+
+    it('winds up in range, then lunges along the locked direction', () => {
+        const brain = createBrain(home);
+        step(brain, { target: near });
+        expect(step(brain, { target: close })).toBe('windup');
+        expect(brain.desired).toEqual({ x: 0, z: 0 });
+
+        expect(step(brain, { target: close, delta: DEFAULT_BRAIN.windupTime })).toBe('attack');
+        expect(brain.lunge).toEqual({ x: 1, z: 0 });
+
+        // Target moves, the lunge doesn't
+        step(brain, { target: { x: 0, z: 2 }, delta: 0 });
+        expect(brain.desired.x).toBeCloseTo(DEFAULT_BRAIN.lungeSpeed);
+        expect(brain.desired.z).toBe(0);
+    });
+
+    it('holds still when attacking at range', () => {
+        const config = { ...DEFAULT_BRAIN, ranged: true };
+        const brain = createBrain(home);
+        step(brain, { target: near }, config);
+        step(brain, { target: close }, config);
+
+        expect(step(brain, { target: close, delta: config.windupTime }, config)).toBe('attack');
+        expect(brain.desired).toEqual({ x: 0, z: 0 });
+    });
+
+    it('waits out the cooldown before the next windup', () => {
+        const brain = createBrain(home);
+        step(brain, { target: near });
+        step(brain, { target: close });
+        step(brain, { target: close, delta: DEFAULT_BRAIN.windupTime });
+
+        expect(step(brain, { target: close, delta: DEFAULT_BRAIN.attackTime })).toBe('chase');
+        expect(brain.cooldown).toBe(DEFAULT_BRAIN.attackCooldown);
+        expect(step(brain, { target: close })).toBe('chase');
+
+        expect(step(brain, { target: close, delta: DEFAULT_BRAIN.attackCooldown })).toBe('windup');
+    });
+
+    it('staggers out of any state, then resumes the chase', () => {
+        const brain = createBrain(home);
+        step(brain, { target: near });
+        staggerBrain(brain);
+
+        expect(step(brain, { target: near })).toBe('stagger');
+        expect(brain.desired).toEqual({ x: 0, z: 0 });
+        expect(step(brain, { target: near, delta: DEFAULT_BRAIN.staggerTime })).toBe('chase');
+    });
+
+    it('keeps the longer of two staggers', () => {
+        const brain = createBrain(home);
+        staggerBrain(brain, DEFAULT_BRAIN, 2);
+        staggerBrain(brain, DEFAULT_BRAIN, 0.5);
+        expect(brain.timer).toBe(2);
+    });
+
+    it('flees on low health until far enough away', () => {
+        const brain = createBrain(home);
+        const healthFraction = DEFAULT_BRAIN.fleeHealthFraction;
+
+        expect(step(brain, { target: near, healthFraction })).toBe('flee');
+        expect(brain.desired.x).toBeCloseTo(-DEFAULT_BRAIN.fleeSpeed);
+
+        const safe = { x: DEFAULT_BRAIN.fleeDistance, z: 0 };
+        expect(step(brain, { target: safe, healthFraction })).toBe('idle');
+    });
+
+    it('resets a pooled brain to idle at its new home', () => {
+        const brain = createBrain(home);
+        step(brain, { target: near });
+
+        resetBrain(brain, { x: 5, z: -5 });
+        expect(brain.state).toBe('idle');
+        expect(brain.home).toEqual({ x: 5, z: -5 });
+        expect(brain.goal).toEqual({ x: 5, z: -5 });
+        expect(brain.desired).toEqual({ x: 0, z: 0 });
+    });
+});
+
+describe('addSeparation', () => {
+    it('pushes away from close neighbors only', () => {
+        const out = { x: 0, z: 0 };
+        addSeparation(out, { x: 0, z: 0 }, { x: 1, z: 0 }, 2, 4);
+        expect(out.x).toBeCloseTo(-2);
+
+        addSeparation(out, { x: 0, z: 0 }, { x: 3, z: 0 }, 2, 4);
+        expect(out.x).toBeCloseTo(-2);
+    });
+});
@@ -0,0 +1,18 @@
+/**
+ * EnemyGeometry - Geometry for an archetype's visual shape, sized to fit the collider
+ *
+ * @param {string} shape - Archetype visual.shape: 'box' (default), 'sphere' or 'octahedron'
+ * @param {number} size - Edge length / diameter
+ */
+function EnemyGeometry({ shape, size }) {
+    switch (shape) {
+        case 'sphere':
+            return <icosahedronGeometry args={[size * 0.5, 1]} />;
+        case 'octahedron':
+            return <octahedronGeometry args={[size * 0.6]} />;
+        default:
+            return <boxGeometry args={[size, size, size]} />;
+    }
+}
+
+export default EnemyGeometry;
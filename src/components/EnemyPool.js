@@ -0,0 +1,107 @@
+import { createBrain } from './EnemyBrain';
+import { createKnock } from './Knockback';
+
+/**
+ * EnemyPool - Slot bookkeeping for pooled enemies
+ *
+ * Per-enemy numbers live in typed arrays indexed by slot; brains and knock
+ * records are allocated once per slot and reset on spawn. EnemySwarm attaches one Rapier
+ * body and one handle object per slot and never recreates them.
+ *
+ * `live` is a dense array of the handles currently in play (swap-removed on
+ * release), so it can be handed out as the enemy list without filtering.
+ */
+
+// Seconds an enemy flashes white after a hit
+export const FLASH_TIME = 0.15;
+
+/**
+ * Create an empty pool
+ *
+ * @param {number} capacity - Max enemies alive at once
+ */
+export function createEnemyPool(capacity = 256) {
+    const free = new Int32Array(capacity);
+    for (let i = 0; i < capacity; i++) free[i] = capacity - 1 - i; // Pop slot 0 first
+
+    return {
+        capacity,
+        active: new Uint8Array(capacity),
+        health: new Float32Array(capacity),
+        maxHealth: new Float32Array(capacity),
+        flash: new Float32Array(capacity), // Seconds of hit flash left
+        size: new Float32Array(capacity),
+        color: new Float32Array(capacity * 3), // Base color (linear RGB)
+        position: new Float32Array(capacity * 3), // Cached each frame
+        spawnCount: new Uint32Array(capacity), // Spawns per slot, so a reused handle reads as a new enemy
+
+        archetype: new Array(capacity).fill(null), // Definition from getArchetype
+        config: new Array(capacity).fill(null), // Brain config
+        brain: Array.from({ length: capacity }, () => createBrain({ x: 0, z: 0 })),
+        knock: Array.from({ length: capacity }, createKnock), // Knockback impact window
+        callbacks: new Array(capacity).fill(null), // { onDeath, onHit }
+        handles: new Array(capacity).fill(null), // Set by the owner
+
+        free,
+        freeCount: capacity,
+        live: [],
+        liveSlots: new Int32Array(capacity), // Slot of each live entry
+        liveIndex: new Int32Array(capacity).fill(-1), // Live entry of each slot
+    };
+}
+
+/**
+ * Take a free slot and add its handle to `live`
+ *
+ * @returns {number} Slot, or -1 when the pool is full
+ */
+export function allocateEnemy(pool) {
+    if (pool.freeCount === 0) return -1;
+
+    const slot = pool.free[--pool.freeCount];
+    pool.active[slot] = 1;
+    pool.flash[slot] = 0;
+    pool.spawnCount[slot]++;
+    pool.liveIndex[slot] = pool.live.length;
+    pool.liveSlots[pool.live.length] = slot;
+    pool.live.push(pool.handles[slot]);
+
+    return slot;
+}
+
+/**
+ * Return a slot to the free list
+ */
+export function releaseEnemy(pool, slot) {
+    if (!pool.active[slot]) return;
+
+    pool.active[slot] = 0;
+    pool.callbacks[slot] = null;
+
+    // Swap-remove from live
+    const index = pool.liveIndex[slot];
+    const lastIndex = pool.live.length - 1;
+    const lastSlot = pool.liveSlots[lastIndex];
+
+    pool.live[index] = pool.live[lastIndex];
+    pool.liveSlots[index] = lastSlot;
+    pool.liveIndex[lastSlot] = index;
+    pool.live.pop();
+    pool.liveIndex[slot] = -1;
+
+    pool.free[pool.freeCount++] = slot;
+}
+
+/**
+ * Subtract health and start the hit flash
+ *
+ * @returns {number} New health, or -1 if the slot isn't alive
+ */
+export function damageEnemy(pool, slot, damage) {
+    if (!pool.active[slot] || pool.health[slot] <= 0) return -1;
+
+    pool.health[slot] = Math.max(0, pool.health[slot] - damage);
+    pool.flash[slot] = FLASH_TIME;
+
+    return pool.health[slot];
+}
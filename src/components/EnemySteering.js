@@ -0,0 +1,80 @@
+import { updateBrain } from './EnemyBrain';
+import { sampleHeight } from './TerrainHeight';
+
+/**
+ * EnemySteering - One AI step for an enemy rigid body
+ *
+ * Called by EnemySwarm for each live slot: runs the brain, fires ranged
+ * attacks, and turns the brain's desired velocity into a steering impulse. Ground movers leave Y to gravity; hover and swarm movers
+ * also spring toward their hover height above the terrain.
+ */
+
+// Swarmers keep this many body sizes apart
+export const SWARM_SPACING = 2.5;
+
+// Scratch objects (Rapier copies impulse vectors, so these can be reused)
+const desired = { x: 0, z: 0 };
+const impulse = { x: 0, y: 0, z: 0 };
+
+/**
+ * @param {object} body - Rapier rigid body
+ * @param {object} brain - From createBrain
+ * @param {object} config - Brain config (DEFAULT_BRAIN merged with overrides)
+ * @param {object} archetype - Definition from getArchetype
+ * @param {object} input
+ * @param {{x,y,z}} input.position - Body position this frame
+ * @param {{x,y,z}|null} input.target - Target position
+ * @param {number} input.healthFraction - Current / max health
+ * @param {number} input.delta - Game-time seconds
+ * @param {number} input.size - Enemy size
+ * @param {object} input.terrainParams - For hover height (optional)
+ * @param {function} input.onFire - (origin, direction) for ranged attacks (optional)
+ * @param {function} input.separate - (velocity, position, radius, speed) adds swarm separation (optional)
+ */
+export function driveEnemy(body, brain, config, archetype, {
+    position,
+    target,
+    healthFraction,
+    delta,
+    size,
+    terrainParams = null,
+    onFire = null,
+    separate = null,
+}) {
+    const previousState = brain.state;
+    updateBrain(brain, { position, target, healthFraction, delta }, config);
+
+    // === RANGED ATTACK: one shot from the top of the enemy, aimed at the target ===
+    if (config.ranged && onFire && target && previousState === 'windup' && brain.state === 'attack') {
+        const origin = { x: position.x, y: position.y + size * 0.5, z: position.z };
+        onFire(origin, { x: target.x - origin.x, y: target.y - origin.y, z: target.z - origin.z });
+    }
+
+    // Staggered enemies drift so knockback isn't cancelled
+    if (brain.state === 'stagger') return;
+
+    desired.x = brain.desired.x;
+    desired.z = brain.desired.z;
+
+    // Swarmers spread out instead of stacking on the target
+    if (archetype.movement === 'swarm' && separate) {
+        separate(desired, position, size * SWARM_SPACING, config.chaseSpeed);
+    }
+
+    // === STEERING: blend velocity toward the desired velocity ===
+    const vel = body.linvel();
+    const blend = Math.min(config.steeringRate * delta, 1) * body.mass();
+
+    impulse.x = (desired.x - vel.x) * blend;
+    impulse.y = 0;
+    impulse.z = (desired.z - vel.z) * blend;
+
+    if (archetype.movement !== 'ground' && terrainParams) {
+        // Hover: spring toward hoverHeight above the terrain
+        const targetY = sampleHeight(position.x, position.z, terrainParams) + (archetype.hoverHeight ?? 2);
+        const desiredY = Math.min(Math.max((targetY - position.y) * 2, -6), 6);
+        impulse.y = (desiredY - vel.y) * blend;
+    }
+
+    body.applyImpulse(impulse, true);
+}
@@ -0,0 +1,402 @@
+import { useMemo, useRef, useEffect, forwardRef, useImperativeHandle } from 'react';
+import { useRapier } from '@react-three/rapier';
+import * as THREE from 'three/webgpu';
+import { useScaledFrame } from './TimeScale';
+import { DEFAULT_BRAIN, resetBrain, staggerBrain, addSeparation } from './EnemyBrain';
+import { getArchetype, applyDefenses } from './EnemyArchetypes';
+import { driveEnemy } from './EnemySteering';
+import { createEnemyPool, allocateEnemy, releaseEnemy, damageEnemy } from './EnemyPool';
+import EnemyGeometry from './EnemyGeometry';
+import { useGameJuice } from './GameJuice';
+import { DEFAULT_KNOCKBACK, startKnock, endKnock, checkKnockImpact } from './Knockback';
+
+// One instanced mesh per archetype visual shape
+const SHAPES = ['box', 'sphere', 'octahedron'];
+
+const FLASH_COLOR = new THREE.Color('#ffffff');
+const WINDUP_COLOR = new THREE.Color('#ffff00');
+
+// Where free bodies wait (disabled, so they never collide)
+const PARKED = { x: 0, y: -1000, z: 0 };
+
+/**
+ * EnemySwarm - Pooled, instanced enemies for large waves
+ *
+ * No React component per enemy:
+ * - Health, flash and size live in typed arrays (EnemyPool.js); hits don't re-render
+ * - One Rapier body per slot, created up front and re-enabled on spawn
+ *   (colliders are only rebuilt when a slot changes shape or size)
+ * - Bodies, health bars and shield plates draw through instanced meshes
+ *
+ * Every slot has an enemy handle (getPosition,
+ * getRigidBody, takeDamage, isAlive, getHealth, stagger, knockback,
+ * getState, getArchetype, getSpawnId, resistDamage), and `enemiesRef.current` is the pool's dense
+ * live list, so aim assist, combat and projectiles work unchanged. Deaths
+ * emit 'enemy-death' { position, velocity, impact, size, color, archetype }.
+ *
+ * Spawn through the ref: swarmRef.current.spawn(props, { onDeath, onHit })
+ * with enemy props ({ archetype, position, health, ... }).
+ *
+ * @param {number} capacity - Max enemies alive at once (default: 256)
+ * @param {object} targetRef - RigidBody ref the AI chases
+ * @param {object} terrainParams - Shared terrain params, for hover height
+ * @param {function} onFire - Called with (origin, direction) for ranged attacks
+ * @param {object} enemiesRef - Ref that receives the live handle list
+ * @param {object} knockbackSettings - Collision damage settings (see DEFAULT_KNOCKBACK)
+ */
+const EnemySwarm = forwardRef(function EnemySwarm({
+    capacity = 256,
+    targetRef = null,
+    terrainParams = null,
+    onFire = null,
+    enemiesRef = null,
+    knockbackSettings = DEFAULT_KNOCKBACK,
+}, ref) {
+    const { world, rapier } = useRapier();
+    const { emit } = useGameJuice();
+    const pool = useMemo(() => createEnemyPool(capacity), [capacity]);
+
+    // Latest settings for the handles, which are only built once
+    const knockbackRef = useRef(knockbackSettings);
+    useEffect(() => {
+        knockbackRef.current = knockbackSettings;
+    }, [knockbackSettings]);
+
+    const shapeRefs = useRef({});
+    const barBackRef = useRef();
+    const barFillRef = useRef();
+    const shieldRef = useRef();
+
+    // Mutable state to avoid re-renders
+    const state = useMemo(() => ({
+        bodies: new Array(capacity).fill(null),
+        colliders: new Array(capacity).fill(null),
+        colliderKeys: new Array(capacity).fill(''),
+        // Reusable temp objects
+        current: { x: 0, y: 0, z: 0 }, // Position of the enemy being driven
+        point: { x: 0, y: 0, z: 0 }, // Neighbor position in separation
+        matrix: new THREE.Matrix4(),
+        position: new THREE.Vector3(),
+        quaternion: new THREE.Quaternion(),
+        scale: new THREE.Vector3(),
+        right: new THREE.Vector3(),
+        up: new THREE.Vector3(0, 1, 0),
+        color: new THREE.Color(),
+        counts: {},
+    }), [capacity]);
+
+    // Bodies and handles, created once per slot
+    useEffect(() => {
+        // Free the slot's body and tell the spawner (and the debris)
+        const kill = (slot, hit) => {
+            const callbacks = pool.callbacks[slot];
+            const body = state.bodies[slot];
+            const pos = body.translation();
+            const vel = body.linvel();
+
+            emit('enemy-death', {
+                position: { x: pos.x, y: pos.y, z: pos.z },
+                velocity: { x: vel.x, y: vel.y, z: vel.z },
+                impact: hit?.velocity ?? null,
+                size: pool.size[slot],
+                color: new THREE.Color().fromArray(pool.color, slot * 3),
+                archetype: pool.archetype[slot],
+            });
+
+            releaseEnemy(pool, slot);
+            body.setEnabled(false);
+            body.setTranslation(PARKED, false);
+
+            callbacks?.onDeath?.({ x: pos.x, y: pos.y, z: pos.z });
+        };
+
+        for (let slot = 0; slot < capacity; slot++) {
+            const body = world.createRigidBody(
+                rapier.RigidBodyDesc.dynamic()
+                    .setTranslation(PARKED.x, PARKED.y, PARKED.z)
+                    .setLinearDamping(2)
+                    .setAngularDamping(2)
+                    .setEnabled(false)
+            );
+            state.bodies[slot] = body;
+
+            // Returned by getPosition, overwritten on every call
+            const position = new THREE.Vector3();
+
+            pool.handles[slot] = {
+                getPosition: () => position.copy(body.translation()),
+                getRigidBody: () => body,
+                takeDamage: (damage = 1, hit = null) => {
+                    const newHealth = damageEnemy(pool, slot, damage);
+                    if (newHealth < 0) return;
+
+                    pool.callbacks[slot]?.onHit?.(damage, newHealth);
+                    if (newHealth <= 0) kill(slot, hit);
+                },
+                isAlive: () => pool.active[slot] === 1,
+                getHealth: () => pool.health[slot],
+                stagger: (duration) => staggerBrain(pool.brain[slot], pool.config[slot], duration),
+                knockback: (impulse, duration) => {
+                    if (!pool.active[slot]) return;
+                    body.applyImpulse(impulse, true);
+                    staggerBrain(pool.brain[slot], pool.config[slot], duration);
+                    startKnock(pool.knock[slot], knockbackRef.current.knockedTime);
+                },
+                getState: () => pool.brain[slot].state,
+                getArchetype: () => pool.archetype[slot],
+                getSpawnId: () => pool.spawnCount[slot],
+                resistDamage: (damage, hit) =>
+                    applyDefenses(pool.archetype[slot], damage, hit, body.translation(), pool.brain[slot].facing),
+            };
+        }
+
+        if (enemiesRef) enemiesRef.current = pool.live;
+
+        return () => {
+            for (let slot = 0; slot < capacity; slot++) {
+                if (state.bodies[slot]) world.removeRigidBody(state.bodies[slot]);
+                state.bodies[slot] = null;
+                state.colliders[slot] = null;
+                state.colliderKeys[slot] = '';
+                if (pool.active[slot]) releaseEnemy(pool, slot);
+            }
+            if (enemiesRef) enemiesRef.current = [];
+        };
+    }, [world, rapier, emit, pool, state, capacity, enemiesRef]);
+
+    useImperativeHandle(ref, () => ({
+        /**
+         * Spawn an enemy
+         * @param {object} props - Enemy-style props ({ archetype, position, health, color, size, mass, ai })
+         * @param {object} callbacks - { onDeath(position), onHit(damage, newHealth) }
+         * @returns {object|null} Handle, or null when the pool is full
+         */
+        spawn: (props, callbacks = null) => {
+            const slot = allocateEnemy(pool);
+            if (slot < 0) return null;
+
+            const type = getArchetype(props.archetype);
+            const size = props.size ?? type.size;
+            const mass = props.mass ?? type.mass;
+            const health = props.health ?? type.health;
+            const grounded = type.movement === 'ground';
+            const [x, y, z] = props.position ?? [0, 5, 0];
+
+            pool.archetype[slot] = type;
+            pool.config[slot] = { ...DEFAULT_BRAIN, ...type.ai, ...props.ai };
+            pool.callbacks[slot] = callbacks;
+            pool.health[slot] = health;
+            pool.maxHealth[slot] = health;
+            pool.size[slot] = size;
+            state.color.set(props.color ?? type.visual.color).toArray(pool.color, slot * 3);
+            resetBrain(pool.brain[slot], { x, z });
+            endKnock(pool.knock[slot]);
+
+            // Rebuild the collider only if the shape changed
+            const body = state.bodies[slot];
+            const key = `${type.collider}:${size}:${mass}`;
+            if (state.colliderKeys[slot] !== key) {
+                if (state.colliders[slot]) world.removeCollider(state.colliders[slot], false);
+
+                const desc = type.collider === 'ball'
+                    ? rapier.ColliderDesc.ball(size * 0.5)
+                    : rapier.ColliderDesc.cuboid(size * 0.5, size * 0.5, size * 0.5);
+                state.colliders[slot] = world.createCollider(desc.setMass(mass), body);
+                state.colliderKeys[slot] = key;
+            }
+
+            body.setEnabled(true);
+            body.setTranslation({ x, y, z }, true);
+            body.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true);
+            body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+            body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+            body.setGravityScale(grounded ? 1 : 0, true);
+            body.lockRotations(!grounded, true);
+
+            return pool.handles[slot];
+        },
+        // Enemies currently alive
+        getLiveCount: () => pool.live.length,
+    }));
+
+    // Swarm separation against cached positions (no Rapier calls per pair)
+    const separate = (velocity, position, radius, speed) => {
+        const { liveSlots, position: cached } = pool;
+        for (let i = 0; i < pool.live.length; i++) {
+            const slot = liveSlots[i];
+            if (pool.archetype[slot].movement !== 'swarm') continue;
+
+            state.point.x = cached[slot * 3];
+            state.point.z = cached[slot * 3 + 2];
+            addSeparation(velocity, position, state.point, radius, speed);
+        }
+    };
+
+    // Game time, so the flash and AI hold through hitstop
+    useScaledFrame(({ camera }, delta) => {
+        const { liveSlots } = pool;
+        const liveCount = pool.live.length;
+
+        // === CACHE POSITIONS ===
+        for (let i = 0; i < liveCount; i++) {
+            const slot = liveSlots[i];
+            const pos = state.bodies[slot].translation();
+            pool.position[slot * 3] = pos.x;
+            pool.position[slot * 3 + 1] = pos.y;
+            pool.position[slot * 3 + 2] = pos.z;
+        }
+
+        // === AI ===
+        if (delta > 0) {
+            const target = targetRef?.current?.translation() ?? null;
+
+            for (let i = 0; i < liveCount; i++) {
+                const slot = liveSlots[i];
+                const position = state.current;
+                position.x = pool.position[slot * 3];
+                position.y = pool.position[slot * 3 + 1];
+                position.z = pool.position[slot * 3 + 2];
+
+                driveEnemy(state.bodies[slot], pool.brain[slot], pool.config[slot], pool.archetype[slot], {
+                    position,
+                    target,
+                    healthFraction: pool.health[slot] / pool.maxHealth[slot],
+                    delta,
+                    size: pool.size[slot],
+                    terrainParams,
+                    onFire,
+                    separate,
+                });
+
+                if (pool.flash[slot] > 0) pool.flash[slot] -= delta;
+            }
+
+            // === KNOCKBACK IMPACTS ===
+            // Backwards, since a kill swap-removes from the live list
+            for (let i = pool.live.length - 1; i >= 0; i--) {
+                if (i >= pool.live.length) continue;
+                const slot = liveSlots[i];
+                const impact = checkKnockImpact(world, state.bodies[slot], pool.knock[slot], delta, pool.live, knockbackRef.current);
+                if (!impact) continue;
+
+                impact.enemy?.takeDamage(impact.damage);
+                pool.handles[slot].takeDamage(impact.damage);
+            }
+        }
+
+        // === RENDER ===
+        for (const shape of SHAPES) state.counts[shape] = 0;
+        let barCount = 0;
+        let shieldCount = 0;
+
+        camera.updateMatrixWorld();
+        state.right.setFromMatrixColumn(camera.matrixWorld, 0);
+
+        // Re-read the count: impacts above may have killed enemies
+        for (let i = 0; i < pool.live.length; i++) {
+            const slot = liveSlots[i];
+            const type = pool.archetype[slot];
+            const brain = pool.brain[slot];
+            const size = pool.size[slot];
+            const mesh = shapeRefs.current[type.visual.shape] ?? shapeRefs.current.box;
+            const index = state.counts[mesh.userData.shape]++;
+
+            state.position.fromArray(pool.position, slot * 3);
+
+            // Body: physics rotation for tumbling ground movers, facing yaw for the rest
+            if (type.movement === 'ground') {
+                const rot = state.bodies[slot].rotation();
+                state.quaternion.set(rot.x, rot.y, rot.z, rot.w);
+            } else {
+                state.quaternion.setFromAxisAngle(state.up, Math.atan2(brain.facing.x, brain.facing.z));
+            }
+            state.scale.setScalar(size);
+            state.matrix.compose(state.position, state.quaternion, state.scale);
+            mesh.setMatrixAt(index, state.matrix);
+
+            // Flash white when hit, yellow while telegraphing an attack
+            if (pool.flash[slot] > 0) state.color.copy(FLASH_COLOR);
+            else if (brain.state === 'windup') state.color.copy(WINDUP_COLOR);
+            else state.color.fromArray(pool.color, slot * 3);
+            mesh.setColorAt(index, state.color);
+
+            // Front shield plate
+            if (type.frontShield && shieldRef.current) {
+                state.matrix.compose(state.position, state.quaternion, state.scale);
+                state.matrix.multiply(SHIELD_OFFSET);
+                shieldRef.current.setMatrixAt(shieldCount++, state.matrix);
+            }
+
+            // Health bar (camera-facing, fill anchored at the left edge)
+            const fraction = pool.health[slot] / pool.maxHealth[slot];
+            state.position.y += size * 0.8;
+            state.scale.set(size, 0.1, 1);
+            state.matrix.compose(state.position, camera.quaternion, state.scale);
+            barBackRef.current?.setMatrixAt(barCount, state.matrix);
+
+            state.position.addScaledVector(state.right, (fraction - 1) * size * 0.5);
+            state.scale.set(size * Math.max(fraction, 0.0001), 0.08, 1);
+            state.matrix.compose(state.position, camera.quaternion, state.scale);
+            barFillRef.current?.setMatrixAt(barCount, state.matrix);
+            barCount++;
+        }
+
+        for (const shape of SHAPES) {
+            finishInstances(shapeRefs.current[shape], state.counts[shape]);
+        }
+        finishInstances(barBackRef.current, barCount);
+        finishInstances(barFillRef.current, barCount);
+        finishInstances(shieldRef.current, shieldCount);
+    });
+
+    return (
+        <>
+            {SHAPES.map((shape) => (
+                <instancedMesh
+                    key={shape}
+                    ref={(el) => {
+                        if (el) shapeRefs.current[shape] = el;
+                    }}
+                    args={[null, null, capacity]}
+                    userData={{ shape }}
+                    count={0}
+                    frustumCulled={false}
+                >
+                    <EnemyGeometry shape={shape} size={1} />
+                    <meshBasicMaterial color="#ffffff" wireframe />
+                    <instancedBufferAttribute attach="instanceColor" args={[new Float32Array(capacity * 3), 3]} />
+                </instancedMesh>
+            ))}
+
+            {/* Front shield plates */}
+            <instancedMesh ref={shieldRef} args={[null, null, capacity]} count={0} frustumCulled={false}>
+                <circleGeometry args={[0.7, 8]} />
+                <meshBasicMaterial color="#66ccff" wireframe side={THREE.DoubleSide} />
+            </instancedMesh>
+
+            {/* Health bars */}
+            <instancedMesh ref={barBackRef} args={[null, null, capacity]} count={0} frustumCulled={false}>
+                <planeGeometry args={[1, 1]} />
+                <meshBasicMaterial color="#333333" side={THREE.DoubleSide} />
+            </instancedMesh>
+            <instancedMesh ref={barFillRef} args={[null, null, capacity]} count={0} frustumCulled={false}>
+                <planeGeometry args={[1, 1]} />
+                <meshBasicMaterial color="#00ff00" side={THREE.DoubleSide} />
+            </instancedMesh>
+        </>
+    );
+});
+
+// Shield plate sits in front of the body (local +Z, scaled by size)
+const SHIELD_OFFSET = new THREE.Matrix4().makeTranslation(0, 0, 0.6);
+
+// Set the draw count and flag the buffers for upload
+function finishInstances(mesh, count) {
+    if (!mesh) return;
+
+    mesh.count = count;
+    mesh.instanceMatrix.needsUpdate = true;
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+}
+
+export default EnemySwarm;
@@ -0,0 +1,25 @@
+/**
+ * EventBus - Minimal typed publish/subscribe
+ *
+ * emit('hit', payload) calls every handler subscribed to 'hit', in
+ * subscription order. subscribe returns its own unsubscribe function, so it
+ * can be returned straight from a useEffect.
+ */
+export function createEventBus() {
+    const handlers = new Map();
+
+    const subscribe = (type, handler) => {
+        if (!handlers.has(type)) handlers.set(type, new Set());
+        handlers.get(type).add(handler);
+        return () => handlers.get(type)?.delete(handler);
+    };
+
+    const emit = (type, payload = {}) => {
+        const set = handlers.get(type);
+        if (!set) return;
+        // Copy so handlers can unsubscribe while being called
+        for (const handler of [...set]) handler(payload);
+    };
+
+    return { subscribe, emit };
+}
@@ -0,0 +1,143 @@
+/**
+ * FlightModel - Force-based hover flight for the airship
+ *
+ * The alternative to the arcade model's velocity lerp: the ship's velocity
+ * changes only through accelerations (per unit mass, so independent of the
+ * body's mass):
+ * - thrust along the nose, proportional to the commanded speed and opposed by
+ *   drag (top speed = commanded speed * thrust / drag, so with thrust equal to
+ *   drag the ship tops out at exactly the speed asked for), and a stronger
+ *   sideways drag so turns grip instead of sliding forever
+ * - lift growing with airspeed, against gravity
+ * - a damped spring toward the hover height
+ * - the chain tugging the ship toward the anchor when stretched past its length
+ *
+ * Bank and pitch are visual only: the ship rolls into turns and dips its nose
+ * under acceleration.
+ */
+
+export const DEFAULT_FLIGHT = {
+    thrust: 3, // Forward acceleration per unit of commanded speed (1/s)
+    drag: 3, // Forward drag (1/s)
+    sideDrag: 5, // Sideways drag (1/s)
+    lift: 0.2, // Upward acceleration per unit of airspeed
+    gravity: 9.8,
+    hoverStiffness: 25, // Spring toward the hover height (1/s²)
+    hoverDamping: 8, // Vertical damping (1/s)
+    chainTug: 6, // Acceleration per unit the chain is stretched
+    maxBank: 0.5, // Roll at full turn (radians)
+    maxPitch: 0.25, // Pitch at full acceleration (radians)
+    tiltAcceleration: 25, // Acceleration that gives full bank or pitch
+    tiltResponse: 6, // How fast bank and pitch follow (1/s)
+};
+
+/**
+ * Chain pull on the ship, zero while the chain is slack
+ *
+ * @param {{x,y,z}} shipPosition
+ * @param {{x,y,z}} anchorPosition
+ * @param {number} chainLength - Rest length of the chain
+ * @param {object} settings - See DEFAULT_FLIGHT
+ * @param {{x,y,z}} out - Receives the acceleration
+ * @returns {{x,y,z}} out
+ */
+export function chainTug(shipPosition, anchorPosition, chainLength, settings, out) {
+    const dx = anchorPosition.x - shipPosition.x;
+    const dy = anchorPosition.y - shipPosition.y;
+    const dz = anchorPosition.z - shipPosition.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    const stretch = distance - chainLength;
+
+    if (stretch <= 0 || distance < 1e-6) {
+        out.x = 0;
+        out.y = 0;
+        out.z = 0;
+        return out;
+    }
+
+    const scale = (stretch * settings.chainTug) / distance;
+    out.x = dx * scale;
+    out.y = dy * scale;
+    out.z = dz * scale;
+    return out;
+}
+
+/**
+ * Integrate one step of flight forces into the ship's velocity
+ *
+ * @param {{x,y,z}} velocity - Ship velocity, updated in place
+ * @param {object} input
+ * @param {{x,z}} input.facing - Unit facing direction (XZ)
+ * @param {number} input.throttle - Commanded speed along the nose (negative = reverse), already scaled for sprint
+ * @param {number} input.height - Ship Y
+ * @param {number} input.hoverHeight - Y the hover spring holds
+ * @param {{x,y,z}|null} input.tug - From chainTug
+ * @param {number} delta - Seconds
+ * @param {object} settings - See DEFAULT_FLIGHT
+ * @returns {{x,y,z}} velocity
+ */
+export function stepFlight(velocity, { facing, throttle, height, hoverHeight, tug = null }, delta, settings = DEFAULT_FLIGHT) {
+    // Split into along-the-nose and sideways speed for the two drags
+    const forward = velocity.x * facing.x + velocity.z * facing.z;
+    const sideX = velocity.x - facing.x * forward;
+    const sideZ = velocity.z - facing.z * forward;
+    const along = throttle * settings.thrust - forward * settings.drag;
+
+    let ax = facing.x * along - sideX * settings.sideDrag;
+    let az = facing.z * along - sideZ * settings.sideDrag;
+
+    // Lift from airspeed, gravity, and the hover spring
+    const airspeed = Math.hypot(velocity.x, velocity.z);
+    let ay = airspeed * settings.lift - settings.gravity
+        + (hoverHeight - height) * settings.hoverStiffness
+        - velocity.y * settings.hoverDamping;
+
+    if (tug) {
+        ax += tug.x;
+        ay += tug.y;
+        az += tug.z;
+    }
+
+    velocity.x += ax * delta;
+    velocity.y += ay * delta;
+    velocity.z += az * delta;
+    return velocity;
+}
+
+/**
+ * Create bank/pitch state
+ */
+export function createTilt() {
+    return {
+        bank: 0, // Roll, positive = left side down
+        pitch: 0, // Positive = nose up
+        forwardSpeed: 0, // Last frame's, for acceleration
+    };
+}
+
+/**
+ * Ease bank toward the turn's lateral acceleration and pitch against forward acceleration
+ *
+ * @param {object} tilt - From createTilt
+ * @param {object} input
+ * @param {number} input.forwardSpeed - Speed along the nose
+ * @param {number} input.turnRate - Yaw rate (rad/s, positive = left)
+ * @param {number} delta - Seconds
+ * @param {object} settings - See DEFAULT_FLIGHT
+ * @returns {object} tilt
+ */
+export function updateTilt(tilt, { forwardSpeed, turnRate }, delta, settings = DEFAULT_FLIGHT) {
+    if (delta <= 0) return tilt;
+
+    const clampUnit = (value) => Math.max(-1, Math.min(1, value));
+    const forwardAccel = (forwardSpeed - tilt.forwardSpeed) / delta;
+    tilt.forwardSpeed = forwardSpeed;
+
+    const bank = clampUnit((turnRate * forwardSpeed) / settings.tiltAcceleration) * settings.maxBank;
+    const pitch = -clampUnit(forwardAccel / settings.tiltAcceleration) * settings.maxPitch;
+
+    const blend = 1 - Math.exp(-settings.tiltResponse * delta);
+    tilt.bank += (bank - tilt.bank) * blend;
+    tilt.pitch += (pitch - tilt.pitch) * blend;
+    return tilt;
+}
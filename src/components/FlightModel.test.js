@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_FLIGHT, stepFlight } from './FlightModel';
+
+// Fly straight along +Z at a fixed hover height until the speed settles
+function topSpeed(throttle, settings = DEFAULT_FLIGHT) {
+    const velocity = { x: 0, y: 0, z: 0 };
+    for (let i = 0; i < 2000; i++) {
+        stepFlight(velocity, { facing: { x: 0, z: 1 }, throttle, height: 5, hoverHeight: 5 }, 1 / 60, settings);
+    }
+    return velocity.z;
+}
+
+describe('stepFlight', () => {
+    it('tops out at the commanded speed when thrust matches drag', () => {
+        expect(topSpeed(10)).toBeCloseTo(10, 3);
+        expect(topSpeed(25)).toBeCloseTo(25, 3);
+    });
+
+    it('scales top speed by thrust / drag', () => {
+        expect(topSpeed(10, { ...DEFAULT_FLIGHT, thrust: DEFAULT_FLIGHT.drag * 1.5 })).toBeCloseTo(15, 3);
+    });
+
+    it('bleeds sideways speed off with side drag', () => {
+        const velocity = { x: 10, y: 0, z: 0 };
+        for (let i = 0; i < 120; i++) {
+            stepFlight(velocity, { facing: { x: 0, z: 1 }, throttle: 0, height: 5, hoverHeight: 5 }, 1 / 60);
+        }
+        expect(Math.abs(velocity.x)).toBeLessThan(0.1);
+    });
+});
@@ -1,155 +1,177 @@
-import { useRef, useCallback, createContext, useContext } from 'react';
-import { useFrame, useThree } from '@react-three/fiber';
+import { useMemo, useState, useEffect, createContext, useContext } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useControls, folder } from 'leva';
 import * as THREE from 'three/webgpu';
+import { cnoise } from './PerlinCPU';
+import { createEventBus } from './EventBus';
+import { JUICE_PRESETS, PRESET_RANGES } from './JuicePresets';
+import {
+    createJuiceState,
+    createJuiceApi,
+    connectPresets,
+    setPresets,
+    updateJuice,
+} from './JuiceState';
 
 /**
  * GameJuice - Screen shake, hitstop, and slow-mo effects
  * 
- * Provides hooks and a processor component for "game feel" effects.
- * Use the useGameJuice hook to trigger effects, and include
- * <GameJuiceProcessor /> in your scene to apply them.
+ * Wrap the scene (inside the Canvas) in <GameJuiceProvider>: it owns the
+ * effect state for that Canvas, runs the per-frame processor, and exposes an
+ * event bus. Gameplay code emits events ('hit', 'kill', 'chain-snap', 'land')
+ * through useGameJuice(); each event fires a named preset from JuicePresets.js,
+ * tunable in the 'Juice Presets' leva folder. Include <CameraShake /> to see
+ * the shake.
+ *
+ * Shake is trauma-based: hits add trauma (0-1), which decays over time, and
+ * the shake amount is trauma squared so small hits stay subtle.
  */
 
-// Global state for juice effects (singleton pattern for simplicity)
-const juiceState = {
-    // Hitstop - freezes the game briefly
-    hitstopRemaining: 0,
-
-    // Screen shake
-    shakeIntensity: 0,
-    shakeDuration: 0,
-    shakeDecay: 0.9, // How quickly shake fades
-
-    // Slow motion
-    slowMoFactor: 1,
-    slowMoRemaining: 0,
-    slowMoTarget: 1,
-};
+// Used only outside a provider, so stray callers still work
+const fallbackJuice = createJuiceApi(createJuiceState(), createEventBus());
+connectPresets(fallbackJuice);
 
 // Context for sharing juice functions
 const GameJuiceContext = createContext(null);
 
+// Leva schema: one folder per preset, keys prefixed so they stay unique
+const PRESET_SCHEMA = Object.fromEntries(
+    Object.entries(JUICE_PRESETS).map(([name, preset]) => [
+        name,
+        folder(Object.fromEntries(
+            Object.entries(preset).map(([field, value]) => [
+                `${name}_${field}`,
+                { value, label: field, ...PRESET_RANGES[field] },
+            ])
+        ), { collapsed: true }),
+    ])
+);
+
 /**
- * Hook to access game juice trigger functions
+ * Hook to access game juice trigger functions, the event bus and time scale
  */
 export function useGameJuice() {
-    const context = useContext(GameJuiceContext);
-
-    // Fallback if used outside provider (still works, just creates new functions)
-    const triggerHitstop = useCallback((duration = 0.08) => {
-        juiceState.hitstopRemaining = Math.max(juiceState.hitstopRemaining, duration);
-    }, []);
-
-    const triggerShake = useCallback((intensity = 0.3, duration = 0.15) => {
-        juiceState.shakeIntensity = Math.max(juiceState.shakeIntensity, intensity);
-        juiceState.shakeDuration = Math.max(juiceState.shakeDuration, duration);
-    }, []);
-
-    const triggerSlowMo = useCallback((factor = 0.2, duration = 0.3) => {
-        juiceState.slowMoFactor = factor;
-        juiceState.slowMoTarget = factor;
-        juiceState.slowMoRemaining = duration;
-    }, []);
-
-    // Combined effect for regular hits
-    const triggerHitEffect = useCallback((damage = 1) => {
-        const intensity = Math.min(0.1 + damage * 0.1, 0.5);
-        triggerHitstop(0.03 + damage * 0.02);
-        triggerShake(intensity, 0.1 + damage * 0.05);
-    }, [triggerHitstop, triggerShake]);
-
-    // Big effect for kills
-    const triggerKillEffect = useCallback(() => {
-        triggerHitstop(0.1);
-        triggerShake(0.5, 0.2);
-        triggerSlowMo(0.3, 0.25);
-    }, [triggerHitstop, triggerShake, triggerSlowMo]);
-
-    return context || {
-        triggerHitstop,
-        triggerShake,
-        triggerSlowMo,
-        triggerHitEffect,
-        triggerKillEffect,
-    };
+    return useContext(GameJuiceContext) || fallbackJuice;
 }
 
 /**
- * Component that applies juice effects each frame
- * Include this once in your scene
+ * GameJuiceProvider - Owns juice state and the event bus for one Canvas
  */
-export function GameJuiceProcessor() {
-    const { camera } = useThree();
-    const baseCamPos = useRef(new THREE.Vector3());
-    const isShaking = useRef(false);
-    const originalCamPos = useRef(new THREE.Vector3());
-
-    useFrame((state, delta) => {
-        // === HITSTOP ===
-        if (juiceState.hitstopRemaining > 0) {
-            juiceState.hitstopRemaining -= delta;
-            // Note: To actually pause physics, you'd need to integrate with Rapier's timeStep
-            // For now, this just tracks the state
-        }
+export function GameJuiceProvider({ children }) {
+    const [juice] = useState(() => createJuiceApi(createJuiceState(), createEventBus()));
+
+    // Flat leva values ('hit_trauma', ...) back into preset objects
+    const presetValues = useControls('Juice Presets', PRESET_SCHEMA, { collapsed: true });
 
-        // === SCREEN SHAKE ===
-        if (juiceState.shakeDuration > 0) {
-            // Save original position on first shake frame
-            if (!isShaking.current) {
-                originalCamPos.current.copy(camera.position);
-                isShaking.current = true;
-            }
-
-            // Apply random offset based on intensity
-            const offsetX = (Math.random() - 0.5) * 2 * juiceState.shakeIntensity;
-            const offsetY = (Math.random() - 0.5) * 2 * juiceState.shakeIntensity;
-
-            camera.position.x = originalCamPos.current.x + offsetX;
-            camera.position.y = originalCamPos.current.y + offsetY;
-
-            // Decay shake
-            juiceState.shakeDuration -= delta;
-            juiceState.shakeIntensity *= juiceState.shakeDecay;
-
-        } else if (isShaking.current) {
-            // Restore original position when shake ends
-            camera.position.x = originalCamPos.current.x;
-            camera.position.y = originalCamPos.current.y;
-            isShaking.current = false;
-            juiceState.shakeIntensity = 0;
+    useEffect(() => {
+        const presets = {};
+        for (const [key, value] of Object.entries(presetValues)) {
+            const [name, field] = key.split('_');
+            presets[name] = { ...presets[name], [field]: value };
         }
+        setPresets(juice.state, presets);
+    }, [juice, presetValues]);
+
+    // Events fire their presets
+    useEffect(() => connectPresets(juice), [juice]);
+
+    return (
+        <GameJuiceContext.Provider value={juice}>
+            <GameJuiceProcessor />
+            {children}
+        </GameJuiceContext.Provider>
+    );
+}
 
-        // === SLOW MOTION ===
-        if (juiceState.slowMoRemaining > 0) {
-            juiceState.slowMoRemaining -= delta;
+/**
+ * Component that advances juice timers each frame
+ * Rendered by GameJuiceProvider
+ */
+export function GameJuiceProcessor() {
+    const { state } = useGameJuice();
 
-            if (juiceState.slowMoRemaining <= 0) {
-                // Lerp back to normal time
-                juiceState.slowMoFactor = 1;
-                juiceState.slowMoTarget = 1;
-            }
-        }
+    useFrame((frameState, delta) => {
+        // Timers run on real time (delta is unscaled here)
+        // PhysicsClock and useScaledFrame read getTimeScale(), so hitstop freezes Rapier too
+        updateJuice(state, delta);
     });
 
     return null;
 }
 
 /**
- * Get current time scale for physics/animations
- * Call this in your game loop to get the adjusted delta
+ * Additive camera shake layer
+ *
+ * Runs at useFrame priority 1, after every gameplay/camera-rig update, so the
+ * offset sits on top of wherever the rig put the camera. It adds the shake,
+ * renders the frame itself (a positive priority hands rendering to us), then
+ * removes the shake again - the rig never sees a shaken camera and nothing
+ * has to be restored when the shake ends.
+ *
+ * Uses smooth Perlin noise (PerlinCPU) rather than random jitter:
+ * translation in the camera's right/up plane plus pitch/yaw/roll, with an
+ * extra component along the last hit vector.
  */
-export function getTimeScale() {
-    if (juiceState.hitstopRemaining > 0) {
-        return 0; // Complete freeze during hitstop
-    }
-    return juiceState.slowMoFactor;
-}
+export function CameraShake() {
+    const { state: juiceState } = useGameJuice();
+    const state = useMemo(() => ({
+        offset: new THREE.Vector3(),
+        right: new THREE.Vector3(),
+        up: new THREE.Vector3(),
+        euler: new THREE.Euler(),
+        rotation: new THREE.Quaternion(),
+        savedQuaternion: new THREE.Quaternion(),
+    }), []);
+
+    useFrame(({ gl, scene, camera, clock }) => {
+        const shake = juiceState.trauma * juiceState.trauma;
+
+        if (shake <= 0) {
+            gl.render(scene, camera);
+            return;
+        }
 
-/**
- * Check if currently in hitstop
- */
-export function isInHitstop() {
-    return juiceState.hitstopRemaining > 0;
+        const t = clock.getElapsedTime() * juiceState.shakeFrequency;
+        const { maxShakeOffset, maxShakeAngle, directionalBias, shakeDirection } = juiceState;
+        const hasDirection = shakeDirection.lengthSq() > 0;
+        const spread = hasDirection ? 1 - directionalBias : 1;
+
+        // Translation in the camera plane (separate noise channels per axis)
+        camera.updateMatrixWorld();
+        state.right.setFromMatrixColumn(camera.matrixWorld, 0);
+        state.up.setFromMatrixColumn(camera.matrixWorld, 1);
+        state.offset
+            .copy(state.right).multiplyScalar(cnoise(t, 0.1, 0) * spread)
+            .addScaledVector(state.up, cnoise(0.1, t, 10) * spread);
+
+        // Directional component along the hit vector
+        if (hasDirection) {
+            state.offset.addScaledVector(shakeDirection, cnoise(20, 0.1, t) * directionalBias);
+        }
+        state.offset.multiplyScalar(maxShakeOffset * shake);
+
+        // Rotation
+        state.euler.set(
+            cnoise(t, 30, 0.1) * maxShakeAngle * shake,
+            cnoise(40, t, 0.1) * maxShakeAngle * shake,
+            cnoise(0.1, 50, t) * maxShakeAngle * shake
+        );
+        state.rotation.setFromEuler(state.euler);
+
+        // Apply, render, remove
+        state.savedQuaternion.copy(camera.quaternion);
+        camera.position.add(state.offset);
+        camera.quaternion.multiply(state.rotation);
+        camera.updateMatrixWorld();
+
+        gl.render(scene, camera);
+
+        camera.position.sub(state.offset);
+        camera.quaternion.copy(state.savedQuaternion);
+        camera.updateMatrixWorld();
+    }, 1);
+
+    return null;
 }
 
-export default GameJuiceProcessor;
+export default GameJuiceProvider;
@@ -0,0 +1,148 @@
+/**
+ * Grapple - Fire the anchor into the terrain and swing the ship from it
+ *
+ * The anchor flies straight to the target point and pins there
+ * (idle -> flying -> pinned). While pinned the chain is a rigid rope: the
+ * ship falls under gravity, pumps with its thrust and can't get further
+ * from the pin than the chain length, so it swings. Letting go keeps the
+ * swing velocity.
+ *
+ * Anchor.jsx owns the grapple record and moves the anchor; AirshipController
+ * swings the ship with swingShip.
+ */
+
+export const DEFAULT_GRAPPLE = {
+    range: 40, // Max distance from the ship to the target point
+    fireSpeed: 60, // Anchor flight speed
+    minLength: 3, // Shortest the chain can be reeled in to
+    reelSpeed: 10, // Chain length change per second while reeling
+    gravity: 20, // Pulls the swinging ship down
+    pumpAcceleration: 12, // Thrust along the facing while swinging
+    swingDrag: 0.15, // Velocity lost per second while swinging
+};
+
+/**
+ * Create an idle grapple
+ */
+export function createGrapple() {
+    return {
+        state: 'idle', // idle | flying | pinned
+        pin: { x: 0, y: 0, z: 0 }, // Target point, then where the anchor is pinned
+        speed: DEFAULT_GRAPPLE.fireSpeed,
+    };
+}
+
+/**
+ * Send the anchor toward a point
+ */
+export function fireGrapple(grapple, point, speed = DEFAULT_GRAPPLE.fireSpeed) {
+    grapple.state = 'flying';
+    grapple.pin.x = point.x;
+    grapple.pin.y = point.y;
+    grapple.pin.z = point.z;
+    grapple.speed = speed;
+}
+
+/**
+ * Let go of the pin (or call the anchor back mid-flight)
+ */
+export function releaseGrapple(grapple) {
+    grapple.state = 'idle';
+}
+
+/**
+ * Move a flying anchor one step toward the pin
+ *
+ * @param {object} grapple - From createGrapple
+ * @param {{x,y,z}} position - Anchor position
+ * @param {number} delta - Seconds
+ * @param {{x,y,z}} out - Receives the new position
+ * @param {{x,y,z}} velocity - Receives the flight velocity (zero once pinned)
+ * @returns {boolean} true on the step the anchor arrives (state becomes 'pinned')
+ */
+export function stepGrappleFlight(grapple, position, delta, out, velocity) {
+    const dx = grapple.pin.x - position.x;
+    const dy = grapple.pin.y - position.y;
+    const dz = grapple.pin.z - position.z;
+    const distance = Math.hypot(dx, dy, dz);
+    const travel = grapple.speed * delta;
+
+    if (distance <= travel) {
+        out.x = grapple.pin.x;
+        out.y = grapple.pin.y;
+        out.z = grapple.pin.z;
+        velocity.x = 0;
+        velocity.y = 0;
+        velocity.z = 0;
+        grapple.state = 'pinned';
+        return true;
+    }
+
+    velocity.x = (dx / distance) * grapple.speed;
+    velocity.y = (dy / distance) * grapple.speed;
+    velocity.z = (dz / distance) * grapple.speed;
+    out.x = position.x + velocity.x * delta;
+    out.y = position.y + velocity.y * delta;
+    out.z = position.z + velocity.z * delta;
+    return false;
+}
+
+/**
+ * One step of the ship swinging from a pin
+ *
+ * @param {{x,y,z}} position - Ship position
+ * @param {{x,y,z}} velocity - Swing velocity, kept between frames (updated in place)
+ * @param {{x,y,z}} pin - Pin position
+ * @param {number} length - Chain length
+ * @param {{x,y,z}} push - Thrust acceleration this frame
+ * @param {number} delta - Seconds
+ * @param {{x,y,z}} out - Receives the velocity to give the ship's body this frame
+ * @param {object} settings - See DEFAULT_GRAPPLE
+ * @returns {object} out
+ */
+export function swingShip(position, velocity, pin, length, push, delta, out, settings = DEFAULT_GRAPPLE) {
+    // Hitstop: hold the swing as it is
+    if (delta <= 0) {
+        out.x = velocity.x;
+        out.y = velocity.y;
+        out.z = velocity.z;
+        return out;
+    }
+
+    const drag = Math.exp(-settings.swingDrag * delta);
+    velocity.x = (velocity.x + push.x * delta) * drag;
+    velocity.y = (velocity.y + (push.y - settings.gravity) * delta) * drag;
+    velocity.z = (velocity.z + push.z * delta) * drag;
+
+    let nx = position.x + velocity.x * delta;
+    let ny = position.y + velocity.y * delta;
+    let nz = position.z + velocity.z * delta;
+
+    // Taut chain: back onto the sphere around the pin, minus the outward velocity
+    const dx = nx - pin.x;
+    const dy = ny - pin.y;
+    const dz = nz - pin.z;
+    const distance = Math.hypot(dx, dy, dz);
+
+    if (distance > length && distance > 0) {
+        const ux = dx / distance;
+        const uy = dy / distance;
+        const uz = dz / distance;
+
+        nx = pin.x + ux * length;
+        ny = pin.y + uy * length;
+        nz = pin.z + uz * length;
+
+        const radial = velocity.x * ux + velocity.y * uy + velocity.z * uz;
+        if (radial > 0) {
+            velocity.x -= ux * radial;
+            velocity.y -= uy * radial;
+            velocity.z -= uz * radial;
+        }
+    }
+
+    out.x = (nx - position.x) / delta;
+    out.y = (ny - position.y) / delta;
+    out.z = (nz - position.z) / delta;
+    return out;
+}
@@ -0,0 +1,56 @@
+import { sampleHeight } from './TerrainHeight';
+
+/**
+ * HoverController - Altitude-above-ground helpers for the airship
+ *
+ * Plain functions: sample the terrain under and ahead of the ship, then turn
+ * the gap between current and desired height into a vertical velocity.
+ */
+
+/**
+ * Highest ground along the ship's path over the next `lookAheadTime` seconds
+ *
+ * Samples further ahead count for less, so the ship starts climbing before a
+ * ridge but isn't lifted to its full height until it gets there.
+ *
+ * @param {{x,z}} position - Ship position
+ * @param {{x,z}} velocity - Ship horizontal velocity
+ * @param {object} terrainParams - Shared terrain params
+ * @param {number} lookAheadTime - Seconds of travel to look ahead
+ * @param {number} samples - Number of samples ahead of the ship (0 = only below)
+ * @returns {number} Effective ground height to hover over
+ */
+export function sampleGroundAhead(position, velocity, terrainParams, lookAheadTime = 0.6, samples = 3) {
+    const below = sampleHeight(position.x, position.z, terrainParams);
+    let ground = below;
+
+    for (let i = 1; i <= samples; i++) {
+        const t = (i / samples) * lookAheadTime;
+        const h = sampleHeight(
+            position.x + velocity.x * t,
+            position.z + velocity.z * t,
+            terrainParams
+        );
+
+        // Blend toward the height below the further out the sample is
+        const weight = 1 - (i - 1) / (samples + 1);
+        ground = Math.max(ground, below + (h - below) * weight);
+    }
+
+    return ground;
+}
+
+/**
+ * Vertical velocity that eases the ship toward `groundHeight + clearance`
+ *
+ * @param {number} currentY - Ship world Y
+ * @param {number} groundHeight - From sampleGroundAhead
+ * @param {number} clearance - Desired height above ground
+ * @param {number} responsiveness - How quickly the gap closes (1/s)
+ * @param {number} maxSpeed - Vertical speed cap
+ * @returns {number} Vertical velocity
+ */
+export function computeHoverVelocity(currentY, groundHeight, clearance, responsiveness = 4, maxSpeed = 20) {
+    const error = groundHeight + clearance - currentY;
+    return Math.max(-maxSpeed, Math.min(maxSpeed, error * responsiveness));
+}
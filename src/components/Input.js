@@ -0,0 +1,201 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Input - Keyboard, gamepad and touch merged into one set of named actions
+ *
+ * Controllers call getInput() (from useInput) each frame instead of drei's
+ * getKeys(). The result has the keyboard map's boolean actions (forward,
+ * backward, left, right, sprint, dash, lasso, grapple, lockOn, cycleTarget,
+ * ascend, descend), true when any device presses them, plus analog values:
+ * - throttle: -1 (back) to 1 (forward)
+ * - turn: -1 (right) to 1 (left), same sign as facing angle
+ * - aimX / aimY: anchor steering stick, screen axes (aimY -1 = up)
+ * - aiming: the anchor stick is out of its dead zone (overrides the mouse)
+ *
+ * Standard gamepad mapping: left stick flies, right stick steers the anchor,
+ * RT/LT ascend/descend, A lasso, B grapple, X cycle target, Y lock on,
+ * LB or L3 sprint, RB dash. Buttons (and keys) can be rebound, see
+ * Bindings.js. Touch sticks and buttons (VirtualJoysticks) write into a
+ * touch state that is read the same way. Sticks from both get the same
+ * dead zone and response curve.
+ */
+
+export const DEFAULT_INPUT = {
+    deadZone: 0.15, // Stick magnitude ignored around center
+    responseCurve: 2, // Exponent on stick magnitude past the dead zone (1 = linear)
+    triggerThreshold: 0.3, // Button or trigger pull that counts as pressed
+    digitalThreshold: 0.5, // Stick deflection that also sets forward/left/...
+};
+
+// Default gamepad button indices (standard mapping) per action
+export const GAMEPAD_BUTTONS = {
+    lasso: [0],
+    grapple: [1],
+    cycleTarget: [2],
+    lockOn: [3],
+    sprint: [4, 10],
+    dash: [5],
+    descend: [6],
+    ascend: [7],
+};
+
+// Boolean actions, in keyboard map order
+export const ACTIONS = [
+    'forward', 'backward', 'left', 'right', 'sprint', 'dash', 'lasso',
+    'grapple', 'lockOn', 'cycleTarget', 'ascend', 'descend',
+];
+
+/**
+ * Create the reusable merged input record
+ */
+export function createInputState() {
+    const input = { throttle: 0, turn: 0, aimX: 0, aimY: 0, aiming: false };
+    for (const action of ACTIONS) input[action] = false;
+    return input;
+}
+
+/**
+ * Create the state the on-screen controls write into
+ */
+export function createTouchState() {
+    return {
+        move: { x: 0, y: 0 },
+        aim: { x: 0, y: 0 },
+        buttons: {}, // Action name -> pressed
+    };
+}
+
+/**
+ * Set a touch stick, -1..1 per axis (y down = positive, like gamepads)
+ */
+export function setTouchStick(touch, stick, x, y) {
+    touch[stick].x = x;
+    touch[stick].y = y;
+}
+
+/**
+ * Press or release an on-screen button
+ */
+export function setTouchButton(touch, action, pressed) {
+    touch.buttons[action] = pressed;
+}
+
+/**
+ * Radial dead zone plus response curve
+ *
+ * @param {number} x - Raw X (-1..1)
+ * @param {number} y - Raw Y (-1..1)
+ * @param {object} settings - See DEFAULT_INPUT
+ * @param {{x,y}} out - Receives the shaped stick (magnitude 0..1)
+ * @returns {number} Shaped magnitude
+ */
+export function shapeStick(x, y, settings, out) {
+    const magnitude = Math.min(Math.hypot(x, y), 1);
+
+    if (magnitude <= settings.deadZone) {
+        out.x = 0;
+        out.y = 0;
+        return 0;
+    }
+
+    const scaled = Math.pow((magnitude - settings.deadZone) / (1 - settings.deadZone), settings.responseCurve);
+    out.x = (x / Math.hypot(x, y)) * scaled;
+    out.y = (y / Math.hypot(x, y)) * scaled;
+    return scaled;
+}
+
+/**
+ * First connected gamepad, or null
+ */
+export function firstGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+
+    for (const pad of navigator.getGamepads()) {
+        if (pad?.connected) return pad;
+    }
+    return null;
+}
+
+function buttonValue(pad, index) {
+    const button = pad?.buttons[index];
+    return button ? button.value || (button.pressed ? 1 : 0) : 0;
+}
+
+// Larger of two sticks (gamepad vs touch), written into out
+function strongerStick(ax, ay, bx, by, out) {
+    if (Math.hypot(bx, by) > Math.hypot(ax, ay)) {
+        out.x = bx;
+        out.y = by;
+    } else {
+        out.x = ax;
+        out.y = ay;
+    }
+    return out;
+}
+
+const clampUnit = (value) => Math.max(-1, Math.min(1, value));
+
+// Scratch sticks
+const rawStick = { x: 0, y: 0 };
+const moveStick = { x: 0, y: 0 };
+const aimStick = { x: 0, y: 0 };
+
+/**
+ * Merge every device into the input record
+ *
+ * @param {object} out - From createInputState
+ * @param {object} keys - drei getKeys() result
+ * @param {Gamepad|null} pad - From firstGamepad
+ * @param {object} touch - From createTouchState
+ * @param {object} settings - See DEFAULT_INPUT
+ * @param {object} buttons - Action -> gamepad button indices (default: GAMEPAD_BUTTONS)
+ * @returns {object} out
+ */
+export function readInput(out, keys, pad, touch, settings = DEFAULT_INPUT, buttons = GAMEPAD_BUTTONS) {
+    // === BUTTONS ===
+    for (const action of ACTIONS) {
+        out[action] = !!keys[action] || !!touch.buttons[action];
+    }
+    if (pad) {
+        for (const action in buttons) {
+            if (buttons[action].some((index) => buttonValue(pad, index) > settings.triggerThreshold)) out[action] = true;
+        }
+    }
+
+    // === FLIGHT STICK ===
+    strongerStick(pad?.axes[0] ?? 0, pad?.axes[1] ?? 0, touch.move.x, touch.move.y, rawStick);
+    shapeStick(rawStick.x, rawStick.y, settings, moveStick);
+
+    out.throttle = clampUnit((keys.forward ? 1 : 0) - (keys.backward ? 1 : 0) - moveStick.y);
+    out.turn = clampUnit((keys.left ? 1 : 0) - (keys.right ? 1 : 0) - moveStick.x);
+
+    // Deflected sticks also count as the digital actions
+    const digital = settings.digitalThreshold;
+    if (moveStick.y < -digital) out.forward = true;
+    if (moveStick.y > digital) out.backward = true;
+    if (moveStick.x < -digital) out.left = true;
+    if (moveStick.x > digital) out.right = true;
+
+    // === ANCHOR STICK ===
+    strongerStick(pad?.axes[2] ?? 0, pad?.axes[3] ?? 0, touch.aim.x, touch.aim.y, rawStick);
+    out.aiming = shapeStick(rawStick.x, rawStick.y, settings, aimStick) > 0;
+    out.aimX = aimStick.x;
+    out.aimY = aimStick.y;
+
+    return out;
+}
+
+// Used outside an InputProvider: nothing pressed
+const idleInput = createInputState();
+
+export const InputContext = createContext(null);
+
+/**
+ * Get the merged input reader
+ *
+ * @returns {function} getInput() -> input record (reused, read it right away)
+ */
+export function useInput() {
+    const context = useContext(InputContext);
+    return context?.getInput ?? (() => idleInput);
+}
@@ -0,0 +1,81 @@
+import { useMemo, useState } from 'react';
+import { useKeyboardControls } from '@react-three/drei';
+import { useControls, button } from 'leva';
+import VirtualJoysticks from './VirtualJoysticks';
+import RebindMenu from './RebindMenu';
+import { DEFAULT_BINDINGS } from './Bindings';
+import {
+    DEFAULT_INPUT,
+    InputContext,
+    createInputState,
+    createTouchState,
+    firstGamepad,
+    readInput,
+} from './Input';
+
+// Touch controls on 'auto' show up on touch screens only
+const HAS_TOUCH = typeof window !== 'undefined'
+    && ('ontouchstart' in window || navigator.maxTouchPoints > 0);
+
+/**
+ * InputProvider - Merges keyboard, gamepad and touch input (see Input.js)
+ *
+ * Goes inside drei's KeyboardControls and around the Canvas (R3F bridges
+ * the context into the scene). Also renders the on-screen joysticks and,
+ * from the 'rebind controls' button, the RebindMenu. Tunables are in the
+ * 'Input' leva folder.
+ *
+ * @param {object} bindings - Keys and gamepad buttons (see Bindings.js)
+ * @param {function} onBindingsChange - Receives rebound bindings
+ * @param {function} onBindingsReset - Restore the default bindings
+ */
+function InputProvider({
+    bindings = DEFAULT_BINDINGS,
+    onBindingsChange,
+    onBindingsReset,
+    children,
+}) {
+    const [, getKeys] = useKeyboardControls();
+    const [touch] = useState(createTouchState);
+    const [input] = useState(createInputState);
+    const [rebinding, setRebinding] = useState(false);
+
+    const {
+        deadZone,
+        responseCurve,
+        triggerThreshold,
+        touchControls,
+    } = useControls('Input', {
+        deadZone: { value: DEFAULT_INPUT.deadZone, min: 0, max: 0.5, step: 0.01 },
+        responseCurve: { value: DEFAULT_INPUT.responseCurve, min: 1, max: 4, step: 0.1 },
+        triggerThreshold: { value: DEFAULT_INPUT.triggerThreshold, min: 0.05, max: 0.95, step: 0.05 },
+        touchControls: { value: 'auto', options: ['auto', 'on', 'off'] },
+        'rebind controls': button(() => setRebinding(true)),
+    }, { collapsed: true });
+
+    const value = useMemo(() => {
+        const settings = { ...DEFAULT_INPUT, deadZone, responseCurve, triggerThreshold };
+        return {
+            getInput: () => readInput(input, getKeys(), firstGamepad(), touch, settings, bindings.gamepad),
+        };
+    }, [input, getKeys, touch, bindings, deadZone, responseCurve, triggerThreshold]);
+
+    const showTouch = touchControls === 'on' || (touchControls === 'auto' && HAS_TOUCH);
+
+    return (
+        <InputContext.Provider value={value}>
+            {children}
+            {showTouch && <VirtualJoysticks touch={touch} />}
+            {rebinding && (
+                <RebindMenu
+                    bindings={bindings}
+                    onChange={onBindingsChange}
+                    onReset={onBindingsReset}
+                    onClose={() => setRebinding(false)}
+                />
+            )}
+        </InputContext.Provider>
+    );
+}
+
+export default InputProvider;
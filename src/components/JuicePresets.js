@@ -0,0 +1,61 @@
+/**
+ * JuicePresets - Named game-feel presets, as data
+ *
+ * Each preset is a bundle of effects fired together:
+ * - hitstop: seconds of frozen game time
+ * - trauma: camera shake added (0-1, shake is trauma squared)
+ * - slowMoFactor / slowMoDuration: time scale held for a while, then eased back
+ *
+ * GameJuiceProvider exposes every field in the 'Juice Presets' leva folder, so
+ * these are only the starting values.
+ */
+export const JUICE_PRESETS = {
+    hit: { hitstop: 0.05, trauma: 0.3, slowMoFactor: 1, slowMoDuration: 0 },
+    heavyHit: { hitstop: 0.1, trauma: 0.55, slowMoFactor: 0.6, slowMoDuration: 0.12 },
+    kill: { hitstop: 0.1, trauma: 0.7, slowMoFactor: 0.3, slowMoDuration: 0.25 },
+    chainSnap: { hitstop: 0, trauma: 0.15, slowMoFactor: 1, slowMoDuration: 0 },
+    land: { hitstop: 0, trauma: 0.25, slowMoFactor: 1, slowMoDuration: 0 },
+    block: { hitstop: 0.03, trauma: 0.2, slowMoFactor: 1, slowMoDuration: 0 },
+    deflect: { hitstop: 0.06, trauma: 0.35, slowMoFactor: 1, slowMoDuration: 0 },
+    playerHit: { hitstop: 0.08, trauma: 0.5, slowMoFactor: 1, slowMoDuration: 0 },
+    playerDeath: { hitstop: 0.2, trauma: 1, slowMoFactor: 0.2, slowMoDuration: 1 },
+    dash: { hitstop: 0, trauma: 0.12, slowMoFactor: 1, slowMoDuration: 0 },
+    bossSlam: { hitstop: 0, trauma: 0.6, slowMoFactor: 1, slowMoDuration: 0 },
+    bossPhase: { hitstop: 0.15, trauma: 0.6, slowMoFactor: 0.4, slowMoDuration: 0.5 },
+    bossDefeated: { hitstop: 0.25, trauma: 1, slowMoFactor: 0.2, slowMoDuration: 1.5 },
+};
+
+// Leva ranges per preset field
+export const PRESET_RANGES = {
+    hitstop: { min: 0, max: 0.5, step: 0.01 },
+    trauma: { min: 0, max: 1, step: 0.05 },
+    slowMoFactor: { min: 0.05, max: 1, step: 0.05 },
+    slowMoDuration: { min: 0, max: 2, step: 0.05 },
+};
+
+// Hits at or above this damage use the heavyHit preset
+export const HEAVY_HIT_DAMAGE = 3;
+
+/**
+ * Which preset an event fires, given its payload
+ * Events: 'hit' { damage, direction }, 'kill' { direction },
+ * 'chain-snap' { position, stretch }, 'land' { position, speed },
+ * 'block' { enemy, position, direction }, 'deflect' { position, direction },
+ * 'player-hit' { damage, absorbed, direction }, 'player-death' { position, direction },
+ * 'dash' { position, direction },
+ * 'boss-slam' { position }, 'boss-phase' { phase, position }, 'boss-defeated' { boss, position }
+ */
+export const EVENT_PRESETS = {
+    hit: ({ damage = 1 }) => (damage >= HEAVY_HIT_DAMAGE ? 'heavyHit' : 'hit'),
+    kill: () => 'kill',
+    'chain-snap': () => 'chainSnap',
+    land: () => 'land',
+    block: () => 'block',
+    deflect: () => 'deflect',
+    'player-hit': () => 'playerHit',
+    'player-death': () => 'playerDeath',
+    dash: () => 'dash',
+    'boss-slam': () => 'bossSlam',
+    'boss-phase': () => 'bossPhase',
+    'boss-defeated': () => 'bossDefeated',
+};
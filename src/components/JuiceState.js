@@ -0,0 +1,156 @@
+import * as THREE from 'three/webgpu';
+import { JUICE_PRESETS, EVENT_PRESETS } from './JuicePresets';
+
+/**
+ * JuiceState - Per-Canvas game-feel state and the functions that drive it
+ *
+ * Plain objects and functions; GameJuiceProvider owns one state per Canvas
+ * and GameJuiceProcessor calls updateJuice each frame.
+ */
+
+/**
+ * Fresh effect state (hitstop, trauma shake, slow-mo) with default presets
+ */
+export function createJuiceState() {
+    return {
+        // Hitstop - freezes the game briefly
+        hitstopRemaining: 0,
+
+        // Screen shake
+        trauma: 0,
+        traumaDecay: 1.5, // Trauma lost per second
+        shakeDirection: new THREE.Vector3(), // World-space hit vector (zero = no bias)
+        maxShakeOffset: 0.6, // World units at full trauma
+        maxShakeAngle: 0.05, // Radians at full trauma
+        shakeFrequency: 18, // Noise speed
+        directionalBias: 0.7, // 0 = omnidirectional, 1 = only along the hit vector
+
+        // Slow motion
+        slowMoFactor: 1,
+        slowMoRemaining: 0,
+        slowMoTarget: 1,
+        slowMoRecovery: 6, // How quickly time eases back to normal (1/s)
+
+        // Tunable presets (copied so edits don't leak between Canvases)
+        presets: structuredClone(JUICE_PRESETS),
+    };
+}
+
+/**
+ * Overwrite preset fields, e.g. from leva values
+ *
+ * @param {object} state - From createJuiceState
+ * @param {object} presets - { [name]: { hitstop, trauma, ... } }
+ */
+export function setPresets(state, presets) {
+    for (const [name, preset] of Object.entries(presets)) {
+        state.presets[name] = { ...state.presets[name], ...preset };
+    }
+}
+
+/**
+ * Trigger functions, time-scale queries and the event bus bound to one state
+ *
+ * @param {object} state - From createJuiceState
+ * @param {object} bus - From createEventBus
+ */
+export function createJuiceApi(state, bus) {
+    const triggerHitstop = (duration = 0.08) => {
+        state.hitstopRemaining = Math.max(state.hitstopRemaining, duration);
+    };
+
+    // Add trauma, optionally biased along a world-space hit vector
+    const triggerShake = (trauma = 0.3, direction = null) => {
+        state.trauma = Math.min(state.trauma + trauma, 1);
+
+        if (direction) {
+            state.shakeDirection.set(direction.x, direction.y, direction.z);
+            if (state.shakeDirection.lengthSq() > 0) state.shakeDirection.normalize();
+        }
+    };
+
+    const triggerSlowMo = (factor = 0.2, duration = 0.3) => {
+        // Only deepen an active slow-mo, never lighten it
+        if (factor <= state.slowMoFactor || state.slowMoRemaining <= 0) {
+            state.slowMoFactor = factor;
+            state.slowMoTarget = factor;
+        }
+        state.slowMoRemaining = Math.max(state.slowMoRemaining, duration);
+    };
+
+    // Fire every effect in a named preset
+    const triggerPreset = (name, direction = null) => {
+        const preset = state.presets[name];
+        if (!preset) return;
+
+        if (preset.hitstop > 0) triggerHitstop(preset.hitstop);
+        if (preset.trauma > 0) triggerShake(preset.trauma, direction);
+        if (preset.slowMoDuration > 0 && preset.slowMoFactor < 1) {
+            triggerSlowMo(preset.slowMoFactor, preset.slowMoDuration);
+        }
+    };
+
+    return {
+        state,
+        emit: bus.emit,
+        subscribe: bus.subscribe,
+        triggerHitstop,
+        triggerShake,
+        triggerSlowMo,
+        triggerPreset,
+        // Shorthands for the most common events
+        triggerHitEffect: (damage = 1, direction = null) => bus.emit('hit', { damage, direction }),
+        triggerKillEffect: (direction = null) => bus.emit('kill', { direction }),
+        // Game time: 0 during hitstop, slowMoFactor otherwise
+        getTimeScale: () => (state.hitstopRemaining > 0 ? 0 : state.slowMoFactor),
+        isInHitstop: () => state.hitstopRemaining > 0,
+    };
+}
+
+/**
+ * Subscribe the preset for each event in EVENT_PRESETS
+ *
+ * @returns {function} Unsubscribe all
+ */
+export function connectPresets(api) {
+    const unsubscribers = Object.entries(EVENT_PRESETS).map(([type, pickPreset]) =>
+        api.subscribe(type, (payload) => api.triggerPreset(pickPreset(payload), payload.direction))
+    );
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+}
+
+/**
+ * Advance timers by one frame of real (unscaled) time
+ */
+export function updateJuice(state, delta) {
+    // === HITSTOP ===
+    if (state.hitstopRemaining > 0) {
+        state.hitstopRemaining -= delta;
+    }
+
+    // === TRAUMA DECAY ===
+    if (state.trauma > 0) {
+        state.trauma = Math.max(state.trauma - state.traumaDecay * delta, 0);
+        if (state.trauma === 0) state.shakeDirection.set(0, 0, 0);
+    }
+
+    // === SLOW MOTION ===
+    if (state.slowMoRemaining > 0) {
+        state.slowMoRemaining -= delta;
+
+        if (state.slowMoRemaining <= 0) {
+            // Head back to normal time
+            state.slowMoTarget = 1;
+        }
+    }
+
+    // Ease the factor toward its target instead of snapping
+    if (state.slowMoFactor !== state.slowMoTarget) {
+        const ease = 1 - Math.exp(-delta * state.slowMoRecovery);
+        state.slowMoFactor += (state.slowMoTarget - state.slowMoFactor) * ease;
+
+        if (Math.abs(state.slowMoTarget - state.slowMoFactor) < 0.001) {
+            state.slowMoFactor = state.slowMoTarget;
+        }
+    }
+}
@@ -0,0 +1,151 @@
+import { findEnemyByBody } from './CombatResolver';
+
+/**
+ * Knockback - Collision damage for enemies thrown by the anchor
+ *
+ * The combat resolver throws an enemy (impulse + stagger) through its
+ * handle's knockback(); the enemy then carries a knock record for a short
+ * window. Each frame, a sudden velocity change while touching the terrain
+ * or another enemy counts as an impact: both sides take damage from how
+ * hard the thrown enemy stopped, and the window ends.
+ *
+ * Impacts are read from Rapier's contact graph (no collision events), so
+ * pooled bodies in EnemySwarm need no per-body event handlers.
+ */
+
+export const DEFAULT_KNOCKBACK = {
+    knockedTime: 1.5, // Seconds a thrown enemy can take collision damage
+    impactSpeed: 8, // Minimum velocity change in one frame for collision damage
+    impactDamageScale: 0.25, // Damage per unit of velocity change above impactSpeed
+    maxImpactDamage: 5, // Cap for a single impact
+};
+
+/**
+ * Create an idle knock record (one per enemy)
+ */
+export function createKnock() {
+    return {
+        timer: 0, // Seconds left in the window (0 = not thrown)
+        primed: false, // Velocity below is valid (skips the frame of the throw itself)
+        velocity: { x: 0, y: 0, z: 0 }, // Last frame's velocity
+    };
+}
+
+/**
+ * Open the impact window after a throw
+ */
+export function startKnock(knock, duration = DEFAULT_KNOCKBACK.knockedTime) {
+    knock.timer = duration;
+    knock.primed = false;
+}
+
+/**
+ * End the impact window
+ */
+export function endKnock(knock) {
+    knock.timer = 0;
+    knock.primed = false;
+}
+
+/**
+ * Advance the window and measure the velocity change since last frame
+ *
+ * @param {object} knock - From createKnock
+ * @param {{x,y,z}} velocity - Body velocity this frame
+ * @param {number} delta - Game-time seconds
+ * @returns {number} Velocity change magnitude (0 while idle or on the first frame)
+ */
+export function updateKnock(knock, velocity, delta) {
+    if (knock.timer <= 0) return 0;
+
+    knock.timer -= delta;
+    const change = knock.primed
+        ? Math.hypot(velocity.x - knock.velocity.x, velocity.y - knock.velocity.y, velocity.z - knock.velocity.z)
+        : 0;
+
+    knock.velocity.x = velocity.x;
+    knock.velocity.y = velocity.y;
+    knock.velocity.z = velocity.z;
+    knock.primed = true;
+
+    if (knock.timer <= 0) endKnock(knock);
+    return change;
+}
+
+/**
+ * Convert a velocity change into whole damage points
+ *
+ * @returns {number} Damage (0 below impactSpeed)
+ */
+export function impactDamage(change, settings = DEFAULT_KNOCKBACK) {
+    const { impactSpeed, impactDamageScale, maxImpactDamage } = settings;
+    if (change < impactSpeed) return 0;
+
+    return Math.min(Math.max(1, Math.ceil((change - impactSpeed) * impactDamageScale)), maxImpactDamage);
+}
+
+/**
+ * Find what a thrown body is touching: terrain (fixed bodies) or another enemy
+ * The anchor, ship and debris are ignored.
+ *
+ * @param {object} world - Rapier world
+ * @param {object} body - The thrown enemy's rigid body
+ * @param {object[]} enemies - Enemy handles
+ * @returns {object|null} { terrain: true } | { enemy: handle } | null
+ */
+export function findKnockContact(world, body, enemies) {
+    let contact = null;
+
+    for (let c = 0; c < body.numColliders() && !contact; c++) {
+        const collider = body.collider(c);
+
+        world.contactPairsWith(collider, (other) => {
+            if (contact) return;
+
+            const otherBody = other.parent();
+            if (!otherBody || otherBody.handle === body.handle) return;
+
+            // Pairs are listed while their bounds overlap; only count real contact
+            let touching = false;
+            world.contactPair(collider, other, (manifold) => {
+                if (manifold.numContacts() > 0) touching = true;
+            });
+            if (!touching) return;
+
+            if (otherBody.isFixed()) {
+                contact = { terrain: true };
+                return;
+            }
+
+            const enemy = findEnemyByBody(enemies, otherBody);
+            if (enemy?.isAlive?.()) contact = { enemy };
+        });
+    }
+
+    return contact;
+}
+
+/**
+ * One frame of a thrown enemy: detect an impact
+ * The caller deals the damage to the thrown enemy and to the one it hit, if any.
+ *
+ * @param {object} world - Rapier world
+ * @param {object} body - Thrown enemy's rigid body
+ * @param {object} knock - Its knock record
+ * @param {number} delta - Game-time seconds
+ * @param {object[]} enemies - Enemy handles (to find the one it hit)
+ * @param {object} settings - See DEFAULT_KNOCKBACK
+ * @returns {object|null} { damage, terrain } | { damage, enemy } when an impact landed
+ */
+export function checkKnockImpact(world, body, knock, delta, enemies, settings = DEFAULT_KNOCKBACK) {
+    if (knock.timer <= 0 || !body) return null;
+
+    const damage = impactDamage(updateKnock(knock, body.linvel(), delta), settings);
+    if (damage <= 0) return null;
+
+    const contact = findKnockContact(world, body, enemies);
+    if (!contact) return null;
+
+    endKnock(knock);
+    return { damage, ...contact };
+}
@@ -0,0 +1,178 @@
+import { findEnemyByBody } from './CombatResolver';
+
+/**
+ * Lasso - Grab an enemy with the anchor, swing it, throw it
+ *
+ * While the lasso key is held, the first grabbable enemy touching the anchor
+ * is joined to it with a Rapier spherical joint (contacts between the two
+ * disabled), so it swings with the chain. Its AI stays staggered while held.
+ * Letting go removes the joint and throws the enemy with the anchor's
+ * velocity through the handle's knockback(), so it deals collision damage
+ * to whatever it lands on (see Knockback.js).
+ *
+ * Enemies are grabbable unless their archetype says `grabbable: false`;
+ * handles without an archetype (bosses) never are.
+ */
+
+export const DEFAULT_LASSO = {
+    maxMass: 3, // Heaviest enemy the anchor can grab
+    throwScale: 1, // Release velocity = anchor velocity * throwScale
+    throwStagger: 0.8, // Seconds the AI stays stunned after the throw
+    holdStagger: 0.2, // Stagger renewed every frame while held
+};
+
+/**
+ * Create an empty lasso (nothing held)
+ */
+export function createLasso() {
+    return {
+        enemy: null, // Handle of the held enemy
+        body: null, // Its rigid body
+        joint: null, // Rapier impulse joint to the anchor
+    };
+}
+
+/**
+ * Whether an enemy handle can be grabbed
+ *
+ * @param {object} enemy - Enemy handle
+ * @param {number} maxMass - See DEFAULT_LASSO
+ */
+export function canLasso(enemy, maxMass = DEFAULT_LASSO.maxMass) {
+    const archetype = enemy?.getArchetype?.();
+    if (!archetype || archetype.grabbable === false || !enemy.isAlive?.()) return false;
+
+    const body = enemy.getRigidBody?.();
+    return !!body && body.isEnabled() && body.mass() <= maxMass;
+}
+
+/**
+ * Find a grabbable enemy in contact with the anchor
+ *
+ * @param {object} world - Rapier world
+ * @param {object} anchorBody - Anchor rigid body
+ * @param {object[]} enemies - Enemy handles
+ * @param {number} maxMass - See DEFAULT_LASSO
+ * @returns {object|null} Enemy handle
+ */
+export function findLassoTarget(world, anchorBody, enemies, maxMass = DEFAULT_LASSO.maxMass) {
+    let found = null;
+
+    for (let c = 0; c < anchorBody.numColliders() && !found; c++) {
+        const collider = anchorBody.collider(c);
+
+        world.contactPairsWith(collider, (other) => {
+            if (found) return;
+
+            const otherBody = other.parent();
+            if (!otherBody || otherBody.isFixed()) return;
+
+            const enemy = findEnemyByBody(enemies, otherBody);
+            if (!canLasso(enemy, maxMass)) return;
+
+            // Pairs are listed while their bounds overlap; only count real contact
+            world.contactPair(collider, other, (manifold) => {
+                if (manifold.numContacts() > 0) found = enemy;
+            });
+        });
+    }
+
+    return found;
+}
+
+// Still the same live enemy (pooled bodies are recycled on death)
+function isHeld(enemy, body) {
+    return !!enemy && enemy.isAlive?.() && enemy.getRigidBody?.() === body && body.isEnabled();
+}
+
+// Rotate v by the inverse of unit quaternion q (world offset -> body-local)
+function inverseRotate(q, v) {
+    // t = 2 * cross(-q.xyz, v)
+    const tx = 2 * (-q.y * v.z + q.z * v.y);
+    const ty = 2 * (-q.z * v.x + q.x * v.z);
+    const tz = 2 * (-q.x * v.y + q.y * v.x);
+
+    return {
+        x: v.x + q.w * tx + (-q.y * tz + q.z * ty),
+        y: v.y + q.w * ty + (-q.z * tx + q.x * tz),
+        z: v.z + q.w * tz + (-q.x * ty + q.y * tx),
+    };
+}
+
+/**
+ * Join an enemy to the anchor where they touch
+ *
+ * @param {object} lasso - From createLasso
+ * @param {object} world - Rapier world
+ * @param {object} rapier - Rapier module (for JointData)
+ * @param {object} anchorBody - Anchor rigid body
+ * @param {object} enemy - Enemy handle (see canLasso)
+ * @param {object} settings - See DEFAULT_LASSO
+ */
+export function grabEnemy(lasso, world, rapier, anchorBody, enemy, settings = DEFAULT_LASSO) {
+    const body = enemy.getRigidBody();
+    const anchorPos = anchorBody.translation();
+    const enemyPos = body.translation();
+
+    // Pin the anchor's center to the matching point in the enemy's frame
+    const offset = inverseRotate(body.rotation(), {
+        x: anchorPos.x - enemyPos.x,
+        y: anchorPos.y - enemyPos.y,
+        z: anchorPos.z - enemyPos.z,
+    });
+
+    const joint = world.createImpulseJoint(
+        rapier.JointData.spherical({ x: 0, y: 0, z: 0 }, offset),
+        anchorBody,
+        body,
+        true
+    );
+    joint.setContactsEnabled(false);
+
+    lasso.enemy = enemy;
+    lasso.body = body;
+    lasso.joint = joint;
+    enemy.stagger?.(settings.holdStagger);
+}
+
+/**
+ * Keep a held enemy stunned
+ *
+ * @returns {boolean} false if the enemy died or was recycled (call releaseLasso without a throw)
+ */
+export function holdLasso(lasso, settings = DEFAULT_LASSO) {
+    if (!isHeld(lasso.enemy, lasso.body)) return false;
+
+    lasso.enemy.stagger?.(settings.holdStagger);
+    return true;
+}
+
+/**
+ * Let go: remove the joint and, given a velocity, throw the enemy with it
+ *
+ * @param {object} lasso - From createLasso
+ * @param {object} world - Rapier world
+ * @param {{x,y,z}|null} velocity - Anchor velocity, or null to just drop
+ * @param {object} settings - See DEFAULT_LASSO
+ * @returns {object|null} The thrown enemy handle, if any
+ */
+export function releaseLasso(lasso, world, velocity = null, settings = DEFAULT_LASSO) {
+    const { enemy, body, joint } = lasso;
+    lasso.enemy = null;
+    lasso.body = null;
+    lasso.joint = null;
+
+    // The joint is gone already if the enemy's body was removed
+    if (joint && joint.isValid()) world.removeImpulseJoint(joint, true);
+    if (!velocity || !isHeld(enemy, body)) return null;
+
+    const mass = body.mass();
+    const current = body.linvel();
+    enemy.knockback?.({
+        x: (velocity.x * settings.throwScale - current.x) * mass,
+        y: (velocity.y * settings.throwScale - current.y) * mass,
+        z: (velocity.z * settings.throwScale - current.z) * mass,
+    }, settings.throwStagger);
+
+    return enemy;
+}
@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+import { useRapier } from '@react-three/rapier';
+import { useScaledFrame } from './TimeScale';
+import { useInput } from './Input';
+import { DEFAULT_LASSO, createLasso, findLassoTarget, grabEnemy, holdLasso, releaseLasso } from './Lasso';
+
+/**
+ * LassoController - Grabs enemies with the anchor while the lasso key is held
+ *
+ * Holding 'lasso' (Space) joins the first grabbable enemy the anchor touches
+ * to it; letting go throws that enemy with the anchor's velocity. The chain
+ * reel-in on the same key stays in AirshipController.
+ *
+ * @param {object} anchorRef - Ref to the Anchor handle
+ * @param {object} enemiesRef - Ref holding the enemy handles
+ * @param {boolean} enabled - Whether grabbing is active
+ * @param {object} settings - See DEFAULT_LASSO
+ */
+function LassoController({
+    anchorRef,
+    enemiesRef,
+    enabled = true,
+    settings = DEFAULT_LASSO,
+}) {
+    const { world, rapier } = useRapier();
+    const getInput = useInput();
+    const [lasso] = useState(createLasso);
+
+    // Drop whatever is held on unmount
+    useEffect(() => () => releaseLasso(lasso, world), [lasso, world]);
+
+    useScaledFrame((frameState, delta) => {
+        const anchor = anchorRef.current?.getRigidBody();
+        if (!anchor) return;
+
+        const { lasso: held } = getInput();
+
+        if (lasso.enemy) {
+            if (!held || !enabled) releaseLasso(lasso, world, anchor.linvel(), settings);
+            else if (!holdLasso(lasso, settings)) releaseLasso(lasso, world);
+            return;
+        }
+
+        // No grabs while hitstop has the world frozen
+        if (!held || !enabled || delta <= 0) return;
+
+        const enemy = findLassoTarget(world, anchor, enemiesRef.current ?? [], settings.maxMass);
+        if (enemy) grabEnemy(lasso, world, rapier, anchor, enemy, settings);
+    });
+
+    return null;
+}
+
+export default LassoController;
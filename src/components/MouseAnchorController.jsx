@@ -1,18 +1,34 @@
 import { useRef, useMemo } from 'react';
-import { useFrame, useThree } from '@react-three/fiber';
+import { useThree } from '@react-three/fiber';
 import * as THREE from 'three/webgpu';
+import { useScaledFrame } from './TimeScale';
+import { raycastTerrain, sampleHeight } from './TerrainHeight';
+import { useInput } from './Input';
 
 /**
  * MouseAnchorController - Applies gentle force to anchor toward mouse cursor position
  * 
  * Raycasts from mouse to a horizontal plane at anchor height, then applies
  * an attractive force that guides (but doesn't override) the physics-based swing.
+ *
+ * With a cursorRef, the same mouse ray is also cast against the terrain every
+ * frame and the hit written to cursorRef.current ({ hit, point }), e.g. for
+ * grappling. Works even while the attract force is disabled.
+ *
+ * An anchor stick (gamepad right stick or touch, see Input.js) takes over
+ * from the mouse while deflected: the anchor is pulled along the stick's
+ * screen direction, harder the further it's pushed, and the terrain cursor
+ * moves to the ground ahead of the anchor.
  * 
  * @param {object} anchorRef - Ref to the anchor RigidBody
  * @param {boolean} enabled - Whether mouse control is active
  * @param {number} attractStrength - Force magnitude (default: 5)
  * @param {number} deadZone - Distance within which no force is applied (default: 1)
  * @param {number} maxForceDistance - Distance at which force is at maximum (default: 20)
+ * @param {object} cursorRef - Receives { hit, point } of the mouse ray on the terrain (optional)
+ * @param {object} terrainParams - Terrain params for the cursor raycast
+ * @param {number} cursorRange - Max ray distance for the cursor raycast (default: 200)
+ * @param {number} cursorStickDistance - Cursor distance from the anchor at full stick (default: 25)
  */
 function MouseAnchorController({
     anchorRef,
@@ -20,8 +36,13 @@ function MouseAnchorController({
     attractStrength = 5,
     deadZone = 1,
     maxForceDistance = 20,
+    cursorRef = null,
+    terrainParams = undefined,
+    cursorRange = 200,
+    cursorStickDistance = 25,
 }) {
     const { camera, pointer, raycaster } = useThree();
+    const getInput = useInput();
 
     // Reusable objects to avoid GC
     const state = useMemo(() => ({
@@ -29,31 +50,64 @@ function MouseAnchorController({
         targetPoint: new THREE.Vector3(),
         direction: new THREE.Vector3(),
         anchorPos: new THREE.Vector3(),
+        forward: new THREE.Vector3(),
+        stick: new THREE.Vector3(),
     }), []);
 
     // Visual indicator for mouse target (optional debug)
     const indicatorRef = useRef();
 
-    useFrame((frameState, delta) => {
-        if (!enabled || !anchorRef?.current) return;
+    useScaledFrame((frameState, delta) => {
+        const { aiming, aimX, aimY } = getInput();
 
         // Get RigidBody - handle both direct ref and imperative handle
-        const anchor = anchorRef.current.getRigidBody
+        const anchor = anchorRef?.current?.getRigidBody
             ? anchorRef.current.getRigidBody()
-            : anchorRef.current;
+            : anchorRef?.current;
+        const anchorTranslation = anchor?.translation ? anchor.translation() : null;
+
+        // === STICK: screen direction on the ground (up = away from the camera) ===
+        if (aiming) {
+            camera.getWorldDirection(state.forward);
+            state.forward.y = 0;
+            state.forward.normalize();
+            state.stick.set(
+                -state.forward.z * aimX - state.forward.x * aimY,
+                0,
+                state.forward.x * aimX - state.forward.z * aimY
+            );
+        }
 
-        if (!anchor || !anchor.translation) return;
+        // === TERRAIN CURSOR ===
+        if (cursorRef?.current) {
+            const cursor = cursorRef.current;
+            if (aiming && anchorTranslation) {
+                cursor.point.copy(anchorTranslation).addScaledVector(state.stick, cursorStickDistance);
+                cursor.point.y = sampleHeight(cursor.point.x, cursor.point.z, terrainParams);
+                cursor.hit = true;
+            } else {
+                raycaster.setFromCamera(pointer, camera);
+                cursor.hit = raycastTerrain(raycaster.ray.origin, raycaster.ray.direction, cursorRange, terrainParams, cursor.point) !== null;
+            }
+        }
 
-        const anchorTranslation = anchor.translation();
+        if (!enabled || !anchorTranslation) return;
 
         // Update plane height to match anchor
         state.groundPlane.constant = -anchorTranslation.y;
 
-        // Raycast from mouse through camera to the plane
-        raycaster.setFromCamera(pointer, camera);
-        const intersects = raycaster.ray.intersectPlane(state.groundPlane, state.targetPoint);
-
-        if (!intersects) return;
+        if (aiming) {
+            // Stick deflection stands in for the cursor's distance from the anchor
+            const magnitude = state.stick.length();
+            state.targetPoint.copy(anchorTranslation)
+                .addScaledVector(state.stick, (deadZone + magnitude * maxForceDistance) / magnitude);
+        } else {
+            // Raycast from mouse through camera to the plane
+            raycaster.setFromCamera(pointer, camera);
+            const intersects = raycaster.ray.intersectPlane(state.groundPlane, state.targetPoint);
+
+            if (!intersects) return;
+        }
 
         // Update indicator position if it exists
         if (indicatorRef.current) {
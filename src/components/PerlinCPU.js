@@ -0,0 +1,124 @@
+/**
+ * PerlinCPU - JavaScript port of the TSL classic Perlin noise in Perlin.jsx
+ *
+ * Gameplay code (terrain height queries, camera shake) needs the same noise the
+ * GPU evaluates. Every intermediate is rounded to 32-bit float with Math.fround
+ * and the operations follow the TSL graph step for step, so results match the
+ * shader's f32 arithmetic (mod/fract/step/mix use the WGSL/GLSL definitions).
+ */
+
+const f = Math.fround;
+
+const F34 = f(34.0);
+const F289 = f(289.0);
+const F7 = f(7.0);
+const INV_SQRT_A = f(1.79284291400159);
+const INV_SQRT_B = f(0.85373472095314);
+const SCALE = f(2.2);
+
+// GLSL-style mod: x - y * floor(x / y) (what three emits for WGSL)
+const mod = (x, y) => f(x - f(y * Math.floor(f(x / y))));
+const fract = (x) => f(x - Math.floor(x));
+// step(edge, x): 0 when x < edge, else 1
+const step = (edge, x) => (x < edge ? 0 : 1);
+// mix(a, b, t) = a * (1 - t) + b * t
+const mix = (a, b, t) => f(f(a * f(1 - t)) + f(b * t));
+const dot3 = (ax, ay, az, bx, by, bz) => f(f(f(ax * bx) + f(ay * by)) + f(az * bz));
+
+export const permute = (x) => mod(f(f(f(x * F34) + 1) * x), F289);
+
+export const taylorInvSqrt = (r) => f(INV_SQRT_A - f(INV_SQRT_B * r));
+
+export const fade = (t) => {
+    const t3 = f(f(t * t) * t);
+    return f(t3 * f(f(t * f(f(t * 6) - 15)) + 10));
+};
+
+// Scratch arrays for the four lattice corners of each z slice (no per-call allocation)
+const gx0 = new Float64Array(4);
+const gy0 = new Float64Array(4);
+const gz0 = new Float64Array(4);
+const gx1 = new Float64Array(4);
+const gy1 = new Float64Array(4);
+const gz1 = new Float64Array(4);
+
+// Gradient lattice lookup for one z slice, written into gx/gy/gz
+function gradients(ixy, iz, gx, gy, gz) {
+    for (let i = 0; i < 4; i++) {
+        const h = f(permute(f(ixy[i] + iz)) / F7);
+        let x = fract(h);
+        let y = f(fract(f(Math.floor(h) / F7)) - 0.5);
+        const z = f(f(0.5 - Math.abs(x)) - Math.abs(y));
+        const s = step(z, 0);
+        x = f(x - f(s * f(step(0, x) - 0.5)));
+        y = f(y - f(s * f(step(0, y) - 0.5)));
+        gx[i] = x;
+        gy[i] = y;
+        gz[i] = z;
+    }
+}
+
+const ixy = new Float64Array(4);
+
+/**
+ * Classic 3D Perlin noise, matching cnoise() in Perlin.jsx
+ *
+ * @returns {number} Noise value, roughly in [-1, 1]
+ */
+export function cnoise(x, y, z) {
+    x = f(x);
+    y = f(y);
+    z = f(z);
+
+    const pi0x = mod(Math.floor(x), F289);
+    const pi0y = mod(Math.floor(y), F289);
+    const pi0z = mod(Math.floor(z), F289);
+    const pi1x = mod(f(Math.floor(x) + 1), F289);
+    const pi1y = mod(f(Math.floor(y) + 1), F289);
+    const pi1z = mod(f(Math.floor(z) + 1), F289);
+
+    const pf0x = fract(x);
+    const pf0y = fract(y);
+    const pf0z = fract(z);
+    const pf1x = f(pf0x - 1);
+    const pf1y = f(pf0y - 1);
+    const pf1z = f(pf0z - 1);
+
+    // ix = (Pi0.x, Pi1.x, Pi0.x, Pi1.x), iy = (Pi0.y, Pi0.y, Pi1.y, Pi1.y)
+    ixy[0] = permute(f(permute(pi0x) + pi0y));
+    ixy[1] = permute(f(permute(pi1x) + pi0y));
+    ixy[2] = permute(f(permute(pi0x) + pi1y));
+    ixy[3] = permute(f(permute(pi1x) + pi1y));
+
+    gradients(ixy, pi0z, gx0, gy0, gz0);
+    gradients(ixy, pi1z, gx1, gy1, gz1);
+
+    // Corner order in the vec4s: 000, 100, 010, 110 (and the same with z = 1)
+    const n000 = dotScaled(gx0, gy0, gz0, 0, pf0x, pf0y, pf0z);
+    const n100 = dotScaled(gx0, gy0, gz0, 1, pf1x, pf0y, pf0z);
+    const n010 = dotScaled(gx0, gy0, gz0, 2, pf0x, pf1y, pf0z);
+    const n110 = dotScaled(gx0, gy0, gz0, 3, pf1x, pf1y, pf0z);
+    const n001 = dotScaled(gx1, gy1, gz1, 0, pf0x, pf0y, pf1z);
+    const n101 = dotScaled(gx1, gy1, gz1, 1, pf1x, pf0y, pf1z);
+    const n011 = dotScaled(gx1, gy1, gz1, 2, pf0x, pf1y, pf1z);
+    const n111 = dotScaled(gx1, gy1, gz1, 3, pf1x, pf1y, pf1z);
+
+    const fx = fade(pf0x);
+    const fy = fade(pf0y);
+    const fz = fade(pf0z);
+
+    const nz0 = mix(n000, n001, fz);
+    const nz1 = mix(n100, n101, fz);
+    const nz2 = mix(n010, n011, fz);
+    const nz3 = mix(n110, n111, fz);
+    const nyz0 = mix(nz0, nz2, fy);
+    const nyz1 = mix(nz1, nz3, fy);
+
+    return f(SCALE * mix(nyz0, nyz1, fx));
+}
+
+// Normalise gradient i (g *= taylorInvSqrt(dot(g, g))) and dot it with the offset
+function dotScaled(gx, gy, gz, i, px, py, pz) {
+    const n = taylorInvSqrt(dot3(gx[i], gy[i], gz[i], gx[i], gy[i], gz[i]));
+    return dot3(f(gx[i] * n), f(gy[i] * n), f(gz[i] * n), px, py, pz);
+}
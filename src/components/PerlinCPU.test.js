@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { cnoise } from './PerlinCPU';
+import reference from './__fixtures__/cnoise-reference.json';
+
+// Reference values come from the shader itself: see scripts/capture-cnoise-reference.js
+describe('PerlinCPU cnoise', () => {
+    it.each(reference.noise)('matches the TSL cnoise at $position', ({ position, value }) => {
+        const [x, y, z] = position;
+        expect(cnoise(x, y, z)).toBeCloseTo(value, 6);
+    });
+
+    it('stays in the -1..1 range', () => {
+        for (const { position } of reference.noise) {
+            expect(Math.abs(cnoise(...position))).toBeLessThanOrEqual(1);
+        }
+    });
+});
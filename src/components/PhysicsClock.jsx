@@ -0,0 +1,26 @@
+import { useFrame } from '@react-three/fiber';
+import { useRapier } from '@react-three/rapier';
+import { useGameJuice } from './GameJuice';
+
+/**
+ * PhysicsClock - Steps the Rapier world in game time
+ *
+ * Render inside a <Physics paused> so Rapier's own loop stands down. Changing
+ * Physics' timeStep can't produce slow-mo (its accumulator still consumes real
+ * time, it would just take more, smaller steps), so instead we feed the
+ * accumulator a scaled delta: 0 during hitstop freezes the world, a fraction
+ * during slow-mo slows it, and fixed steps stay fixed.
+ */
+function PhysicsClock() {
+    const { step } = useRapier();
+    const { getTimeScale } = useGameJuice();
+
+    useFrame((frameState, delta) => {
+        // Always step, even with 0, so meshes stay synced to their bodies
+        step(delta * getTimeScale());
+    });
+
+    return null;
+}
+
+export default PhysicsClock;
@@ -55,7 +55,14 @@ const getBayerThreshold = (uv) => {
     return float(bayerMatrix).element(index);
 };
 
-const Planet = ({ followPosition = null }) => {
+/**
+ * Planet - GPU-displaced terrain that follows the player
+ *
+ * @param {THREE.Vector3} followPosition - Position the terrain grid re-centers on
+ * @param {object} terrainParams - Optional shared object that receives the live
+ *   terrain params each frame, for CPU height queries (see TerrainHeight.js)
+ */
+const Planet = ({ followPosition = null, terrainParams = null }) => {
 
     const { scene, gl, camera } = useThree();
 
@@ -427,6 +434,23 @@ const Planet = ({ followPosition = null }) => {
 
         uniforms.uJitterRes.value = jitterResolution;
 
+        // Publish the params the shader just used so CPU height queries match
+        if (terrainParams) {
+            Object.assign(terrainParams, {
+                octaves,
+                frequency,
+                amplitude,
+                lacunarity,
+                persistence,
+                heightScale,
+                heightOffset,
+                waterFloor,
+                horizonDistance,
+                horizonCurve,
+                center: targetPos,
+            });
+        }
+
         gl.compute(nodes.computeUpdate);
     })
 
@@ -445,4 +469,4 @@ const Planet = ({ followPosition = null }) => {
     )
 }
 
-export default Planet;
\ No newline at end of file
+export default Planet;
\ No newline at end of file
@@ -0,0 +1,188 @@
+/**
+ * PlayerHealth - Health, shield, lives and respawn bookkeeping for the ship
+ *
+ * Plain functions with no React or Rapier dependencies. PlayerVitals owns one
+ * player object, feeds it damage events and time, and moves the ship when
+ * updatePlayerHealth asks for a respawn.
+ *
+ * Damage flow: shield absorbs first, then health. Every hit that lands starts
+ * an invulnerability window and delays shield regeneration. At zero health a
+ * life is spent and a respawn countdown starts; with lives exhausted the run
+ * is over and the next respawn starts a fresh run from the spawn point.
+ */
+
+export const DEFAULT_PLAYER_HEALTH = {
+    maxHealth: 10,
+    maxShield: 5,
+    shieldRegenDelay: 3, // Seconds without damage before the shield recharges
+    shieldRegenRate: 2, // Shield points per second
+    invulnerabilityTime: 1, // Seconds of i-frames after a hit or respawn
+
+    lives: 3, // 0 = unlimited
+    respawnDelay: 2, // Seconds between death and respawn
+    respawnMode: 'lastSafe', // 'lastSafe' or 'checkpoint'
+    safeInterval: 1, // Seconds between safe-position records
+    safeAfterDamage: 2, // Only record once this long without damage
+
+    // Damage sources
+    contactDamage: 1, // Touching an enemy
+    attackDamage: 2, // Touching an enemy mid-lunge
+    terrainImpactSpeed: 12, // Terrain hits slower than this are harmless
+    terrainDamageScale: 0.5, // Damage per unit of speed above the threshold
+};
+
+/**
+ * Create player state
+ *
+ * @param {object} settings - See DEFAULT_PLAYER_HEALTH
+ * @param {{x,y,z}} spawn - Start position, first checkpoint and safe position
+ */
+export function createPlayerHealth(settings = DEFAULT_PLAYER_HEALTH, spawn = { x: 0, y: 10, z: 0 }) {
+    return {
+        health: settings.maxHealth,
+        shield: settings.maxShield,
+        lives: settings.lives,
+        dead: false,
+        gameOver: false,
+        invulnerable: 0, // Seconds of i-frames left
+        sinceDamage: Infinity,
+        respawnTimer: 0,
+        safeTimer: 0,
+        spawn: { ...spawn },
+        checkpoint: { ...spawn },
+        safePosition: { ...spawn },
+    };
+}
+
+/**
+ * Apply damage, shield first
+ *
+ * @param {object} player - From createPlayerHealth
+ * @param {number} damage - Damage points
+ * @param {object} settings - See DEFAULT_PLAYER_HEALTH
+ * @returns {object|null} { damage, absorbed, killed } or null if ignored (dead or i-frames)
+ */
+export function applyPlayerDamage(player, damage, settings = DEFAULT_PLAYER_HEALTH) {
+    if (player.dead || player.invulnerable > 0 || damage <= 0) return null;
+
+    const absorbed = Math.min(player.shield, damage);
+    player.shield -= absorbed;
+    player.health = Math.max(player.health - (damage - absorbed), 0);
+
+    player.sinceDamage = 0;
+    player.invulnerable = settings.invulnerabilityTime;
+
+    const killed = player.health <= 0;
+    if (killed) {
+        player.dead = true;
+        player.respawnTimer = settings.respawnDelay;
+
+        if (settings.lives > 0) {
+            player.lives -= 1;
+            player.gameOver = player.lives <= 0;
+        }
+    }
+
+    return { damage, absorbed, killed };
+}
+
+/**
+ * Advance timers, regenerate shield, record safe positions
+ *
+ * @param {object} player - From createPlayerHealth
+ * @param {object} input
+ * @param {number} input.delta - Seconds
+ * @param {{x,y,z}} input.position - Current ship position
+ * @param {object} settings - See DEFAULT_PLAYER_HEALTH
+ * @returns {boolean} True when the respawn countdown has finished (call respawnPlayer)
+ */
+export function updatePlayerHealth(player, { delta, position }, settings = DEFAULT_PLAYER_HEALTH) {
+    player.invulnerable = Math.max(player.invulnerable - delta, 0);
+
+    // === DEATH COUNTDOWN ===
+    if (player.dead) {
+        player.respawnTimer -= delta;
+        return player.respawnTimer <= 0;
+    }
+
+    player.sinceDamage += delta;
+
+    // === SHIELD REGEN ===
+    if (player.sinceDamage >= settings.shieldRegenDelay) {
+        player.shield = Math.min(player.shield + settings.shieldRegenRate * delta, settings.maxShield);
+    }
+
+    // === SAFE POSITION ===
+    player.safeTimer -= delta;
+    if (position && player.safeTimer <= 0 && player.sinceDamage >= settings.safeAfterDamage) {
+        player.safePosition.x = position.x;
+        player.safePosition.y = position.y;
+        player.safePosition.z = position.z;
+        player.safeTimer = settings.safeInterval;
+    }
+
+    return false;
+}
+
+/**
+ * Extend i-frames to at least `time` seconds (e.g. for a dash)
+ */
+export function grantInvulnerability(player, time) {
+    player.invulnerable = Math.max(player.invulnerable, time);
+}
+
+/**
+ * Record a checkpoint as the respawn point for 'checkpoint' mode
+ */
+export function reachCheckpoint(player, position) {
+    player.checkpoint.x = position.x;
+    player.checkpoint.y = position.y;
+    player.checkpoint.z = position.z;
+}
+
+/**
+ * Bring the player back to life
+ * After a game over, lives reset and the run restarts from the spawn point.
+ *
+ * @returns {{x,y,z}} Where to place the ship
+ */
+export function respawnPlayer(player, settings = DEFAULT_PLAYER_HEALTH) {
+    let point;
+    if (player.gameOver) {
+        player.lives = settings.lives;
+        player.gameOver = false;
+        reachCheckpoint(player, player.spawn);
+        point = player.spawn;
+    } else {
+        point = settings.respawnMode === 'checkpoint' ? player.checkpoint : player.safePosition;
+    }
+
+    player.health = settings.maxHealth;
+    player.shield = settings.maxShield;
+    player.dead = false;
+    player.invulnerable = settings.invulnerabilityTime;
+    player.sinceDamage = Infinity;
+    player.safePosition = { ...point };
+
+    return { ...point };
+}
+
+/**
+ * Damage for running into an enemy (more if it is lunging at us)
+ *
+ * @param {object} enemy - Enemy handle
+ */
+export function enemyContactDamage(enemy, settings = DEFAULT_PLAYER_HEALTH) {
+    return enemy.getState?.() === 'attack' ? settings.attackDamage : settings.contactDamage;
+}
+
+/**
+ * Damage for hitting terrain at speed
+ *
+ * @param {number} speed - Ship speed at impact
+ * @returns {number} Whole damage points, 0 below the threshold
+ */
+export function terrainImpactDamage(speed, settings = DEFAULT_PLAYER_HEALTH) {
+    if (speed < settings.terrainImpactSpeed) return 0;
+    return Math.max(1, Math.round((speed - settings.terrainImpactSpeed) * settings.terrainDamageScale));
+}
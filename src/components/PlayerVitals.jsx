@@ -0,0 +1,147 @@
+import { useRef, useEffect } from 'react';
+import * as THREE from 'three/webgpu';
+import { useGameJuice } from './GameJuice';
+import { useScaledFrame } from './TimeScale';
+import {
+    applyPlayerDamage,
+    updatePlayerHealth,
+    reachCheckpoint,
+    respawnPlayer,
+} from './PlayerHealth';
+
+const BAR_WIDTH = 1.2;
+
+/**
+ * PlayerVitals - Applies damage to the ship, respawns it, and draws its bars
+ *
+ * Listens for 'player-damage' { damage, source, direction } on the GameJuice
+ * bus (any damage source emits it: enemy contact, projectiles, terrain) and
+ * runs it through PlayerHealth.js. Landed hits emit 'player-hit', a lethal hit
+ * emits 'player-death'; once the respawn delay is over the ship and anchor are
+ * moved to the respawn point and 'player-respawn' { position, lives } fires.
+ *
+ * Health (green), shield (cyan) and, when given, stamina (yellow) bars float
+ * above the ship.
+ *
+ * @param {object} shipRef - Player RigidBody ref
+ * @param {object} anchorRef - Anchor handle ref, teleported along on respawn
+ * @param {object} player - Player state from createPlayerHealth (shared with the controller)
+ * @param {object} settings - See DEFAULT_PLAYER_HEALTH
+ * @param {number[][]} checkpoints - [x, y, z] points, reaching one sets the 'checkpoint' respawn
+ * @param {number} checkpointRadius - Distance that counts as reaching a checkpoint
+ * @param {object} stamina - Stamina state from createStamina, or null for no bar
+ * @param {number} maxStamina - Full stamina bar
+ */
+function PlayerVitals({
+    shipRef,
+    anchorRef,
+    player,
+    settings,
+    checkpoints = [],
+    checkpointRadius = 8,
+    stamina = null,
+    maxStamina = 100,
+}) {
+    const { emit, subscribe } = useGameJuice();
+
+    const barsRef = useRef();
+    const healthFillRef = useRef();
+    const shieldFillRef = useRef();
+    const staminaFillRef = useRef();
+
+    // Damage events from every source
+    useEffect(() => subscribe('player-damage', ({ damage, direction = null }) => {
+        const result = applyPlayerDamage(player, damage, settings);
+        if (!result) return;
+
+        if (result.killed) {
+            const pos = shipRef.current?.translation();
+            emit('player-death', {
+                position: pos ? { x: pos.x, y: pos.y, z: pos.z } : null,
+                direction,
+                gameOver: player.gameOver,
+            });
+        } else {
+            emit('player-hit', { damage, absorbed: result.absorbed, direction });
+        }
+    }), [subscribe, emit, player, settings, shipRef]);
+
+    // Game time, so timers hold through hitstop
+    useScaledFrame(({ camera }, delta) => {
+        const rb = shipRef.current;
+        if (!rb) return;
+
+        const position = rb.translation();
+
+        // === CHECKPOINTS ===
+        if (!player.dead) {
+            for (const [x, y, z] of checkpoints) {
+                const dx = position.x - x;
+                const dz = position.z - z;
+                if (dx * dx + dz * dz < checkpointRadius * checkpointRadius) {
+                    reachCheckpoint(player, { x, y, z });
+                }
+            }
+        }
+
+        // === TIMERS / RESPAWN ===
+        if (updatePlayerHealth(player, { delta, position }, settings)) {
+            const point = respawnPlayer(player, settings);
+
+            rb.setTranslation(point, true);
+            rb.setLinvel({ x: 0, y: 0, z: 0 }, true);
+            anchorRef?.current?.teleport?.(point);
+
+            emit('player-respawn', { position: point, lives: player.lives });
+        }
+
+        // === BARS ===
+        if (barsRef.current) {
+            barsRef.current.visible = !player.dead;
+            barsRef.current.position.set(position.x, position.y + 0.8, position.z);
+            barsRef.current.quaternion.copy(camera.quaternion);
+        }
+        setFill(healthFillRef.current, player.health / settings.maxHealth);
+        setFill(shieldFillRef.current, settings.maxShield > 0 ? player.shield / settings.maxShield : 0);
+        setFill(staminaFillRef.current, stamina ? stamina.stamina / maxStamina : 0);
+    });
+
+    return (
+        <group ref={barsRef}>
+            {/* Background */}
+            <mesh position={[0, stamina ? -0.08 : -0.05, 0]}>
+                <planeGeometry args={[BAR_WIDTH, stamina ? 0.28 : 0.22]} />
+                <meshBasicMaterial color="#333333" side={THREE.DoubleSide} />
+            </mesh>
+            {/* Health fill */}
+            <mesh ref={healthFillRef} position={[0, 0, 0.01]}>
+                <planeGeometry args={[BAR_WIDTH, 0.08]} />
+                <meshBasicMaterial color="#00ff00" side={THREE.DoubleSide} />
+            </mesh>
+            {/* Shield fill */}
+            <mesh ref={shieldFillRef} position={[0, -0.1, 0.01]}>
+                <planeGeometry args={[BAR_WIDTH, 0.06]} />
+                <meshBasicMaterial color="#00ffff" side={THREE.DoubleSide} />
+            </mesh>
+            {/* Stamina fill */}
+            {stamina && (
+                <mesh ref={staminaFillRef} position={[0, -0.17, 0.01]}>
+                    <planeGeometry args={[BAR_WIDTH, 0.04]} />
+                    <meshBasicMaterial color="#ffdd00" side={THREE.DoubleSide} />
+                </mesh>
+            )}
+        </group>
+    );
+}
+
+// Scale a bar mesh from the left edge
+function setFill(mesh, fraction) {
+    if (!mesh) return;
+
+    const clamped = THREE.MathUtils.clamp(fraction, 0, 1);
+    mesh.visible = clamped > 0;
+    mesh.scale.x = Math.max(clamped, 0.0001);
+    mesh.position.x = (clamped - 1) * BAR_WIDTH * 0.5;
+}
+
+export default PlayerVitals;
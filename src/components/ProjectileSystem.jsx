@@ -0,0 +1,214 @@
+import { useRef, useMemo, useEffect, useLayoutEffect } from 'react';
+import { useControls } from 'leva';
+import { useRapier } from '@react-three/rapier';
+import * as THREE from 'three/webgpu';
+import { useGameJuice } from './GameJuice';
+import { useScaledFrame } from './TimeScale';
+import {
+    DEFAULT_PROJECTILE,
+    setProjectileSettings,
+    stepProjectiles,
+    projectileTouches,
+    deflectProjectile,
+    despawnProjectile,
+} from './Projectiles';
+
+const ENEMY_SHOT_COLOR = new THREE.Color('#ff3300');
+const DEFLECTED_COLOR = new THREE.Color('#ffcc00');
+
+/**
+ * ProjectileSystem - Moves, collides and draws the shared projectile pool
+ *
+ * Enemy shots home in on the ship and, on contact, emit 'player-damage'
+ * { damage, source: 'projectile', direction } like any other damage source.
+ * The anchor blocks shots it touches; if it is moving faster than
+ * `deflectSpeed` it sends them back along its swing instead ('deflect' juice
+ * event). Deflected shots hit enemies and the boss through `onEnemyHit`, which
+ * takes the same collision payload as Anchor's onEnemyCollision (plus a
+ * `mass`). Boss hits carry the collider they reached in `otherCollider`, so
+ * only shots that find an exposed weak point do damage.
+ *
+ * @param {object} pool - From createProjectilePool (enemies fire into it)
+ * @param {object} shipRef - Player RigidBody ref (target and damage receiver)
+ * @param {object} anchorRef - Anchor handle ref
+ * @param {object} enemiesRef - Ref holding live Enemy handles
+ * @param {object} bossRef - Ref holding the boss handle, if a fight is on
+ * @param {object} terrainParams - Shared terrain params, shots expire in the ground
+ * @param {function} onEnemyHit - Called with { otherBody, otherCollider, speed, velocity, position, mass }
+ * @param {number} shipRadius - Ship hit radius
+ * @param {number} anchorRadius - Anchor block radius
+ * @param {number} enemyRadius - Enemy hit radius for deflected shots
+ */
+function ProjectileSystem({
+    pool,
+    shipRef,
+    anchorRef,
+    enemiesRef,
+    bossRef = null,
+    terrainParams = null,
+    onEnemyHit = null,
+    shipRadius = 0.5,
+    anchorRadius = 0.5,
+    enemyRadius = 0.75,
+}) {
+    const { emit } = useGameJuice();
+    const { rapier } = useRapier();
+    const meshRef = useRef();
+
+    const settings = useControls('Projectiles', {
+        speed: { value: DEFAULT_PROJECTILE.speed, min: 2, max: 40, step: 1 },
+        homing: { value: DEFAULT_PROJECTILE.homing, min: 0, max: 6, step: 0.1 },
+        lifetime: { value: DEFAULT_PROJECTILE.lifetime, min: 0.5, max: 10, step: 0.5 },
+        damage: { value: DEFAULT_PROJECTILE.damage, min: 0, max: 10, step: 1 },
+        radius: { value: DEFAULT_PROJECTILE.radius, min: 0.1, max: 1, step: 0.05 },
+        deflectSpeed: { value: DEFAULT_PROJECTILE.deflectSpeed, min: 0, max: 30, step: 1 },
+        deflectSpeedScale: { value: DEFAULT_PROJECTILE.deflectSpeedScale, min: 0.5, max: 4, step: 0.1 },
+        deflectMass: { value: DEFAULT_PROJECTILE.deflectMass, min: 0.5, max: 20, step: 0.5 },
+    }, { collapsed: true });
+
+    useEffect(() => setProjectileSettings(pool, settings), [pool, settings]);
+
+    // Reusable objects to avoid GC
+    const state = useMemo(() => ({
+        matrix: new THREE.Matrix4(),
+        hidden: new THREE.Matrix4().makeScale(0, 0, 0),
+        point: new THREE.Vector3(),
+    }), []);
+
+    // Send a deflected shot into an enemy or boss body
+    const hitEnemy = (i, body, collider = null) => {
+        const i3 = i * 3;
+        despawnProjectile(pool, i);
+        const velocity = readVector(pool.velocity, i3);
+        onEnemyHit?.({
+            otherBody: body,
+            otherCollider: collider,
+            speed: Math.hypot(velocity.x, velocity.y, velocity.z),
+            velocity,
+            position: readVector(pool.position, i3),
+            mass: pool.settings.deflectMass,
+        });
+    };
+
+    // Boss collider a shot touches, weak points (balls) before the hull they poke out of
+    const findBossCollider = (i, body) => {
+        const point = state.point.fromArray(pool.position, i * 3);
+
+        let touched = null;
+        for (let c = 0; c < body.numColliders(); c++) {
+            const collider = body.collider(c);
+            const projection = collider.projectPoint(point, true);
+            if (!projection) continue;
+
+            const { x, y, z } = projection.point;
+            const distance = Math.hypot(x - point.x, y - point.y, z - point.z);
+            if (distance > pool.settings.radius) continue;
+
+            if (collider.shape.type === rapier.ShapeType.Ball) return collider;
+            touched = collider;
+        }
+        return touched;
+    };
+
+    // Fill the color buffer up front so the material is built with instance colors
+    useLayoutEffect(() => {
+        const mesh = meshRef.current;
+        for (let i = 0; i < pool.capacity; i++) {
+            mesh.setMatrixAt(i, state.hidden);
+            mesh.setColorAt(i, ENEMY_SHOT_COLOR);
+        }
+    }, [pool, state]);
+
+    useScaledFrame((frameState, delta) => {
+        const mesh = meshRef.current;
+
+        if (delta > 0) {
+            const shipPos = shipRef.current?.translation() ?? null;
+            stepProjectiles(pool, delta, shipPos, terrainParams);
+
+            const anchorBody = anchorRef?.current?.getRigidBody?.();
+            const anchorPos = anchorBody?.translation() ?? null;
+            const anchorVel = anchorBody?.linvel() ?? null;
+            const anchorSpeed = anchorVel ? Math.hypot(anchorVel.x, anchorVel.y, anchorVel.z) : 0;
+            const enemies = enemiesRef?.current ?? [];
+            const boss = bossRef?.current?.isAlive?.() ? bossRef.current : null;
+            const bossBody = boss?.getRigidBody() ?? null;
+
+            for (let i = 0; i < pool.capacity; i++) {
+                if (!pool.active[i]) continue;
+
+                const i3 = i * 3;
+
+                // === ENEMY SHOTS: anchor first, so a swing in front of the ship shields it ===
+                if (!pool.deflected[i]) {
+                    if (anchorPos && projectileTouches(pool, i, anchorPos, anchorRadius)) {
+                        if (anchorSpeed >= pool.settings.deflectSpeed) {
+                            deflectProjectile(pool, i, anchorVel);
+                            emit('deflect', {
+                                position: readVector(pool.position, i3),
+                                direction: { x: anchorVel.x, y: anchorVel.y, z: anchorVel.z },
+                            });
+                        } else {
+                            despawnProjectile(pool, i);
+                        }
+                    } else if (shipPos && projectileTouches(pool, i, shipPos, shipRadius)) {
+                        despawnProjectile(pool, i);
+                        emit('player-damage', {
+                            damage: pool.damage[i],
+                            source: 'projectile',
+                            direction: readVector(pool.velocity, i3),
+                        });
+                    }
+                    continue;
+                }
+
+                // === DEFLECTED SHOTS: hit enemies, then the boss ===
+                for (const enemy of enemies) {
+                    if (!enemy?.isAlive?.()) continue;
+                    const body = enemy.getRigidBody();
+                    if (!body || !projectileTouches(pool, i, body.translation(), enemyRadius)) continue;
+
+                    hitEnemy(i, body);
+                    break;
+                }
+
+                if (pool.active[i] && bossBody) {
+                    const collider = findBossCollider(i, bossBody);
+                    if (collider) hitEnemy(i, bossBody, collider);
+                }
+            }
+        }
+
+        // === RENDER ===
+        if (!mesh) return;
+
+        const radius = pool.settings.radius;
+        for (let i = 0; i < pool.capacity; i++) {
+            if (!pool.active[i]) {
+                mesh.setMatrixAt(i, state.hidden);
+                continue;
+            }
+            const i3 = i * 3;
+            state.matrix.makeScale(radius, radius, radius)
+                .setPosition(pool.position[i3], pool.position[i3 + 1], pool.position[i3 + 2]);
+            mesh.setMatrixAt(i, state.matrix);
+            mesh.setColorAt(i, pool.deflected[i] ? DEFLECTED_COLOR : ENEMY_SHOT_COLOR);
+        }
+        mesh.instanceMatrix.needsUpdate = true;
+        if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    });
+
+    return (
+        <instancedMesh ref={meshRef} args={[null, null, pool.capacity]} frustumCulled={false}>
+            <icosahedronGeometry args={[1, 1]} />
+            <meshBasicMaterial color="#ffffff" wireframe />
+        </instancedMesh>
+    );
+}
+
+// Copy a vector out of a pool array (only for event payloads)
+function readVector(array, i3) {
+    return { x: array[i3], y: array[i3 + 1], z: array[i3 + 2] };
+}
+
+export default ProjectileSystem;
@@ -0,0 +1,200 @@
+import { sampleHeight } from './TerrainHeight';
+
+/**
+ * Projectiles - Fixed-size projectile pool in typed arrays
+ *
+ * No React, Rapier or three.js. Projectiles are spheres moved analytically
+ * (no rigid bodies): ProjectileSystem steps the pool, tests it against the
+ * ship, anchor and enemies, and draws it as one instanced mesh.
+ *
+ * A full pool recycles its oldest slot, so firing never allocates.
+ */
+
+export const DEFAULT_PROJECTILE = {
+    speed: 12, // Units per second
+    homing: 1.5, // Max turn rate toward the target (radians/s, 0 = straight)
+    lifetime: 4, // Seconds
+    damage: 1, // Player damage on hit
+    radius: 0.25,
+    // Deflection by the anchor
+    deflectSpeed: 8, // Anchor speed needed to send a projectile back (slower just blocks it)
+    deflectSpeedScale: 1.5, // Returned speed = anchor speed * this
+    deflectMass: 2, // Stands in for anchor mass when a deflected shot hits an enemy
+};
+
+/**
+ * Create an empty pool
+ *
+ * @param {number} capacity - Max live projectiles
+ */
+export function createProjectilePool(capacity = 64) {
+    return {
+        capacity,
+        cursor: 0, // Next slot to try
+        active: new Uint8Array(capacity),
+        deflected: new Uint8Array(capacity), // 1 = flying back at enemies
+        position: new Float32Array(capacity * 3),
+        velocity: new Float32Array(capacity * 3),
+        age: new Float32Array(capacity),
+        lifetime: new Float32Array(capacity),
+        damage: new Float32Array(capacity),
+        homing: new Float32Array(capacity),
+        settings: { ...DEFAULT_PROJECTILE },
+    };
+}
+
+/**
+ * Replace the pool's default projectile settings (e.g. from leva)
+ */
+export function setProjectileSettings(pool, settings) {
+    Object.assign(pool.settings, settings);
+}
+
+/**
+ * Fire a projectile
+ *
+ * @param {object} pool - From createProjectilePool
+ * @param {{x,y,z}} origin - Spawn position
+ * @param {{x,y,z}} direction - Flight direction (normalized here)
+ * @param {object} overrides - Per-shot speed/homing/lifetime/damage
+ * @returns {number} Slot index
+ */
+export function fireProjectile(pool, origin, direction, overrides = null) {
+    const { speed, homing, lifetime, damage } = overrides ? { ...pool.settings, ...overrides } : pool.settings;
+
+    // First free slot from the cursor, or the cursor slot itself when full
+    let index = pool.cursor;
+    for (let n = 0; n < pool.capacity; n++) {
+        const i = (pool.cursor + n) % pool.capacity;
+        if (!pool.active[i]) {
+            index = i;
+            break;
+        }
+    }
+    pool.cursor = (index + 1) % pool.capacity;
+
+    const length = Math.hypot(direction.x, direction.y, direction.z) || 1;
+    const i3 = index * 3;
+
+    pool.position[i3] = origin.x;
+    pool.position[i3 + 1] = origin.y;
+    pool.position[i3 + 2] = origin.z;
+    pool.velocity[i3] = (direction.x / length) * speed;
+    pool.velocity[i3 + 1] = (direction.y / length) * speed;
+    pool.velocity[i3 + 2] = (direction.z / length) * speed;
+
+    pool.active[index] = 1;
+    pool.deflected[index] = 0;
+    pool.age[index] = 0;
+    pool.lifetime[index] = lifetime;
+    pool.damage[index] = damage;
+    pool.homing[index] = homing;
+
+    return index;
+}
+
+/**
+ * Free a slot
+ */
+export function despawnProjectile(pool, index) {
+    pool.active[index] = 0;
+}
+
+/**
+ * Send a projectile back along the anchor's velocity
+ *
+ * @param {{x,y,z}} anchorVelocity - Anchor velocity at contact
+ */
+export function deflectProjectile(pool, index, anchorVelocity) {
+    const speed = Math.hypot(anchorVelocity.x, anchorVelocity.y, anchorVelocity.z);
+    if (speed <= 0) return;
+
+    const scale = pool.settings.deflectSpeedScale;
+    const i3 = index * 3;
+
+    pool.velocity[i3] = anchorVelocity.x * scale;
+    pool.velocity[i3 + 1] = anchorVelocity.y * scale;
+    pool.velocity[i3 + 2] = anchorVelocity.z * scale;
+
+    pool.deflected[index] = 1;
+    pool.homing[index] = 0;
+    pool.age[index] = 0; // Fresh lifetime for the return trip
+}
+
+/**
+ * Advance every live projectile: homing, movement, lifetime and ground hits
+ *
+ * @param {object} pool - From createProjectilePool
+ * @param {number} delta - Seconds
+ * @param {{x,y,z}|null} target - Homing target for enemy shots
+ * @param {object|null} terrainParams - Projectiles below the ground expire
+ */
+export function stepProjectiles(pool, delta, target = null, terrainParams = null) {
+    const { position, velocity } = pool;
+
+    for (let i = 0; i < pool.capacity; i++) {
+        if (!pool.active[i]) continue;
+
+        pool.age[i] += delta;
+        if (pool.age[i] >= pool.lifetime[i]) {
+            pool.active[i] = 0;
+            continue;
+        }
+
+        const i3 = i * 3;
+
+        // === HOMING: turn toward the target at a limited rate, speed unchanged ===
+        if (target && pool.homing[i] > 0) {
+            const vx = velocity[i3];
+            const vy = velocity[i3 + 1];
+            const vz = velocity[i3 + 2];
+            const speed = Math.hypot(vx, vy, vz);
+
+            const tx = target.x - position[i3];
+            const ty = target.y - position[i3 + 1];
+            const tz = target.z - position[i3 + 2];
+            const toTarget = Math.hypot(tx, ty, tz);
+
+            if (speed > 0 && toTarget > 0) {
+                const cos = (vx * tx + vy * ty + vz * tz) / (speed * toTarget);
+                const angle = Math.acos(Math.min(Math.max(cos, -1), 1));
+                const t = angle > 0 ? Math.min(pool.homing[i] * delta / angle, 1) : 0;
+
+                // Blend directions, then restore speed
+                const nx = vx / speed + (tx / toTarget - vx / speed) * t;
+                const ny = vy / speed + (ty / toTarget - vy / speed) * t;
+                const nz = vz / speed + (tz / toTarget - vz / speed) * t;
+                const length = Math.hypot(nx, ny, nz) || 1;
+
+                velocity[i3] = (nx / length) * speed;
+                velocity[i3 + 1] = (ny / length) * speed;
+                velocity[i3 + 2] = (nz / length) * speed;
+            }
+        }
+
+        // === MOVE ===
+        position[i3] += velocity[i3] * delta;
+        position[i3 + 1] += velocity[i3 + 1] * delta;
+        position[i3 + 2] += velocity[i3 + 2] * delta;
+
+        // === GROUND ===
+        if (terrainParams && position[i3 + 1] < sampleHeight(position[i3], position[i3 + 2], terrainParams)) {
+            pool.active[i] = 0;
+        }
+    }
+}
+
+/**
+ * Sphere overlap test between a projectile and a point
+ *
+ * @param {number} radius - Radius of the other sphere (projectile radius is added)
+ */
+export function projectileTouches(pool, index, point, radius) {
+    const i3 = index * 3;
+    const dx = pool.position[i3] - point.x;
+    const dy = pool.position[i3 + 1] - point.y;
+    const dz = pool.position[i3 + 2] - point.z;
+    const reach = radius + pool.settings.radius;
+
+    return dx * dx + dy * dy + dz * dz < reach * reach;
+}
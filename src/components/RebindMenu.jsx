@@ -0,0 +1,194 @@
+import { useEffect, useState } from 'react';
+import { ACTIONS, firstGamepad } from './Input';
+import {
+    bindInput,
+    unbindInput,
+    findConflicts,
+    formatBinding,
+    findPressedButton,
+} from './Bindings';
+
+const DEVICES = [
+    { device: 'keys', label: 'Keyboard' },
+    { device: 'gamepad', label: 'Gamepad' },
+];
+
+/**
+ * RebindMenu - Lists every action with its keys and gamepad buttons
+ *
+ * '+' waits for the next key press or gamepad button and adds it to the
+ * action (Escape cancels); clicking a binding removes it. Bindings shared
+ * by two actions are shown in red with a note at the bottom. Changes go
+ * straight to onChange, which saves them.
+ *
+ * @param {object} bindings - See Bindings.js
+ * @param {function} onChange - Receives the new bindings
+ * @param {function} onReset - Restore the default bindings
+ * @param {function} onClose - Hide the menu
+ */
+function RebindMenu({ bindings, onChange, onReset, onClose }) {
+    // { device, action } while waiting for input
+    const [capture, setCapture] = useState(null);
+
+    // === CAPTURE ===
+    useEffect(() => {
+        if (!capture) return;
+        const { device, action } = capture;
+
+        // Keys: taken before KeyboardControls sees them, so capture doesn't fly the ship
+        const onKeyDown = (event) => {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            if (event.code === 'Escape') setCapture(null);
+            else if (device === 'keys') {
+                onChange(bindInput(bindings, device, action, event.code));
+                setCapture(null);
+            }
+        };
+        window.addEventListener('keydown', onKeyDown, { capture: true });
+
+        // Gamepad: poll for a newly pressed button
+        let frame = 0;
+        if (device === 'gamepad') {
+            const held = new Set();
+            findPressedButton(firstGamepad(), held);
+
+            const poll = () => {
+                const index = findPressedButton(firstGamepad(), held);
+                if (index >= 0) {
+                    onChange(bindInput(bindings, device, action, index));
+                    setCapture(null);
+                    return;
+                }
+                frame = requestAnimationFrame(poll);
+            };
+            frame = requestAnimationFrame(poll);
+        }
+
+        return () => {
+            window.removeEventListener('keydown', onKeyDown, { capture: true });
+            cancelAnimationFrame(frame);
+        };
+    }, [capture, bindings, onChange]);
+
+    const conflicts = {
+        keys: findConflicts(bindings, 'keys'),
+        gamepad: findConflicts(bindings, 'gamepad'),
+    };
+
+    return (
+        <div style={overlayStyle}>
+            <div style={panelStyle}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 12 }}>
+                    <strong>CONTROLS</strong>
+                    <button type="button" style={buttonStyle} onClick={onClose}>Close</button>
+                </div>
+
+                <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                    <thead>
+                        <tr>
+                            <th style={cellStyle}>Action</th>
+                            {DEVICES.map(({ device, label }) => (
+                                <th key={device} style={cellStyle}>{label}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {ACTIONS.map((action) => (
+                            <tr key={action}>
+                                <td style={cellStyle}>{action}</td>
+                                {DEVICES.map(({ device }) => (
+                                    <td key={device} style={cellStyle}>
+                                        {(bindings[device][action] ?? []).map((code) => (
+                                            <button
+                                                key={code}
+                                                type="button"
+                                                title="Remove"
+                                                style={{
+                                                    ...chipStyle,
+                                                    borderColor: conflicts[device].has(code) ? '#ff3344' : chipStyle.borderColor,
+                                                }}
+                                                onClick={() => onChange(unbindInput(bindings, device, action, code))}
+                                            >
+                                                {formatBinding(device, code)}
+                                            </button>
+                                        ))}
+                                        <button
+                                            type="button"
+                                            style={buttonStyle}
+                                            onClick={() => setCapture({ device, action })}
+                                        >
+                                            {capture?.device === device && capture.action === action
+                                                ? (device === 'keys' ? 'press a key…' : 'press a button…')
+                                                : '+'}
+                                        </button>
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+
+                {DEVICES.map(({ device }) => [...conflicts[device]].map(([code, actions]) => (
+                    <div key={`${device}-${code}`} style={{ color: '#ff3344', marginTop: 6 }}>
+                        {formatBinding(device, code)} is bound to {actions.join(', ')}; only one will work
+                    </div>
+                )))}
+
+                <div style={{ marginTop: 12 }}>
+                    <button type="button" style={buttonStyle} onClick={onReset}>Reset to defaults</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+const overlayStyle = {
+    position: 'fixed',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'rgba(0, 0, 0, 0.5)',
+    zIndex: 20,
+};
+
+const panelStyle = {
+    maxHeight: '90vh',
+    overflowY: 'auto',
+    padding: 20,
+    borderRadius: 8,
+    background: 'rgba(16, 18, 28, 0.95)',
+    color: '#ffffff',
+    fontFamily: 'monospace',
+};
+
+const cellStyle = {
+    padding: '4px 12px 4px 0',
+    textAlign: 'left',
+};
+
+const chipStyle = {
+    marginRight: 4,
+    padding: '2px 8px',
+    borderRadius: 4,
+    borderWidth: 1,
+    borderStyle: 'solid',
+    borderColor: 'rgba(255, 255, 255, 0.5)',
+    background: 'rgba(255, 255, 255, 0.12)',
+    color: '#ffffff',
+    fontFamily: 'monospace',
+    cursor: 'pointer',
+};
+
+const buttonStyle = {
+    padding: '2px 8px',
+    borderRadius: 4,
+    border: '1px dashed rgba(255, 255, 255, 0.5)',
+    background: 'transparent',
+    color: '#ffffff',
+    fontFamily: 'monospace',
+    cursor: 'pointer',
+};
+
+export default RebindMenu;
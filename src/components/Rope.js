@@ -0,0 +1,167 @@
+/**
+ * Rope - Position-based verlet simulation for the anchor chain
+ *
+ * The rope runs from the ship (node 0, pinned) to the anchor (last node).
+ * Interior nodes are integrated with verlet (inertia + gravity + damping), then
+ * relaxed against one-sided length constraints: segments may go slack but never
+ * stretch past their rest length.
+ *
+ * Both ends are pinned while relaxing, so a chain pulled too far can't be
+ * satisfied: its path length after relaxation exceeds the rest length. That
+ * excess is the chain's stretch, and the last segment's direction is where the
+ * chain pulls the anchor - around whatever shape the links have swung into.
+ * Anchor turns this into a spring force.
+ *
+ * Plain data (Float32Arrays), no React or three.js, so it can run headless.
+ */
+
+/**
+ * Create a rope with `interiorCount` free nodes between ship and anchor
+ * Nodes are laid out on the first step, once the end positions are known.
+ *
+ * @param {number} interiorCount - Number of free nodes between ship and anchor
+ */
+export function createRope(interiorCount) {
+    const nodeCount = interiorCount + 2;
+
+    return {
+        nodeCount,
+        positions: new Float32Array(nodeCount * 3),
+        previous: new Float32Array(nodeCount * 3),
+        initialized: false,
+        // Chain pull on the anchor this step (direction * excess length)
+        anchorPull: { x: 0, y: 0, z: 0 },
+    };
+}
+
+/**
+ * Lay the rope out straight between two points, at rest
+ */
+export function resetRope(rope, start, end) {
+    const { nodeCount, positions, previous } = rope;
+
+    for (let i = 0; i < nodeCount; i++) {
+        const t = i / (nodeCount - 1);
+        setNode(positions, previous, i, {
+            x: start.x + (end.x - start.x) * t,
+            y: start.y + (end.y - start.y) * t,
+            z: start.z + (end.z - start.z) * t,
+        });
+    }
+    rope.initialized = true;
+}
+
+/**
+ * Advance the rope by one frame
+ *
+ * @param {object} rope - From createRope
+ * @param {object} params
+ * @param {{x,y,z}} params.start - Ship position (node 0 is pinned here)
+ * @param {{x,y,z}} params.end - Anchor position (last node starts here)
+ * @param {number} params.length - Total chain length
+ * @param {number} params.gravity - Downward acceleration on links
+ * @param {number} params.damping - Fraction of link velocity lost per step (0-1)
+ * @param {number} params.iterations - Constraint relaxation passes
+ * @param {number} params.delta - Frame time in seconds
+ * @returns {{x,y,z}} rope.anchorPull - Stretch vector pulling the anchor along the chain
+ */
+export function stepRope(rope, {
+    start,
+    end,
+    length,
+    gravity = 20,
+    damping = 0.02,
+    iterations = 12,
+    delta,
+}) {
+    if (!rope.initialized) resetRope(rope, start, end);
+
+    const { nodeCount, positions: p, previous: prev } = rope;
+    const last = nodeCount - 1;
+    const dt = Math.min(delta, 1 / 30); // Large steps make verlet explode
+    const restLength = length / last;
+    const keep = 1 - damping;
+
+    // === INTEGRATE INTERIOR NODES ===
+    for (let i = 1; i < last; i++) {
+        const ix = i * 3;
+        for (let k = 0; k < 3; k++) {
+            const current = p[ix + k];
+            const velocity = (current - prev[ix + k]) * keep;
+            prev[ix + k] = current;
+            p[ix + k] = current + velocity + (k === 1 ? -gravity * dt * dt : 0);
+        }
+    }
+
+    // === PIN ENDS ===
+    setNode(p, prev, 0, start);
+    setNode(p, prev, last, end);
+
+    // === RELAX LENGTH CONSTRAINTS ===
+    for (let iter = 0; iter < iterations; iter++) {
+        for (let i = 0; i < last; i++) {
+            const a = i * 3;
+            const b = a + 3;
+            const dx = p[b] - p[a];
+            const dy = p[b + 1] - p[a + 1];
+            const dz = p[b + 2] - p[a + 2];
+            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+            // One-sided: slack segments are left alone
+            if (dist <= restLength || dist === 0) continue;
+
+            // Pinned ends don't move
+            const wA = i === 0 ? 0 : 1;
+            const wB = i + 1 === last ? 0 : 1;
+            const wSum = wA + wB;
+            if (wSum === 0) continue;
+
+            const diff = (dist - restLength) / (dist * wSum);
+
+            p[a] += dx * diff * wA;
+            p[a + 1] += dy * diff * wA;
+            p[a + 2] += dz * diff * wA;
+            p[b] -= dx * diff * wB;
+            p[b + 1] -= dy * diff * wB;
+            p[b + 2] -= dz * diff * wB;
+        }
+    }
+
+    // === MEASURE STRETCH OVER THE WHOLE PATH ===
+    let pathLength = 0;
+    for (let i = 0; i < last; i++) {
+        const a = i * 3;
+        const dx = p[a + 3] - p[a];
+        const dy = p[a + 4] - p[a + 1];
+        const dz = p[a + 5] - p[a + 2];
+        pathLength += Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+    const excess = pathLength - length;
+
+    // Pull direction follows the last link, from the anchor toward the chain
+    const lx = last * 3;
+    const px = p[lx - 3] - p[lx];
+    const py = p[lx - 2] - p[lx + 1];
+    const pz = p[lx - 1] - p[lx + 2];
+    const lastLength = Math.sqrt(px * px + py * py + pz * pz);
+    const pull = rope.anchorPull;
+
+    if (excess > 0 && lastLength > 0) {
+        const scale = excess / lastLength;
+        pull.x = px * scale;
+        pull.y = py * scale;
+        pull.z = pz * scale;
+    } else {
+        pull.x = pull.y = pull.z = 0;
+    }
+
+    return pull;
+}
+
+// Teleport a node without giving it verlet velocity
+function setNode(p, prev, index, pos) {
+    const ix = index * 3;
+    p[ix] = prev[ix] = pos.x;
+    p[ix + 1] = prev[ix + 1] = pos.y;
+    p[ix + 2] = prev[ix + 2] = pos.z;
+}
@@ -0,0 +1,100 @@
+/**
+ * Stamina - Sprint and dash share one regenerating stamina meter
+ *
+ * Sprinting drains stamina while the ship is moving; once it runs dry,
+ * sprint stays off until the meter is back to sprintRestart. A dash costs
+ * a chunk up front and moves the ship at dashSpeed for dashTime seconds in a
+ * fixed direction. Spending stamina pauses regeneration for regenDelay.
+ */
+
+export const DEFAULT_STAMINA = {
+    maxStamina: 100,
+    sprintDrain: 30, // Per second while sprinting
+    regenRate: 25, // Per second once regeneration starts
+    regenDelay: 0.8, // Seconds after spending before regeneration
+    sprintRestart: 25, // Stamina needed to sprint again after running dry
+    dashCost: 35,
+    dashSpeed: 35, // Ship speed during a dash
+    dashTime: 0.18, // Seconds a dash lasts
+    dashCooldown: 0.6, // Seconds from one dash to the next
+    dashInvulnerability: 0.3, // Seconds of i-frames from a dash
+    dashCarry: 0.6, // Share of the dash speed given to the anchor
+};
+
+/**
+ * Create stamina state, full
+ */
+export function createStamina(settings = DEFAULT_STAMINA) {
+    return {
+        stamina: settings.maxStamina,
+        regenTimer: 0, // Seconds until regeneration resumes
+        exhausted: false, // Ran dry, waiting for sprintRestart
+        dashTimer: 0, // Seconds of dash left
+        cooldown: 0, // Seconds until the next dash
+        direction: { x: 0, z: -1 }, // Dash direction (unit, XZ)
+    };
+}
+
+function spend(state, amount, settings) {
+    state.stamina = Math.max(state.stamina - amount, 0);
+    state.regenTimer = settings.regenDelay;
+}
+
+/**
+ * Advance timers, drain for sprinting or regenerate
+ *
+ * @param {object} state - From createStamina
+ * @param {object} input
+ * @param {number} input.delta - Seconds
+ * @param {boolean} input.sprint - Sprint held
+ * @param {boolean} input.moving - Ship has throttle (sprint only drains while moving)
+ * @param {object} settings - See DEFAULT_STAMINA
+ * @returns {boolean} Whether the ship sprints this frame
+ */
+export function updateStamina(state, { delta, sprint, moving }, settings = DEFAULT_STAMINA) {
+    state.dashTimer = Math.max(state.dashTimer - delta, 0);
+    state.cooldown = Math.max(state.cooldown - delta, 0);
+
+    if (state.exhausted && state.stamina >= settings.sprintRestart) state.exhausted = false;
+
+    const sprinting = sprint && moving && !state.exhausted && state.stamina > 0;
+
+    if (sprinting) {
+        spend(state, settings.sprintDrain * delta, settings);
+        if (state.stamina <= 0) state.exhausted = true;
+    } else if (state.regenTimer > 0) {
+        state.regenTimer = Math.max(state.regenTimer - delta, 0);
+    } else {
+        state.stamina = Math.min(state.stamina + settings.regenRate * delta, settings.maxStamina);
+    }
+
+    return sprinting;
+}
+
+/**
+ * Start a dash if it's off cooldown and affordable
+ *
+ * @param {object} state - From createStamina
+ * @param {number} x - Dash direction X (any length)
+ * @param {number} z - Dash direction Z
+ * @param {object} settings - See DEFAULT_STAMINA
+ * @returns {boolean} Whether the dash started
+ */
+export function startDash(state, x, z, settings = DEFAULT_STAMINA) {
+    const length = Math.hypot(x, z);
+    if (state.cooldown > 0 || state.stamina < settings.dashCost || length < 1e-6) return false;
+
+    state.direction.x = x / length;
+    state.direction.z = z / length;
+    state.dashTimer = settings.dashTime;
+    state.cooldown = settings.dashCooldown;
+    spend(state, settings.dashCost, settings);
+    return true;
+}
+
+/**
+ * Whether a dash is in progress
+ */
+export function isDashing(state) {
+    return state.dashTimer > 0;
+}
@@ -0,0 +1,285 @@
+/**
+ * Targeting - Pick the enemy the anchor should go for
+ *
+ * Candidates are scored from three terms, each 0-1, weighted:
+ * - distance: closer to the ship is better (0 at `range`)
+ * - cone: closer to the camera's view direction is better; enemies outside
+ *   the `coneAngle` half-angle are never auto-picked
+ * - swing: enemies the anchor is already swinging toward score higher
+ *
+ * The best candidate is the aim-assist target; a manual lock keeps one target
+ * until it dies or leaves `lockRange`, and cycling steps through candidates
+ * left to right across the view.
+ *
+ * Enemy positions go into a uniform grid of typed arrays, rebuilt each frame;
+ * queries only visit nearby cells and write into a reusable result buffer, so
+ * nothing is allocated per frame.
+ */
+
+export const DEFAULT_TARGETING = {
+    range: 15, // Max ship-to-target distance for auto targeting and locking
+    lockRange: 25, // A locked target is dropped beyond this distance
+    coneAngle: 45, // Degrees either side of the view direction
+    distanceWeight: 1,
+    coneWeight: 1,
+    swingWeight: 0.5,
+    minSwingSpeed: 2, // Below this anchor speed the swing term is ignored
+    cellSize: 8, // Grid cell edge in world units
+};
+
+// Buckets in the grid's hash table (power of two)
+const TABLE_SIZE = 256;
+
+/**
+ * Create a grid for up to `capacity` targets
+ */
+export function createTargetGrid(capacity = 256) {
+    return {
+        capacity,
+        count: 0,
+        cellSize: DEFAULT_TARGETING.cellSize,
+        heads: new Int32Array(TABLE_SIZE).fill(-1), // First entry per bucket
+        next: new Int32Array(capacity), // Next entry in the same bucket
+        position: new Float32Array(capacity * 3),
+        handles: new Array(capacity).fill(null),
+        // Query output (see queryTargets)
+        results: new Int32Array(capacity),
+        seen: new Uint32Array(capacity), // Query stamp per entry, skips bucket-sharing duplicates
+        stamp: 0,
+    };
+}
+
+function cellOf(value, cellSize) {
+    return Math.floor(value / cellSize);
+}
+
+function bucketOf(cx, cz) {
+    // Large primes spread neighbouring cells across the table
+    return ((cx * 73856093) ^ (cz * 19349663)) & (TABLE_SIZE - 1);
+}
+
+/**
+ * Refill the grid from enemy handles (dead or bodiless ones are skipped)
+ *
+ * @param {object} grid - From createTargetGrid
+ * @param {object[]} enemies - Enemy handles
+ * @param {object|null} extra - One more handle (e.g. a boss), optional
+ * @param {number} cellSize - Grid cell edge
+ */
+export function buildTargetGrid(grid, enemies, extra = null, cellSize = grid.cellSize) {
+    grid.heads.fill(-1);
+    grid.handles.fill(null, 0, grid.count);
+    grid.count = 0;
+    grid.cellSize = cellSize;
+
+    for (let e = 0; e < enemies.length; e++) addTarget(grid, enemies[e], cellSize);
+    if (extra) addTarget(grid, extra, cellSize);
+}
+
+function addTarget(grid, enemy, cellSize) {
+    if (grid.count >= grid.capacity || !enemy?.isAlive?.()) return;
+    const body = enemy.getRigidBody?.();
+    if (!body) return;
+
+    const pos = body.translation();
+    const i = grid.count++;
+    grid.position[i * 3] = pos.x;
+    grid.position[i * 3 + 1] = pos.y;
+    grid.position[i * 3 + 2] = pos.z;
+    grid.handles[i] = enemy;
+
+    const bucket = bucketOf(cellOf(pos.x, cellSize), cellOf(pos.z, cellSize));
+    grid.next[i] = grid.heads[bucket];
+    grid.heads[bucket] = i;
+}
+
+/**
+ * Find every grid entry within `radius` of a point
+ *
+ * @returns {number} How many entries were written to grid.results
+ */
+export function queryTargets(grid, point, radius) {
+    const { cellSize } = grid;
+    const minX = cellOf(point.x - radius, cellSize);
+    const maxX = cellOf(point.x + radius, cellSize);
+    const minZ = cellOf(point.z - radius, cellSize);
+    const maxZ = cellOf(point.z + radius, cellSize);
+    const stamp = ++grid.stamp;
+    let found = 0;
+
+    for (let cx = minX; cx <= maxX; cx++) {
+        for (let cz = minZ; cz <= maxZ; cz++) {
+            for (let i = grid.heads[bucketOf(cx, cz)]; i !== -1; i = grid.next[i]) {
+                if (grid.seen[i] === stamp) continue;
+                grid.seen[i] = stamp;
+
+                const dx = grid.position[i * 3] - point.x;
+                const dy = grid.position[i * 3 + 1] - point.y;
+                const dz = grid.position[i * 3 + 2] - point.z;
+                if (dx * dx + dy * dy + dz * dz <= radius * radius) grid.results[found++] = i;
+            }
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Create the shared target record (written by the targeting system, read by the anchor)
+ */
+export function createTargetState() {
+    return {
+        enemy: null, // Current target handle (locked or auto), null if none
+        locked: false, // Held by the lock key rather than picked each frame
+        position: { x: 0, y: 0, z: 0 }, // Target position this frame
+    };
+}
+
+/**
+ * Angle (radians) between a direction and the view direction
+ */
+function viewAngle(view, dx, dy, dz, distance) {
+    if (distance <= 0) return 0;
+    const cos = (view.x * dx + view.y * dy + view.z * dz) / distance;
+    return Math.acos(Math.max(-1, Math.min(1, cos)));
+}
+
+/**
+ * Score one candidate (higher is better, -1 = not a candidate)
+ *
+ * @param {object} context - { ship, camera, view, anchor, swing, settings }
+ *   ship/camera/anchor: positions; view: camera forward (normalized);
+ *   swing: anchor velocity
+ * @param {number} index - Grid entry
+ */
+export function scoreTarget(grid, context, index) {
+    const { ship, camera, view, anchor, swing, settings } = context;
+    const x = grid.position[index * 3];
+    const y = grid.position[index * 3 + 1];
+    const z = grid.position[index * 3 + 2];
+
+    const distance = Math.hypot(x - ship.x, y - ship.y, z - ship.z);
+    if (distance > settings.range) return -1;
+
+    const cone = (settings.coneAngle * Math.PI) / 180;
+    const angle = viewAngle(view, x - camera.x, y - camera.y, z - camera.z, Math.hypot(x - camera.x, y - camera.y, z - camera.z));
+    if (angle > cone) return -1;
+
+    let swingScore = 0;
+    const speed = Math.hypot(swing.x, swing.y, swing.z);
+    if (speed >= settings.minSwingSpeed) {
+        const toX = x - anchor.x;
+        const toY = y - anchor.y;
+        const toZ = z - anchor.z;
+        const toLength = Math.hypot(toX, toY, toZ);
+        if (toLength > 0) {
+            swingScore = Math.max(0, (swing.x * toX + swing.y * toY + swing.z * toZ) / (speed * toLength));
+        }
+    }
+
+    return settings.distanceWeight * (1 - distance / settings.range)
+        + settings.coneWeight * (1 - angle / cone)
+        + settings.swingWeight * swingScore;
+}
+
+/**
+ * Best-scoring candidate
+ *
+ * @returns {number} Grid entry, or -1 if no candidate
+ */
+export function findBestTarget(grid, context) {
+    let best = -1;
+    let bestScore = -1;
+
+    const found = queryTargets(grid, context.ship, context.settings.range);
+    for (let r = 0; r < found; r++) {
+        const i = grid.results[r];
+        const score = scoreTarget(grid, context, i);
+        if (score > bestScore) {
+            bestScore = score;
+            best = i;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Grid entry of an enemy handle
+ *
+ * @returns {number} Entry, or -1 if it isn't in the grid (dead, or not listed)
+ */
+export function findTargetEntry(grid, enemy) {
+    for (let i = 0; i < grid.count; i++) {
+        if (grid.handles[i] === enemy) return i;
+    }
+    return -1;
+}
+
+// Horizontal angle of an offset relative to the view: negative = left, positive = right
+function sideAngle(view, dx, dz) {
+    return Math.atan2(view.x * dz - view.z * dx, view.x * dx + view.z * dz);
+}
+
+/**
+ * Next candidate to the right of the current one (wraps to the leftmost)
+ * Candidates are everything within `range` of the ship inside the view cone.
+ *
+ * @param {object} context - See scoreTarget
+ * @param {object|null} current - Current target handle
+ * @returns {number} Grid entry, or -1 if there are no candidates
+ */
+export function cycleTarget(grid, context, current) {
+    const { camera, view } = context;
+    const currentEntry = current ? findTargetEntry(grid, current) : -1;
+    const currentAngle = currentEntry >= 0
+        ? sideAngle(view, grid.position[currentEntry * 3] - camera.x, grid.position[currentEntry * 3 + 2] - camera.z)
+        : -Infinity;
+
+    let next = -1;
+    let nextAngle = Infinity;
+    let first = -1;
+    let firstAngle = Infinity;
+
+    const found = queryTargets(grid, context.ship, context.settings.range);
+    for (let r = 0; r < found; r++) {
+        const i = grid.results[r];
+        if (i === currentEntry || scoreTarget(grid, context, i) < 0) continue;
+
+        const angle = sideAngle(view, grid.position[i * 3] - camera.x, grid.position[i * 3 + 2] - camera.z);
+        if (angle > currentAngle && angle < nextAngle) {
+            next = i;
+            nextAngle = angle;
+        }
+        if (angle < firstAngle) {
+            first = i;
+            firstAngle = angle;
+        }
+    }
+
+    return next >= 0 ? next : first;
+}
+
+/**
+ * Copy a grid entry into the target record
+ */
+export function setTarget(target, grid, index, locked) {
+    if (index < 0) {
+        clearTarget(target);
+        return;
+    }
+
+    target.enemy = grid.handles[index];
+    target.locked = locked;
+    target.position.x = grid.position[index * 3];
+    target.position.y = grid.position[index * 3 + 1];
+    target.position.z = grid.position[index * 3 + 2];
+}
+
+/**
+ * Drop the target (and the lock)
+ */
+export function clearTarget(target) {
+    target.enemy = null;
+    target.locked = false;
+}
@@ -0,0 +1,132 @@
+import { useRef, useMemo } from 'react';
+import { useThree } from '@react-three/fiber';
+import { useControls } from 'leva';
+import * as THREE from 'three/webgpu';
+import { useScaledFrame } from './TimeScale';
+import { useInput } from './Input';
+import {
+    DEFAULT_TARGETING,
+    createTargetGrid,
+    buildTargetGrid,
+    findBestTarget,
+    findTargetEntry,
+    cycleTarget,
+    setTarget,
+    clearTarget,
+} from './Targeting';
+
+/**
+ * TargetingSystem - Aim-assist target, manual lock-on and the lock reticle
+ *
+ * Every frame the best-scoring enemy (see Targeting.js) becomes the target
+ * the anchor homes toward. 'lockOn' (R) locks the best candidate, or drops
+ * the lock; 'cycleTarget' (C) locks the next candidate to the right. A
+ * locked target is kept until it dies or leaves lockRange and is marked with
+ * a spinning reticle facing the camera.
+ *
+ * @param {object} target - From createTargetState, shared with the Anchor
+ * @param {object} shipRef - Player RigidBody ref
+ * @param {object} anchorRef - Anchor handle ref
+ * @param {object} enemiesRef - Ref holding live Enemy handles
+ * @param {object} bossRef - Ref holding the boss handle, if a fight is on
+ * @param {number} capacity - Max enemies considered
+ */
+function TargetingSystem({ target, shipRef, anchorRef, enemiesRef, bossRef = null, capacity = 256 }) {
+    const camera = useThree((state) => state.camera);
+    const getInput = useInput();
+    const reticleRef = useRef();
+    const lockHeld = useRef(false);
+    const cycleHeld = useRef(false);
+
+    const {
+        range,
+        lockRange,
+        coneAngle,
+        distanceWeight,
+        coneWeight,
+        swingWeight,
+        cellSize,
+    } = useControls('Targeting', {
+        range: { value: DEFAULT_TARGETING.range, min: 5, max: 50, step: 1 },
+        lockRange: { value: DEFAULT_TARGETING.lockRange, min: 5, max: 80, step: 1 },
+        coneAngle: { value: DEFAULT_TARGETING.coneAngle, min: 5, max: 180, step: 5 },
+        distanceWeight: { value: DEFAULT_TARGETING.distanceWeight, min: 0, max: 3, step: 0.1 },
+        coneWeight: { value: DEFAULT_TARGETING.coneWeight, min: 0, max: 3, step: 0.1 },
+        swingWeight: { value: DEFAULT_TARGETING.swingWeight, min: 0, max: 3, step: 0.1 },
+        cellSize: { value: DEFAULT_TARGETING.cellSize, min: 2, max: 32, step: 1 },
+    }, { collapsed: true });
+
+    const grid = useMemo(() => createTargetGrid(capacity), [capacity]);
+
+    // Scoring inputs, refreshed each frame
+    const context = useMemo(() => ({
+        ship: new THREE.Vector3(),
+        camera: new THREE.Vector3(),
+        view: new THREE.Vector3(),
+        anchor: new THREE.Vector3(),
+        swing: new THREE.Vector3(),
+        settings: { ...DEFAULT_TARGETING, range, lockRange, coneAngle, distanceWeight, coneWeight, swingWeight, cellSize },
+    }), [range, lockRange, coneAngle, distanceWeight, coneWeight, swingWeight, cellSize]);
+
+    // Also runs through hitstop, so a lock can be set mid-freeze
+    useScaledFrame((frameState) => {
+        const ship = shipRef.current;
+        const anchor = anchorRef.current?.getRigidBody();
+        if (!ship || !anchor) return;
+
+        buildTargetGrid(grid, enemiesRef.current ?? [], bossRef?.current ?? null, context.settings.cellSize);
+
+        context.ship.copy(ship.translation());
+        context.anchor.copy(anchor.translation());
+        context.swing.copy(anchor.linvel());
+        camera.getWorldPosition(context.camera);
+        camera.getWorldDirection(context.view);
+
+        // === LOCK / CYCLE (on key press) ===
+        const { lockOn, cycleTarget: cycle } = getInput();
+
+        if (lockOn && !lockHeld.current) {
+            if (target.locked) clearTarget(target);
+            else setTarget(target, grid, findBestTarget(grid, context), true);
+        }
+        if (cycle && !cycleHeld.current) {
+            setTarget(target, grid, cycleTarget(grid, context, target.enemy), true);
+        }
+        lockHeld.current = lockOn;
+        cycleHeld.current = cycle;
+
+        // === KEEP THE LOCK, OR PICK THE BEST CANDIDATE ===
+        if (target.locked) {
+            const entry = findTargetEntry(grid, target.enemy);
+            setTarget(target, grid, entry, true);
+
+            if (entry >= 0 && context.ship.distanceTo(target.position) > context.settings.lockRange) {
+                clearTarget(target);
+            }
+        }
+        if (!target.locked) {
+            setTarget(target, grid, findBestTarget(grid, context), false);
+        }
+
+        // === RETICLE ===
+        const reticle = reticleRef.current;
+        if (!reticle) return;
+
+        reticle.visible = target.locked;
+        if (target.locked) {
+            reticle.position.copy(target.position);
+            reticle.quaternion.copy(camera.quaternion);
+            reticle.rotateZ(frameState.clock.elapsedTime * 2);
+            reticle.scale.setScalar(1.4 + Math.sin(frameState.clock.elapsedTime * 6) * 0.1);
+        }
+    });
+
+    return (
+        <mesh ref={reticleRef} visible={false} renderOrder={10}>
+            <ringGeometry args={[0.85, 1, 4, 1]} />
+            <meshBasicMaterial color="#ff3344" side={THREE.DoubleSide} depthTest={false} transparent />
+        </mesh>
+    );
+}
+
+export default TargetingSystem;
@@ -0,0 +1,112 @@
+import { useEffect, useMemo } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { useRapier } from '@react-three/rapier';
+import { sampleHeight } from './TerrainHeight';
+
+// Params that change the terrain shape (a change forces a rebuild)
+const SHAPE_KEYS = [
+    'octaves', 'frequency', 'amplitude', 'lacunarity', 'persistence',
+    'heightScale', 'heightOffset', 'waterFloor', 'horizonDistance', 'horizonCurve',
+];
+
+/**
+ * TerrainCollider - Rapier heightfield matching Planet's rendered terrain
+ *
+ * Heights come from the CPU mirror of the terrain shader (TerrainHeight.js),
+ * sampled at the same grid vertices Planet displaces. The collider covers a
+ * window around the followed position and re-centers in the same snapped
+ * grid steps computeUpdate uses, so its vertices line up with the mesh.
+ *
+ * Built directly through the Rapier world (not a <HeightfieldCollider>) so a
+ * re-center swaps the collider without a React re-render.
+ *
+ * @param {object} terrainParams - Shared terrain params published by Planet
+ * @param {number} segmentSize - Grid cell size, must match Planet (default: 512 / 100)
+ * @param {number} segments - Cells per side of the collider window (default: 32)
+ * @param {number} friction - Ground friction (default: 0.8)
+ */
+function TerrainCollider({
+    terrainParams,
+    segmentSize = 512 / 100,
+    segments = 32,
+    friction = 0.8,
+}) {
+    const { world, rapier } = useRapier();
+
+    // Mutable state to avoid re-renders
+    const state = useMemo(() => ({
+        body: null,
+        collider: null,
+        cellX: NaN,
+        cellZ: NaN,
+        builtParams: {},
+        heights: new Float32Array((segments + 1) * (segments + 1)),
+    }), [segments]);
+
+    // One fixed body owns whichever heightfield is current
+    useEffect(() => {
+        const body = world.createRigidBody(rapier.RigidBodyDesc.fixed());
+        state.body = body;
+
+        return () => {
+            if (state.collider) {
+                world.removeCollider(state.collider, false);
+                state.collider = null;
+            }
+            world.removeRigidBody(body);
+            state.body = null;
+            state.cellX = NaN;
+            state.cellZ = NaN;
+        };
+    }, [world, rapier, state]);
+
+    useFrame(() => {
+        const center = terrainParams?.center;
+        if (!state.body || !center) return;
+
+        // Same snapping as computeUpdate
+        const cellX = Math.floor(center.x / segmentSize);
+        const cellZ = Math.floor(center.z / segmentSize);
+
+        const paramsChanged = SHAPE_KEYS.some((key) => state.builtParams[key] !== terrainParams[key]);
+        if (!paramsChanged && cellX === state.cellX && cellZ === state.cellZ) return;
+
+        state.cellX = cellX;
+        state.cellZ = cellZ;
+        for (const key of SHAPE_KEYS) state.builtParams[key] = terrainParams[key];
+
+        const snapX = cellX * segmentSize;
+        const snapZ = cellZ * segmentSize;
+        const half = segments / 2;
+        const rows = segments + 1;
+
+        // Rapier heightfields are column-major: rows run along Z, columns along X
+        for (let col = 0; col <= segments; col++) {
+            const x = snapX + (col - half) * segmentSize;
+            for (let row = 0; row <= segments; row++) {
+                const z = snapZ + (row - half) * segmentSize;
+                state.heights[row + col * rows] = sampleHeight(x, z, terrainParams);
+            }
+        }
+
+        if (state.collider) {
+            world.removeCollider(state.collider, false);
+        }
+
+        const size = segments * segmentSize;
+        const desc = rapier.ColliderDesc.heightfield(
+            segments,
+            segments,
+            state.heights,
+            { x: size, y: 1, z: size }
+        )
+            .setTranslation(snapX, 0, snapZ)
+            .setFriction(friction);
+
+        state.collider = world.createCollider(desc, state.body);
+    });
+
+    return null;
+}
+
+export default TerrainCollider;
@@ -0,0 +1,150 @@
+import { cnoise } from './PerlinCPU';
+
+/**
+ * TerrainHeight - CPU mirror of Planet's computeUpdate height pass
+ *
+ * Lets gameplay code ask how high the ground is. Follows the shader exactly:
+ * fbm over cnoise (sampled on the XZ plane), height offset and scale, then the
+ * horizon drop and water-floor clamp relative to the followed position.
+ *
+ * Params use the same names as the 'Planet Terrain' leva folder. Planet writes
+ * its live values into a shared params object (see Planet's terrainParams prop),
+ * so passing that object here always matches what is on screen.
+ */
+
+const f = Math.fround;
+
+export const DEFAULT_TERRAIN_PARAMS = {
+    octaves: 2,
+    frequency: 0.06,
+    amplitude: 0.2,
+    lacunarity: 1.6,
+    persistence: 0.90,
+    heightScale: 35,
+    heightOffset: 0.09,
+    waterFloor: -2.0,
+    horizonDistance: 116,
+    horizonCurve: 0.06,
+    // Position the terrain follows (uCameraPosition); null disables the horizon drop
+    center: null,
+};
+
+/**
+ * Fractal noise, mirroring fbm() in Planet.jsx
+ */
+export function fbm(x, z, octaves, frequency, amplitude, lacunarity, persistence) {
+    let total = 0;
+    let currFreq = f(frequency);
+    let currAmp = f(amplitude);
+
+    for (let i = 0; i < octaves; i++) {
+        const noiseVal = cnoise(f(x * currFreq), 0, f(z * currFreq));
+        total = f(total + f(noiseVal * currAmp));
+        currFreq = f(currFreq * f(lacunarity));
+        currAmp = f(currAmp * f(persistence));
+    }
+    return total;
+}
+
+/**
+ * Horizon curvature drop at a world position, as used by the shader
+ */
+export function horizonDrop(x, z, params) {
+    const { center, horizonDistance, horizonCurve } = params;
+    if (!center) return 0;
+
+    const dx = f(x - center.x);
+    const dz = f(z - center.z);
+    const dist = f(Math.sqrt(f(f(dx * dx) + f(dz * dz))));
+    const normalizedDist = f(dist / f(horizonDistance));
+
+    return f(f(f(Math.pow(normalizedDist, 4)) * f(horizonCurve)) * 100);
+}
+
+/**
+ * Terrain height at a world XZ position
+ *
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @param {object} p - Complete terrain params (see DEFAULT_TERRAIN_PARAMS)
+ * @returns {number} World Y of the ground
+ */
+export function sampleHeight(x, z, p = DEFAULT_TERRAIN_PARAMS) {
+    const noiseValue = fbm(x, z, p.octaves, p.frequency, p.amplitude, p.lacunarity, p.persistence);
+    const rawHeight = f(f(noiseValue + f(p.heightOffset)) * f(p.heightScale));
+
+    const drop = horizonDrop(x, z, p);
+    const curvedHeight = f(rawHeight - drop);
+    const curvedWaterFloor = f(f(p.waterFloor) - drop);
+
+    return Math.max(curvedHeight, curvedWaterFloor);
+}
+
+/**
+ * Terrain surface normal at a world XZ position (central differences)
+ *
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @param {object} params - Complete terrain params (see DEFAULT_TERRAIN_PARAMS)
+ * @param {object} target - Object with x/y/z to write into (e.g. a THREE.Vector3)
+ * @param {number} epsilon - Sample spacing in world units
+ * @returns {object} target, normalized
+ */
+export function sampleNormal(x, z, params = DEFAULT_TERRAIN_PARAMS, target = { x: 0, y: 0, z: 0 }, epsilon = 0.5) {
+    const hL = sampleHeight(x - epsilon, z, params);
+    const hR = sampleHeight(x + epsilon, z, params);
+    const hB = sampleHeight(x, z - epsilon, params);
+    const hF = sampleHeight(x, z + epsilon, params);
+
+    const nx = hL - hR;
+    const ny = 2 * epsilon;
+    const nz = hB - hF;
+    const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+    target.x = nx / len;
+    target.y = ny / len;
+    target.z = nz / len;
+    return target;
+}
+
+/**
+ * First point where a ray meets the terrain
+ * Marches in fixed steps until the ray dips below the ground, then bisects.
+ *
+ * @param {object} origin - Ray origin {x, y, z}
+ * @param {object} direction - Ray direction {x, y, z}, normalized
+ * @param {number} maxDistance - Give up past this distance
+ * @param {object} params - Complete terrain params (see DEFAULT_TERRAIN_PARAMS)
+ * @param {object} target - Object with x/y/z to write the hit into
+ * @param {number} step - March step in world units
+ * @returns {object|null} target, or null if the ray doesn't hit within maxDistance
+ */
+export function raycastTerrain(origin, direction, maxDistance, params = DEFAULT_TERRAIN_PARAMS, target = { x: 0, y: 0, z: 0 }, step = 1) {
+    const above = (t) =>
+        origin.y + direction.y * t > sampleHeight(origin.x + direction.x * t, origin.z + direction.z * t, params);
+
+    if (!above(0)) return null;
+
+    let near = 0;
+    let far = -1;
+    for (let t = step; t <= maxDistance + step; t += step) {
+        if (!above(Math.min(t, maxDistance))) {
+            far = Math.min(t, maxDistance);
+            break;
+        }
+        near = t;
+    }
+    if (far < 0) return null;
+
+    // Refine between the last point above and the first below
+    for (let i = 0; i < 10; i++) {
+        const mid = (near + far) * 0.5;
+        if (above(mid)) near = mid;
+        else far = mid;
+    }
+
+    target.x = origin.x + direction.x * far;
+    target.y = origin.y + direction.y * far;
+    target.z = origin.z + direction.z * far;
+    return target;
+}
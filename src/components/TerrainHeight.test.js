@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { sampleHeight } from './TerrainHeight';
+import reference from './__fixtures__/cnoise-reference.json';
+
+// Reference values come from Planet's height pass: see scripts/capture-cnoise-reference.js
+describe('TerrainHeight sampleHeight', () => {
+    it.each(reference.height)('matches the shader height at $position', ({ position, value }) => {
+        const [x, z] = position;
+        expect(sampleHeight(x, z, reference.terrainParams)).toBeCloseTo(value, 4);
+    });
+
+    it('never drops below the water floor minus the horizon drop', () => {
+        const { terrainParams } = reference;
+        for (const { position: [x, z] } of reference.height) {
+            const dx = x - terrainParams.center.x;
+            const dz = z - terrainParams.center.z;
+            const drop = (Math.hypot(dx, dz) / terrainParams.horizonDistance) ** 4 * terrainParams.horizonCurve * 100;
+            expect(sampleHeight(x, z, terrainParams)).toBeGreaterThanOrEqual(terrainParams.waterFloor - drop - 1e-3);
+        }
+    });
+});
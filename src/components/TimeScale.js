@@ -0,0 +1,23 @@
+import { useFrame } from '@react-three/fiber';
+import { useGameJuice } from './GameJuice';
+
+/**
+ * TimeScale - Game-time frames built on GameJuice's hitstop/slow-mo state
+ *
+ * Gameplay useFrame consumers should use useScaledFrame so they freeze during
+ * hitstop and slow down during slow-mo together with the physics world
+ * (which PhysicsClock steps with the same scale).
+ */
+
+/**
+ * useFrame, but the callback receives game-time delta
+ * The unscaled delta is passed as a third argument for effects that
+ * should keep running in real time (e.g. UI, camera smoothing).
+ *
+ * @param {function} callback - (frameState, scaledDelta, realDelta) => void
+ * @param {number} priority - Forwarded to useFrame
+ */
+export function useScaledFrame(callback, priority = 0) {
+    const { getTimeScale } = useGameJuice();
+    useFrame((frameState, delta) => callback(frameState, delta * getTimeScale(), delta), priority);
+}
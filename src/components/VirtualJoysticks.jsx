@@ -0,0 +1,131 @@
+import { useRef } from 'react';
+import { setTouchStick, setTouchButton } from './Input';
+
+// Stick travel in pixels (base radius)
+const STICK_RADIUS = 60;
+
+const BUTTONS = [
+    { action: 'dash', label: 'DASH' },
+    { action: 'lasso', label: 'LASSO' },
+    { action: 'grapple', label: 'GRAPPLE' },
+    { action: 'lockOn', label: 'LOCK' },
+    { action: 'cycleTarget', label: 'NEXT' },
+];
+
+/**
+ * VirtualJoysticks - On-screen sticks and buttons for touch devices
+ *
+ * Left stick flies the ship, right stick steers the anchor; the buttons
+ * hold their action while pressed. Everything writes into the InputProvider's
+ * touch state, which gets the same dead zone and curve as a gamepad.
+ *
+ * @param {object} touch - From createTouchState
+ */
+function VirtualJoysticks({ touch }) {
+    return (
+        <div style={{ position: 'fixed', inset: 0, pointerEvents: 'none', zIndex: 10 }}>
+            <Stick touch={touch} stick="move" style={{ left: 32, bottom: 32 }} />
+            <Stick touch={touch} stick="aim" style={{ right: 32, bottom: 32 }} />
+
+            <div style={{ position: 'absolute', right: 32, bottom: STICK_RADIUS * 2 + 56, display: 'flex', gap: 8 }}>
+                {BUTTONS.map(({ action, label }) => (
+                    <button
+                        key={action}
+                        type="button"
+                        style={buttonStyle}
+                        onPointerDown={(event) => {
+                            event.currentTarget.setPointerCapture(event.pointerId);
+                            setTouchButton(touch, action, true);
+                        }}
+                        onPointerUp={() => setTouchButton(touch, action, false)}
+                        onPointerCancel={() => setTouchButton(touch, action, false)}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * One stick: drag anywhere in the base, the knob follows (clamped to the rim)
+ */
+function Stick({ touch, stick, style }) {
+    const baseRef = useRef();
+    const knobRef = useRef();
+
+    const move = (event) => {
+        const rect = baseRef.current.getBoundingClientRect();
+        let x = (event.clientX - (rect.left + rect.width / 2)) / STICK_RADIUS;
+        let y = (event.clientY - (rect.top + rect.height / 2)) / STICK_RADIUS;
+
+        const length = Math.hypot(x, y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+
+        setTouchStick(touch, stick, x, y);
+        knobRef.current.style.transform = `translate(${x * STICK_RADIUS}px, ${y * STICK_RADIUS}px)`;
+    };
+
+    const release = () => {
+        setTouchStick(touch, stick, 0, 0);
+        knobRef.current.style.transform = 'translate(0px, 0px)';
+    };
+
+    return (
+        <div
+            ref={baseRef}
+            style={{ ...baseStyle, ...style }}
+            onPointerDown={(event) => {
+                event.currentTarget.setPointerCapture(event.pointerId);
+                move(event);
+            }}
+            onPointerMove={(event) => {
+                if (event.currentTarget.hasPointerCapture(event.pointerId)) move(event);
+            }}
+            onPointerUp={release}
+            onPointerCancel={release}
+        >
+            <div ref={knobRef} style={knobStyle} />
+        </div>
+    );
+}
+
+const baseStyle = {
+    position: 'absolute',
+    width: STICK_RADIUS * 2,
+    height: STICK_RADIUS * 2,
+    borderRadius: '50%',
+    border: '2px solid rgba(255, 255, 255, 0.5)',
+    background: 'rgba(255, 255, 255, 0.08)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    pointerEvents: 'auto',
+    touchAction: 'none',
+};
+
+const knobStyle = {
+    width: STICK_RADIUS * 0.8,
+    height: STICK_RADIUS * 0.8,
+    borderRadius: '50%',
+    background: 'rgba(255, 255, 255, 0.5)',
+    pointerEvents: 'none',
+};
+
+const buttonStyle = {
+    padding: '12px 10px',
+    borderRadius: 8,
+    border: '2px solid rgba(255, 255, 255, 0.5)',
+    background: 'rgba(255, 255, 255, 0.12)',
+    color: '#ffffff',
+    fontFamily: 'monospace',
+    pointerEvents: 'auto',
+    touchAction: 'none',
+    userSelect: 'none',
+};
+
+export default VirtualJoysticks;